@@ -5,19 +5,50 @@
  */
 
 const App = (() => {
-  // View instances
-  const views = {
-    index: null,
-    cards: null,
-    tree: null,
-    graph: null,
-    timeline: null,
-    heatmap: null,
-    sunburst: null,
-    kanban: null,
-    network: null
+  /**
+   * Tab id -> view module; each is initialized on its first visit (ViewRegistry)
+   */
+  function getViewModules() {
+    return {
+      index: typeof TextIndexView !== 'undefined' ? TextIndexView : null,
+      cards: typeof CardsView !== 'undefined' ? CardsView : null,
+      tree: typeof TreeView !== 'undefined' ? TreeView : null,
+      graph: typeof GraphView !== 'undefined' ? GraphView : null,
+      timeline: typeof TimelineView !== 'undefined' ? TimelineView : null,
+      heatmap: typeof HeatmapView !== 'undefined' ? HeatmapView : null,
+      sunburst: typeof SunburstView !== 'undefined' ? SunburstView : null,
+      kanban: typeof KanbanView !== 'undefined' ? KanbanView : null,
+      network: typeof NetworkView !== 'undefined' ? NetworkView : null,
+      planner: typeof PlannerView !== 'undefined' ? PlannerView : null,
+      schedule: typeof ScheduleView !== 'undefined' ? ScheduleView : null,
+      team: typeof TeamView !== 'undefined' ? TeamView : null,
+      skills: typeof SkillsView !== 'undefined' ? SkillsView : null,
+      gaps: typeof GapsView !== 'undefined' ? GapsView : null,
+      resources: typeof ResourcesView !== 'undefined' ? ResourcesView : null,
+      paths: typeof PathsView !== 'undefined' ? PathsView : null,
+      course: typeof CourseDetailView !== 'undefined' ? CourseDetailView : null
+    };
+  }
+
+  /**
+   * URL state keys holding the shared filters (AppStore) in each built-in view
+   */
+  const VIEW_FILTERS = {
+    index: { path: 'path', difficulty: 'level' },
+    cards: { categories: 'category' },
+    timeline: { path: 'path' },
+    sunburst: { path: 'path' },
+    kanban: { path: 'path' },
+    network: { path: 'path' },
+    team: { path: 'path' },
+    skills: { path: 'path' },
+    gaps: { path: 'path' },
+    resources: { path: 'path' }
   };
 
+  // Views added without editing index.html or this file (see registerView)
+  const VIEW_MANIFEST_URL = 'ui-tabs/views.json';
+
   // Initialization state
   let initialized = false;
 
@@ -33,120 +64,134 @@ const App = (() => {
       // Initialize tab navigation
       TabNavigation.init();
 
-      // Get view containers
-      const containers = {
-        index: document.getElementById('view-index'),
-        cards: document.getElementById('view-cards'),
-        tree: document.getElementById('view-tree'),
-        graph: document.getElementById('view-graph'),
-        timeline: document.getElementById('view-timeline'),
-        heatmap: document.getElementById('view-heatmap'),
-        sunburst: document.getElementById('view-sunburst'),
-        kanban: document.getElementById('view-kanban'),
-        network: document.getElementById('view-network')
-      };
-
-      // Initialize core views
-      if (containers.index && typeof TextIndexView !== 'undefined') {
-        await TextIndexView.init(containers.index);
-        views.index = TextIndexView;
-      }
-
-      if (containers.cards && typeof CardsView !== 'undefined') {
-        await CardsView.init(containers.cards);
-        views.cards = CardsView;
-      }
+      // Learner profiles: stores read the active profile's data
+      UserState.init();
+      ProfileSwitcher.init(document.getElementById('profile-switcher'));
+      registerCustomPaths();
 
-      if (containers.tree && typeof TreeView !== 'undefined') {
-        await TreeView.init(containers.tree);
-        views.tree = TreeView;
-      }
+      // Filters shared across views, and the header menu for them
+      AppStore.init();
+      FilterMenu.init(document.getElementById('filter-menu'));
+      registerSharedFilters();
 
-      if (containers.graph && typeof GraphView !== 'undefined') {
-        await GraphView.init(containers.graph);
-        views.graph = GraphView;
-      }
+      // Completion toggles rendered by any view
+      ProgressStore.bindToggles();
 
-      if (containers.timeline && typeof TimelineView !== 'undefined') {
-        await TimelineView.init(containers.timeline);
-        views.timeline = TimelineView;
-      }
-
-      // Initialize NEW visualization views
-      if (containers.heatmap && typeof HeatmapView !== 'undefined') {
-        await HeatmapView.init(containers.heatmap);
-        views.heatmap = HeatmapView;
-        console.log('📊 Heatmap view initialized');
-      }
-
-      if (containers.sunburst && typeof SunburstView !== 'undefined') {
-        await SunburstView.init(containers.sunburst);
-        views.sunburst = SunburstView;
-        console.log('🌞 Sunburst view initialized');
-      }
-
-      if (containers.kanban && typeof KanbanView !== 'undefined') {
-        await KanbanView.init(containers.kanban);
-        views.kanban = KanbanView;
-        console.log('📋 Kanban view initialized');
-      }
-
-      if (containers.network && typeof NetworkView !== 'undefined') {
-        await NetworkView.init(containers.network);
-        views.network = NetworkView;
-        console.log('🕸️ Network view initialized');
-      }
-
-      // Register view renderers with tab navigation
-      TabNavigation.registerRenderer('index', async () => {
-        if (views.index) await views.index.render();
+      // Register the built-in views, then those listed in the manifest;
+      // each one initializes on its first visit
+      Object.entries(getViewModules()).forEach(([id, module]) => {
+        if (module && document.getElementById(`view-${id}`)) registerView({ id, module, filters: VIEW_FILTERS[id] });
       });
+      await loadViewManifest();
+
+      // Render the view selected by the URL hash (index by default); manifest
+      // views did not exist yet when TabNavigation first read the hash
+      const { view, params } = TabNavigation.parseHash();
+      if (view !== TabNavigation.getCurrentView() && ViewRegistry.has(view)) {
+        await TabNavigation.switchTo(view, false, params);
+      } else {
+        await TabNavigation.switchTo(TabNavigation.getCurrentView(), false);
+      }
 
-      TabNavigation.registerRenderer('cards', async () => {
-        if (views.cards) await views.cards.render();
-      });
+      // Global Ctrl+K search across all views
+      registerCommandPalette();
 
-      TabNavigation.registerRenderer('tree', async () => {
-        if (views.tree) await views.tree.render();
-      });
+      // Export / import of progress, plans and preferences
+      registerBackup();
 
-      TabNavigation.registerRenderer('graph', async () => {
-        if (views.graph) await views.graph.render();
-      });
+      // Surface schema validation problems without blocking the views
+      showDataIssues();
 
-      TabNavigation.registerRenderer('timeline', async () => {
-        if (views.timeline) await views.timeline.render();
-      });
+      // Offline cache, with a prompt when newer data or a new version arrives
+      OfflineSupport.init({ onRefresh: refreshData });
 
-      // Register NEW view renderers
-      TabNavigation.registerRenderer('heatmap', async () => {
-        if (views.heatmap) await views.heatmap.render();
-      });
+      initialized = true;
+      console.log('✅ App initialized successfully with', getAllViews().length, 'views');
 
-      TabNavigation.registerRenderer('sunburst', async () => {
-        if (views.sunburst) await views.sunburst.render();
-      });
+    } catch (error) {
+      console.error('❌ Error initializing app:', error);
+      showError('Failed to initialize application. Please refresh the page.');
+    }
+  }
 
-      TabNavigation.registerRenderer('kanban', async () => {
-        if (views.kanban) await views.kanban.render();
-      });
+  /**
+   * Add a view: its tab button and container (index.html's own when it has
+   * them), its lifecycle entry in ViewRegistry and its renderer
+   * @param {Object} definition
+   * @param {string} definition.id - Tab id, also the URL hash (#<id>)
+   * @param {string} [definition.label] - Tab label; without one the view gets no tab button
+   * @param {string} [definition.icon] - Tab icon
+   * @param {Object} definition.module - View module implementing init() and render()
+   * @param {Object} [definition.filters] - Shared filters in its URL state: { filterKey: stateKey } (AppStore)
+   * @returns {HTMLElement} The view container
+   */
+  function registerView({ id, label, icon, module, filters }) {
+    if (!/^[a-z0-9-]+$/.test(id || '')) {
+      throw new Error(`Invalid view id "${id}" (use lowercase letters, digits and dashes)`);
+    }
+    if (ViewRegistry.has(id)) throw new Error(`View "${id}" is already registered`);
+    if (!ViewRegistry.isViewModule(module)) throw new Error(`View "${id}" must implement init() and render()`);
+
+    const container = TabNavigation.addTab(id, label, icon);
+    if (!container) throw new Error(`No place to add view "${id}"`);
+    ViewRegistry.register(id, module, container);
+    TabNavigation.registerRenderer(id, state => ViewRegistry.show(id, state));
+    if (filters) AppStore.bindView(id, filters);
+    return container;
+  }
 
-      TabNavigation.registerRenderer('network', async () => {
-        if (views.network) await views.network.render();
-      });
+  /**
+   * Load and register the views listed in ui-tabs/views.json:
+   * { "views": [{ id, label, icon, module, script, styles, filters }] }, where module
+   * is the window global the script defines. Scripts load in parallel, tabs
+   * are added in manifest order; a view that fails to load is skipped.
+   * @returns {Promise<string[]>} Ids of the views added
+   */
+  async function loadViewManifest() {
+    let manifest;
+    try {
+      const response = await fetch(VIEW_MANIFEST_URL);
+      if (!response.ok) return [];
+      manifest = await response.json();
+    } catch (error) {
+      console.warn('Could not read the view manifest:', error);
+      return [];
+    }
 
-      // Render default view (index)
-      if (views.index) {
-        await views.index.render();
+    const entries = Array.isArray(manifest.views) ? manifest.views : [];
+    const modules = entries.map(entry => loadManifestView(entry).catch(error => {
+      console.warn(`Could not load view "${entry.id}":`, error);
+      return null;
+    }));
+
+    const added = [];
+    for (const [index, entry] of entries.entries()) {
+      const module = await modules[index];
+      if (!module) continue;
+      try {
+        registerView({ id: entry.id, label: entry.label, icon: entry.icon, module, filters: entry.filters });
+        added.push(entry.id);
+      } catch (error) {
+        console.warn(`Could not add view "${entry.id}":`, error);
       }
+    }
+    return added;
+  }
 
-      initialized = true;
-      console.log('✅ App initialized successfully with', Object.keys(views).filter(v => views[v]).length, 'views');
-
-    } catch (error) {
-      console.error('❌ Error initializing app:', error);
-      showError('Failed to initialize application. Please refresh the page.');
+  /**
+   * Load a manifest view's stylesheet and script; resolves to its module
+   */
+  function loadManifestView(entry) {
+    if (!entry.script || !entry.module) {
+      return Promise.reject(new Error('a manifest view needs "script" and "module"'));
     }
+    const name = `view:${entry.id}`;
+    DependencyLoader.register(name, {
+      global: entry.module,
+      scripts: [entry.script],
+      styles: entry.styles ? [entry.styles] : []
+    });
+    return DependencyLoader.load(name);
   }
 
   /**
@@ -165,35 +210,204 @@ const App = (() => {
     }
   }
 
+  /**
+   * Validate the loaded data (schema + referential integrity) and show a
+   * dismissible banner when issues are found
+   */
+  async function showDataIssues() {
+    try {
+      const report = await DataLoader.getDataReport();
+      const existing = document.getElementById('data-issues');
+      if (existing) existing.remove();
+
+      const html = DataValidator.renderBanner(report);
+      if (!html) return;
+
+      const banner = document.createElement('div');
+      banner.id = 'data-issues';
+      banner.innerHTML = html;
+      banner.querySelector('.data-issues-dismiss')?.addEventListener('click', () => banner.remove());
+
+      const main = document.querySelector('.main-content');
+      if (main) main.prepend(banner);
+      return report;
+    } catch (error) {
+      console.warn('Could not validate roadmap data:', error);
+    }
+  }
+
+  /**
+   * Switch to a view, wait for it to render, then let it focus an item
+   */
+  async function openInView(viewId, focus) {
+    if (!ViewRegistry.has(viewId)) return;
+    await TabNavigation.switchTo(viewId);
+    const view = ViewRegistry.get(viewId);
+    if (focus && view) focus(view);
+  }
+
+  /**
+   * Rank short labelled items for the command palette
+   */
+  function matchItems(items, query, getText) {
+    return items
+      .map(item => ({ item, score: CommandPalette.matchScore(query, getText(item)) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(entry => entry.item);
+  }
+
+  /**
+   * Wire the header backup button and re-render the current view after an import
+   */
+  function registerBackup() {
+    const trigger = document.getElementById('backup-btn');
+    if (trigger) trigger.addEventListener('click', () => BackupDialog.open());
+
+    UserState.on('load', () => {
+      TabNavigation.switchTo(TabNavigation.getCurrentView(), false);
+    });
+  }
+
+  /**
+   * Give DataLoader the active profile's custom career paths, now and whenever
+   * they are edited, imported or the profile changes
+   */
+  function registerCustomPaths() {
+    const sync = () => DataLoader.setCustomPaths(UserState.getCustomPaths());
+    sync();
+    UserState.on('paths', sync);
+    UserState.on('load', sync);
+  }
+
+  /**
+   * Re-render the current view when the shared filters change from elsewhere
+   * (the filter menu, the sync option, another profile); the other views get
+   * the new filters in their URL state and render them on their next visit
+   */
+  function registerSharedFilters() {
+    AppStore.on('change', ({ source }) => {
+      const current = TabNavigation.getCurrentView();
+      if (source === current || !ViewRegistry.isInitialized(current)) return;
+      ViewRegistry.show(current, TabNavigation.getState(current));
+    });
+  }
+
+  /**
+   * Register the command palette and its result providers
+   * (courses, categories, career paths, stages and external resources)
+   */
+  function registerCommandPalette() {
+    CommandPalette.init();
+
+    const trigger = document.getElementById('command-palette-btn');
+    if (trigger) trigger.addEventListener('click', () => CommandPalette.open());
+
+    CommandPalette.registerProvider('courses', async query => {
+      const hits = await DataLoader.searchRanked(query, { limit: 6 });
+      return hits.map(hit => ({
+        type: 'Courses',
+        icon: '🎓',
+        title: hit.course.title,
+        titleHtml: SearchEngine.highlight(hit.course.title, hit.matches.title),
+        subtitle: [hit.course.difficulty, Utils.formatDuration(hit.course.duration_hours), hit.course.partner]
+          .filter(Boolean).join(' · '),
+        action: () => CourseDetailView.open(hit.id)
+      }));
+    });
+
+    CommandPalette.registerProvider('categories', async query => {
+      const { categories } = await DataLoader.loadProcessedData();
+      const entries = Object.entries(categories).map(([id, category]) => ({ id, ...category }));
+      return matchItems(entries, query, c => `${c.name} ${c.id}`).map(category => ({
+        type: 'Categories',
+        icon: category.icon || '📁',
+        title: category.name,
+        subtitle: category.description || '',
+        action: () => openInView('index', view => view.focusCategory(category.id))
+      }));
+    });
+
+    CommandPalette.registerProvider('paths', async query => {
+      const { paths } = await DataLoader.loadProcessedData();
+      const entries = Object.entries(paths).map(([id, path]) => ({ id, ...path }));
+      return matchItems(entries, query, p => `${p.name} ${p.id}`).map(path => ({
+        type: 'Career Paths',
+        icon: PathRegistry.get(path.id).icon,
+        title: path.name,
+        subtitle: path.description || '',
+        action: () => openInView('sunburst', view => view.focusPath(path.id))
+      }));
+    });
+
+    CommandPalette.registerProvider('stages', async query => {
+      const { paths } = await DataLoader.loadProcessedData();
+      const stages = [];
+      Object.entries(paths).forEach(([pathId, path]) => {
+        path.stages.forEach((stage, index) => {
+          stages.push({ pathId, pathName: path.name, index, name: stage.name, count: (stage.courses || []).length });
+        });
+      });
+      return matchItems(stages, query, s => s.name).map(stage => ({
+        type: 'Stages',
+        icon: PathRegistry.get(stage.pathId).icon,
+        title: stage.name,
+        subtitle: `${stage.pathName} · stage ${stage.index + 1} · ${stage.count} courses`,
+        action: () => openInView('kanban', view => view.focusStage(stage.pathId, stage.index))
+      }));
+    });
+
+    CommandPalette.registerProvider('resources', async query => {
+      const { externalResources } = await DataLoader.loadProcessedData();
+      const resources = [];
+      (externalResources || []).forEach(gap => {
+        (gap.recommended_resources || []).forEach(resource => {
+          resources.push({ ...resource, gapTitle: gap.title });
+        });
+      });
+      return matchItems(resources, query, r => `${r.name} ${r.gapTitle} ${r.type || ''}`).map(resource => ({
+        type: 'External Resources',
+        icon: '🔗',
+        title: resource.name,
+        subtitle: `${resource.gapTitle}${resource.type ? ` · ${resource.type}` : ''}`,
+        action: () => openInView('resources', view => view.focusResource(resource.id))
+      }));
+    });
+  }
+
   /**
    * Refresh all data
    */
   async function refreshData() {
     DataLoader.clearCache();
-    const currentView = TabNavigation.getCurrentView();
-    if (views[currentView] && views[currentView].refresh) {
-      await views[currentView].refresh();
+    const view = ViewRegistry.get(TabNavigation.getCurrentView());
+    if (view && view.refresh) {
+      await view.refresh();
     }
+    await showDataIssues();
   }
 
   /**
-   * Get view instance
+   * Get a view module (null until the view has been visited)
    */
   function getView(viewId) {
-    return views[viewId];
+    return ViewRegistry.get(viewId);
   }
 
   /**
    * Get all registered views
    */
   function getAllViews() {
-    return Object.keys(views).filter(v => views[v]);
+    return ViewRegistry.list();
   }
 
   // Public API
   return {
     init,
+    registerView,
+    loadViewManifest,
     refreshData,
+    showDataIssues,
     getView,
     getAllViews
   };
@@ -0,0 +1,118 @@
+/**
+ * Service Worker
+ * Makes the roadmap work offline after the first visit: the app shell, every
+ * view, the roadmap data and the vendored libraries are precached, and every
+ * same-origin GET is answered stale-while-revalidate — from the cache at once,
+ * refreshed from the network in the background. When a refreshed data file
+ * differs from the cached one, open pages get a 'data-updated' message
+ * (OfflineSupport shows a "new data available" prompt).
+ *
+ * Views added through ui-tabs/views.json are cached on their first load.
+ * Bump CACHE_VERSION when files are added, removed or renamed.
+ */
+
+const CACHE_VERSION = 'v5';
+const CACHE_NAME = `ai-roadmap-${CACHE_VERSION}`;
+const CACHE_PREFIX = 'ai-roadmap-';
+
+const VIEWS = [
+  'index', 'cards', 'tree', 'graph', 'timeline', 'heatmap', 'sunburst', 'kanban', 'network',
+  'planner', 'schedule', 'team', 'skills', 'gaps', 'resources', 'paths', 'course'
+];
+
+const SHARED_MODULES = [
+  'utils', 'data-validator', 'search-engine', 'skill-catalog', 'gap-analyzer', 'external-resources',
+  'path-registry', 'data-loader', 'tab-navigation', 'view-registry', 'command-palette', 'learning-planner',
+  'study-scheduler', 'progress-store', 'user-state', 'backup-dialog', 'profile-switcher', 'app-store',
+  'filter-menu', 'offline-support', 'dependency-loader'
+];
+
+const DATA_FILES = [
+  'courses', 'courses-index', 'categories', 'paths', 'career-paths', 'external-resources', 'schema',
+  'search-index', 'skill-aliases', 'relationships', 'database-system'
+];
+
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './css/styles.css',
+  './js/app.js',
+  './ui-tabs/views.json',
+  ...SHARED_MODULES.map(name => `./ui-tabs/shared/${name}.js`),
+  ...VIEWS.flatMap(name => [`./ui-tabs/${name}-view/view.js`, `./ui-tabs/${name}-view/styles.css`]),
+  ...DATA_FILES.map(name => `./config-roadmap/${name}.json`),
+  './vendor/d3/d3.v7.min.js',
+  './vendor/vis-network/vis-network.min.js',
+  './vendor/vis-network/vis-network.min.css'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// A new version waits until the page asks it to take over (OfflineSupport.applyUpdate)
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  const cached = matchCache(request);
+  const revalidated = revalidate(request, cached);
+  event.waitUntil(revalidated.catch(() => {}));
+  event.respondWith(cached.then(response => response || revalidated));
+});
+
+/**
+ * Cached response for a request; page navigations fall back to the app shell
+ */
+async function matchCache(request) {
+  const response = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (response || request.mode !== 'navigate') return response;
+  return caches.match('./index.html');
+}
+
+/**
+ * Fetch a fresh copy, store it and tell the pages when roadmap data changed
+ */
+async function revalidate(request, cached) {
+  const response = await fetch(request.url, { cache: 'no-cache', credentials: 'same-origin' });
+  if (!response.ok) return response;
+
+  const previous = await cached;
+  const changed = Boolean(previous) && isDataFile(request.url) &&
+    await hasChanged(previous.clone(), response.clone());
+
+  // Store first: a page reloading its data on the message must get the new copy
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(request, response.clone());
+
+  if (changed) notifyClients({ type: 'data-updated', url: request.url });
+  return response;
+}
+
+function isDataFile(url) {
+  return new URL(url).pathname.includes('/config-roadmap/');
+}
+
+async function hasChanged(previous, current) {
+  const [before, after] = await Promise.all([previous.text(), current.text()]);
+  return before !== after;
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
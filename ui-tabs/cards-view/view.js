@@ -6,7 +6,11 @@
 
 const CardsView = (() => {
   let container = null;
+  let subscriptions = []; // store listeners, active while the view is shown
   let data = null;
+  let coursesById = new Map();
+  let coursePaths = new Map(); // courseId -> path ids, for the shared path filter
+  let searchRequestId = 0;
 
   /**
    * Initialize the view
@@ -16,6 +20,31 @@ const CardsView = (() => {
     injectStyles();
   }
 
+  /**
+   * Follow progress changes while the view is shown
+   */
+  function mount() {
+    subscriptions = [
+      ProgressStore.on('change', markProgress),
+      ProgressStore.on('reset', markProgress)
+    ];
+  }
+
+  function unmount() {
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+  }
+
+  /**
+   * Reflect each card's progress status in its data-progress attribute
+   * (and hide newly completed courses when the shared filters ask to)
+   */
+  function markProgress() {
+    if (!container) return;
+    ProgressStore.markElements(container.querySelectorAll('.course-card'), card => card.dataset.id);
+    if (AppStore.countActive() && AppStore.getFilters().hideCompleted) applyFilters();
+  }
+
   /**
    * Inject component-specific styles
    */
@@ -41,6 +70,8 @@ const CardsView = (() => {
       data = await DataLoader.loadCourses();
       const courses = data.courses || [];
       const categories = data.categories || {};
+      coursesById = new Map(courses.map(c => [c.id, c]));
+      coursePaths = (await DataLoader.loadProcessedData()).coursePaths;
 
       container.innerHTML = `
         <div class="cards-container">
@@ -50,7 +81,7 @@ const CardsView = (() => {
               <input type="text" 
                      id="cards-search" 
                      class="search-input" 
-                     placeholder="Search courses...">
+                     placeholder="Search titles, skills, tags...">
               <select id="cards-category-filter" class="filter-select">
                 <option value="">All Categories</option>
                 ${Object.entries(categories).map(([key, cat]) => 
@@ -75,6 +106,7 @@ const CardsView = (() => {
       `;
 
       attachEventListeners();
+      restoreState();
 
     } catch (error) {
       console.error('Error rendering cards view:', error);
@@ -91,11 +123,12 @@ const CardsView = (() => {
     
     // Determine card color based on primary career path
     const primaryPath = course.career_paths?.[0] || 'trunk';
-    const cardColor = Utils.getPathColor(primaryPath);
+    const cardColor = PathRegistry.color(primaryPath);
 
     return `
       <article class="course-card" 
                data-id="${course.id}" 
+               data-progress="${ProgressStore.getStatus(course.id)}" 
                data-category="${course.category}"
                data-difficulty="${difficultyClass}"
                data-duration="${course.duration_hours || 0}"
@@ -114,7 +147,9 @@ const CardsView = (() => {
           <div class="card-meta">
             <span class="difficulty-badge ${difficultyClass}">${course.difficulty || 'Beginner'}</span>
             <span class="duration">⏱ ${Utils.formatDuration(course.duration_hours)}</span>
+            ${ProgressStore.renderToggle(course.id)}
           </div>
+          <a href="${Utils.getCourseDetailUrl(course.id)}" class="course-detail-link" title="Course details">ℹ️ Details</a>
           <a href="${course.url || '#'}" class="card-link" target="_blank" rel="noopener">
             View Course →
           </a>
@@ -132,15 +167,24 @@ const CardsView = (() => {
     const sortSelect = document.getElementById('cards-sort');
 
     if (searchInput) {
-      searchInput.addEventListener('input', Utils.debounce(applyFilters, 300));
+      searchInput.addEventListener('input', Utils.debounce(() => {
+        TabNavigation.setState({ q: searchInput.value.trim() }, { viewId: 'cards' });
+        applyFilters();
+      }, 300));
     }
 
     if (categoryFilter) {
-      categoryFilter.addEventListener('change', applyFilters);
+      categoryFilter.addEventListener('change', () => {
+        TabNavigation.setState({ category: categoryFilter.value }, { push: true, viewId: 'cards' });
+        applyFilters();
+      });
     }
 
     if (sortSelect) {
-      sortSelect.addEventListener('change', applySort);
+      sortSelect.addEventListener('change', () => {
+        TabNavigation.setState({ sort: sortSelect.value === 'order' ? '' : sortSelect.value }, { push: true, viewId: 'cards' });
+        applySort();
+      });
     }
 
     // Card hover effects
@@ -154,31 +198,104 @@ const CardsView = (() => {
     });
   }
 
+  /**
+   * Restore search, category and sort from the URL state (#cards?q=&category=&sort=)
+   */
+  function restoreState() {
+    const state = TabNavigation.getState('cards');
+    const searchInput = document.getElementById('cards-search');
+    const categoryFilter = document.getElementById('cards-category-filter');
+    const sortSelect = document.getElementById('cards-sort');
+
+    if (searchInput) searchInput.value = state.q || '';
+    if (categoryFilter) {
+      // Several categories can come from the shared filters (AppStore)
+      if ((state.category || '').includes(',')) {
+        categoryFilter.insertAdjacentHTML('beforeend',
+          `<option value="${Utils.escapeHtml(state.category)}">Several categories</option>`);
+      }
+      categoryFilter.value = state.category || '';
+    }
+    if (sortSelect) sortSelect.value = state.sort || 'order';
+
+    if (state.q || state.category || AppStore.countActive()) {
+      applyFilters();
+    } else if (state.sort) {
+      applySort();
+    }
+  }
+
   /**
    * Apply filters to cards
+   * While searching, cards are ordered by relevance and matches are highlighted;
+   * the shared filters (AppStore) apply on top when they are synced across views
    */
-  function applyFilters() {
-    const searchTerm = document.getElementById('cards-search')?.value.toLowerCase() || '';
+  async function applyFilters() {
+    const input = document.getElementById('cards-search')?.value.trim() || '';
+    // A query of stop words only ("the") has no tokens: treat it as an empty box
+    const searchTerm = SearchEngine.tokenize(input).length ? input : '';
     const categoryFilter = document.getElementById('cards-category-filter')?.value || '';
+    const categories = categoryFilter.split(',').filter(Boolean);
+
+    const requestId = ++searchRequestId;
+    const hits = searchTerm ? await DataLoader.searchRanked(searchTerm, { limit: Infinity }) : [];
+    if (requestId !== searchRequestId) return; // a newer search is running
+    const hitsById = new Map(hits.map(hit => [hit.id, hit]));
 
     const cards = document.querySelectorAll('.course-card');
     let visibleCount = 0;
 
     cards.forEach(card => {
-      const title = card.dataset.title || '';
+      const hit = hitsById.get(card.dataset.id);
       const category = card.dataset.category || '';
 
-      const matchesSearch = !searchTerm || title.includes(searchTerm);
-      const matchesCategory = !categoryFilter || category === categoryFilter;
+      const matchesSearch = !searchTerm || Boolean(hit);
+      const matchesCategory = !categories.length || categories.includes(category);
+      const course = coursesById.get(card.dataset.id);
 
-      const visible = matchesSearch && matchesCategory;
+      const visible = matchesSearch && matchesCategory && AppStore.matches(course, coursePaths.get(card.dataset.id) || []);
       card.style.display = visible ? '' : 'none';
       if (visible) visibleCount++;
+
+      highlightCard(card, hit);
     });
 
     // Update count
     const countEl = document.getElementById('cards-count');
     if (countEl) countEl.textContent = visibleCount;
+
+    if (searchTerm) {
+      const grid = document.getElementById('cards-grid');
+      hits.forEach(hit => {
+        const card = grid?.querySelector(`.course-card[data-id="${CSS.escape(hit.id)}"]`);
+        if (card) grid.appendChild(card);
+      });
+    } else {
+      applySort();
+    }
+  }
+
+  /**
+   * Highlight search matches in a card's title and description
+   */
+  function highlightCard(card, hit) {
+    const course = coursesById.get(card.dataset.id);
+    if (!course) return;
+
+    const titleEl = card.querySelector('.card-title');
+    const descEl = card.querySelector('.card-description');
+    const description = course.description || 'No description available.';
+
+    if (titleEl) {
+      titleEl.innerHTML = hit && hit.matches.title
+        ? SearchEngine.highlight(course.title, hit.matches.title)
+        : Utils.escapeHtml(course.title);
+    }
+    if (descEl) {
+      descEl.innerHTML = hit && hit.matches.description && course.description
+        ? SearchEngine.highlight(course.description, hit.matches.description)
+        : Utils.escapeHtml(description);
+    }
   }
 
   /**
@@ -190,6 +307,7 @@ const CardsView = (() => {
     if (!grid) return;
 
     const cards = Array.from(grid.querySelectorAll('.course-card'));
+    const courseIds = Array.from(coursesById.keys());
     
     cards.sort((a, b) => {
       switch (sortBy) {
@@ -201,7 +319,8 @@ const CardsView = (() => {
         case 'duration':
           return (parseFloat(a.dataset.duration) || 0) - (parseFloat(b.dataset.duration) || 0);
         default:
-          return 0;
+          // Original data order (restores the grid after a relevance-ordered search)
+          return courseIds.indexOf(a.dataset.id) - courseIds.indexOf(b.dataset.id);
       }
     });
 
@@ -219,8 +338,10 @@ const CardsView = (() => {
   // Public API
   return {
     init,
+    mount,
     render,
-    refresh
+    refresh,
+    unmount
   };
 })();
 
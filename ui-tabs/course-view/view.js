@@ -0,0 +1,319 @@
+/**
+ * Course Detail View Component
+ * Everything known about a single course, routed as #course/<id>.
+ * Not a tab: other views link here via Utils.getCourseDetailUrl().
+ */
+
+const CourseDetailView = (() => {
+  let container = null;
+  let courseId = null;
+  let unsubscribeProgress = null;
+
+  /**
+   * Initialize the view
+   */
+  async function init(containerElement) {
+    container = containerElement;
+    injectStyles();
+
+    container.addEventListener('click', handleClick);
+    container.addEventListener('change', handleChange);
+  }
+
+  /**
+   * Follow progress changes of the shown course while the view is shown
+   */
+  function mount() {
+    unsubscribeProgress = ProgressStore.on('change', ({ courseId: changedId }) => {
+      if (changedId === courseId) updateProgressSection();
+    });
+  }
+
+  function unmount() {
+    unsubscribeProgress();
+    unsubscribeProgress = null;
+  }
+
+  /**
+   * Remove the container listeners; the next visit initializes the view again
+   */
+  function destroy() {
+    container.removeEventListener('click', handleClick);
+    container.removeEventListener('change', handleChange);
+    container = null;
+  }
+
+  /**
+   * Inject component-specific styles
+   */
+  function injectStyles() {
+    if (document.getElementById('course-view-styles')) return;
+
+    const link = document.createElement('link');
+    link.id = 'course-view-styles';
+    link.rel = 'stylesheet';
+    link.href = 'ui-tabs/course-view/styles.css';
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Render the course selected by the URL (#course/<id>)
+   */
+  async function render() {
+    if (!container) return;
+
+    courseId = TabNavigation.getState('course').id;
+    container.innerHTML = Utils.createLoadingSpinner('Loading course...');
+
+    try {
+      const data = await DataLoader.loadProcessedData();
+      const course = data.coursesMap.get(courseId);
+
+      if (!course) {
+        container.innerHTML = `
+          <div class="course-detail">
+            ${renderBackButton()}
+            ${Utils.createErrorMessage('Course not found', `No course with id "${Utils.escapeHtml(courseId || '')}".`)}
+          </div>
+        `;
+        return;
+      }
+
+      const [chain, next, skills] = await Promise.all([
+        DataLoader.getPrerequisiteChain(course.id),
+        DataLoader.getRecommendedNext(course.id),
+        DataLoader.loadSkillCatalog()
+      ]);
+      const prerequisites = chain.filter(c => c.id !== course.id);
+      const placements = findPlacements(course.id, data.paths);
+      const resources = findRelatedResources(course, data.externalResources);
+      const category = data.categories[course.category] || { name: course.category || 'General', icon: '📚' };
+      const difficultyClass = (course.difficulty || 'beginner').toLowerCase();
+
+      container.innerHTML = `
+        <article class="course-detail">
+          ${renderBackButton()}
+
+          <header class="course-detail-header">
+            <div class="course-detail-category">${category.icon || '📚'} ${Utils.escapeHtml(category.name)}</div>
+            <h2>${Utils.escapeHtml(course.title)}</h2>
+            <div class="course-detail-meta">
+              <span class="difficulty-badge ${difficultyClass}">${course.difficulty || 'N/A'}</span>
+              <span>⏱ ${Utils.formatDuration(course.duration_hours)}</span>
+              ${course.partner ? `<span>🤝 ${Utils.escapeHtml(course.partner)}</span>` : ''}
+            </div>
+            <div class="course-detail-actions">
+              ${ProgressStore.renderToggle(course.id, { label: true, className: 'course-detail-progress' })}
+              <a href="${TabNavigation.buildHash('planner', { courses: course.id })}" class="course-detail-plan">🧭 Plan my way here</a>
+              ${course.url ? `<a href="${course.url}" class="course-detail-open" target="_blank" rel="noopener">Open Course →</a>` : ''}
+            </div>
+          </header>
+
+          <section class="course-detail-section" id="course-detail-progress-section">
+            ${renderProgress(course.id)}
+          </section>
+
+          <section class="course-detail-section">
+            <h3>About</h3>
+            <p>${Utils.escapeHtml(course.description || 'No description available.')}</p>
+          </section>
+
+          ${course.skills_gained?.length ? `
+            <section class="course-detail-section">
+              <h3>Skills Gained</h3>
+              <div class="course-detail-tags">
+                ${course.skills_gained.map(s => `
+                  <a class="skill" href="${TabNavigation.buildHash('skills', { skill: skills.idOf(s) })}">${Utils.escapeHtml(s)}</a>
+                `).join('')}
+              </div>
+            </section>
+          ` : ''}
+
+          <section class="course-detail-section">
+            <h3>Career Paths</h3>
+            ${placements.length ? `
+              <ul class="course-detail-paths">
+                ${placements.map(p => `
+                  <li>
+                    <a href="${TabNavigation.buildHash('kanban', { path: p.pathId })}" style="border-color: ${p.color}">
+                      ${p.icon} <strong>${Utils.escapeHtml(p.pathName)}</strong>
+                      <span>Stage ${p.stageIndex + 1}: ${Utils.escapeHtml(p.stageName)}</span>
+                    </a>
+                  </li>
+                `).join('')}
+              </ul>
+            ` : '<p class="course-detail-empty">Not part of any career path stage yet.</p>'}
+          </section>
+
+          <div class="course-detail-columns">
+            <section class="course-detail-section">
+              <h3>Prerequisite Chain</h3>
+              ${prerequisites.length ? `
+                <ol class="course-detail-chain">
+                  ${prerequisites.map(renderCourseLink).join('')}
+                </ol>
+              ` : '<p class="course-detail-empty">No prerequisites — a good starting point.</p>'}
+            </section>
+
+            <section class="course-detail-section">
+              <h3>Recommended Next</h3>
+              ${next.length ? `
+                <ul class="course-detail-next">
+                  ${next.map(renderCourseLink).join('')}
+                </ul>
+              ` : '<p class="course-detail-empty">No recommendations.</p>'}
+            </section>
+          </div>
+
+          ${resources.length ? `
+            <section class="course-detail-section">
+              <h3>Related External Resources</h3>
+              ${resources.map(gap => `
+                <div class="course-detail-gap">
+                  <h4><a href="${TabNavigation.buildHash('resources', { topic: gap.id })}">${Utils.escapeHtml(gap.title)}</a></h4>
+                  <ul>
+                    ${(gap.recommended_resources || []).map(r => `
+                      <li>
+                        ${ProgressStore.renderToggle(r.id)}
+                        <a href="${r.url}" target="_blank" rel="noopener">${Utils.escapeHtml(r.name)}</a>
+                        <span class="resource-type">${ExternalResources.typeMeta(r.type).icon} ${Utils.escapeHtml(ExternalResources.typeMeta(r.type).label)}</span>
+                      </li>
+                    `).join('')}
+                  </ul>
+                </div>
+              `).join('')}
+            </section>
+          ` : ''}
+        </article>
+      `;
+    } catch (error) {
+      console.error('Error rendering course detail:', error);
+      container.innerHTML = Utils.createErrorMessage('Error', 'Failed to load course details.');
+    }
+  }
+
+  function renderBackButton() {
+    return '<button class="course-detail-back" data-action="back">← Back</button>';
+  }
+
+  function renderCourseLink(course) {
+    return `
+      <li>
+        <a href="${Utils.getCourseDetailUrl(course.id)}">${Utils.escapeHtml(course.title)}</a>
+        <span class="course-detail-hours">${Utils.formatDuration(course.duration_hours)}</span>
+      </li>
+    `;
+  }
+
+  /**
+   * Status, timestamps and note from the shared progress store
+   */
+  function renderProgress(id) {
+    const record = ProgressStore.get(id);
+    const formatTime = iso => new Date(iso).toLocaleDateString(undefined, { dateStyle: 'medium' });
+
+    return `
+      <h3>Your Progress</h3>
+      <div class="course-detail-status">
+        <select id="course-detail-status" class="filter-select" aria-label="Progress status">
+          ${Object.entries(ProgressStore.STATUS_META).map(([status, meta]) => `
+            <option value="${status}" ${record.status === status ? 'selected' : ''}>${meta.icon} ${meta.label}</option>
+          `).join('')}
+        </select>
+        ${record.startedAt ? `<span>Started ${formatTime(record.startedAt)}</span>` : ''}
+        ${record.completedAt ? `<span>Completed ${formatTime(record.completedAt)}</span>` : ''}
+      </div>
+      <textarea id="course-detail-note" class="course-detail-note" rows="3"
+                placeholder="Notes (saved when you leave the field)">${Utils.escapeHtml(record.note)}</textarea>
+    `;
+  }
+
+  function updateProgressSection() {
+    const section = document.getElementById('course-detail-progress-section');
+    if (section && document.activeElement?.id !== 'course-detail-note') {
+      section.innerHTML = renderProgress(courseId);
+    }
+  }
+
+  /**
+   * Every (path, stage) pair that contains the course
+   */
+  function findPlacements(id, paths) {
+    const placements = [];
+    Object.entries(paths).forEach(([pathId, path]) => {
+      (path.stages || []).forEach((stage, stageIndex) => {
+        if ((stage.courses || []).some(c => c.id === id)) {
+          placements.push({
+            pathId,
+            pathName: path.name,
+            color: PathRegistry.color(pathId),
+            icon: PathRegistry.icon(pathId),
+            stageIndex,
+            stageName: stage.name
+          });
+        }
+      });
+    });
+    return placements;
+  }
+
+  /**
+   * External resource gaps in the course's category, then those sharing a career path
+   */
+  function findRelatedResources(course, externalResources) {
+    const paths = course.career_paths || [];
+    return (externalResources || [])
+      .map(gap => ({
+        gap,
+        score: (gap.category === course.category ? 2 : 0) +
+          ((gap.career_paths || []).some(p => paths.includes(p)) ? 1 : 0)
+      }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(entry => entry.gap);
+  }
+
+  function handleClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action === 'back') {
+      history.length > 1 ? history.back() : TabNavigation.switchTo('index');
+    }
+  }
+
+  function handleChange(e) {
+    if (!courseId) return;
+    if (e.target.id === 'course-detail-status') {
+      ProgressStore.setStatus(courseId, e.target.value);
+    } else if (e.target.id === 'course-detail-note') {
+      ProgressStore.setNote(courseId, e.target.value);
+    }
+  }
+
+  /**
+   * Navigate to a course's detail page
+   */
+  function open(id) {
+    return TabNavigation.switchTo('course', true, { id });
+  }
+
+  async function refresh() {
+    DataLoader.clearCache();
+    await render();
+  }
+
+  // Public API
+  return {
+    init,
+    mount,
+    render,
+    refresh,
+    open,
+    unmount,
+    destroy
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CourseDetailView;
+}
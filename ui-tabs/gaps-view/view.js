@@ -0,0 +1,296 @@
+/**
+ * Gaps View Component
+ * Skill-gap report for a career path (GapAnalyzer): covered, in progress and
+ * missing skills, the remaining courses that close each gap, matching external
+ * resources and the hours left. Exports as Markdown or JSON.
+ * The path lives in the URL: #gaps?path=researcher
+ */
+
+const GapsView = (() => {
+  let container = null;
+  let subscriptions = []; // store listeners, active while the view is shown
+  let data = null;
+  let catalog = null;
+  let report = null;
+
+  /**
+   * Initialize the view
+   */
+  async function init(containerElement) {
+    container = containerElement;
+    injectStyles();
+  }
+
+  /**
+   * Follow progress changes while the view is shown
+   */
+  function mount() {
+    subscriptions = [
+      ProgressStore.on('change', () => { if (report) renderReport(); }),
+      ProgressStore.on('reset', () => { if (report) renderReport(); })
+    ];
+  }
+
+  function unmount() {
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+  }
+
+  /**
+   * Inject component-specific styles
+   */
+  function injectStyles() {
+    if (document.getElementById('gaps-view-styles')) return;
+
+    const link = document.createElement('link');
+    link.id = 'gaps-view-styles';
+    link.rel = 'stylesheet';
+    link.href = 'ui-tabs/gaps-view/styles.css';
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Render the gap analysis
+   */
+  async function render() {
+    if (!container) return;
+
+    container.innerHTML = Utils.createLoadingSpinner('Analyzing skill gaps...');
+
+    try {
+      [data, catalog] = await Promise.all([DataLoader.loadProcessedData(), DataLoader.loadSkillCatalog()]);
+      const pathId = getPathId();
+
+      container.innerHTML = `
+        <div class="gaps-container">
+          <div class="gaps-header">
+            <h2>🎯 Skill Gap Analysis</h2>
+            <p>What a career path requires compared to what you've completed, and the shortest way to close the difference.</p>
+          </div>
+
+          <div class="gaps-controls">
+            <label>
+              <span>Target role</span>
+              <select id="gaps-path" class="filter-select">
+                ${stagedPaths().map(([id]) => `
+                  <option value="${id}" ${id === pathId ? 'selected' : ''}>${PathRegistry.label(id)}</option>
+                `).join('')}
+              </select>
+            </label>
+            <a class="gaps-btn" id="gaps-plan">🧭 Plan these courses</a>
+            <button type="button" class="gaps-btn" data-export="md">⬇️ Markdown</button>
+            <button type="button" class="gaps-btn" data-export="json">⬇️ JSON</button>
+          </div>
+
+          <div id="gaps-report"></div>
+        </div>
+      `;
+
+      attachEventListeners();
+      renderReport();
+    } catch (error) {
+      console.error('Error rendering gap analysis:', error);
+      container.innerHTML = Utils.createErrorMessage('Error', 'Failed to analyze skill gaps.');
+    }
+  }
+
+  /**
+   * Career paths with stages
+   */
+  function stagedPaths() {
+    return Object.entries(data.paths).filter(([, path]) => Array.isArray(path.stages) && path.stages.length);
+  }
+
+  /**
+   * Path from the URL, else the profile's career path, else the first path
+   */
+  function getPathId() {
+    const ids = stagedPaths().map(([id]) => id);
+    const candidates = [TabNavigation.getState('gaps').path, UserState.getCareerPath()];
+    return candidates.find(id => ids.includes(id)) || ids[0];
+  }
+
+  function courseLink(id) {
+    const course = data.coursesMap.get(id);
+    return `<a href="${Utils.getCourseDetailUrl(id)}">${Utils.escapeHtml(course ? course.title : id)}</a>`;
+  }
+
+  function resourceById(id) {
+    return data.externalResources.find(resource => resource.id === id);
+  }
+
+  /**
+   * Recompute the report for the selected path and draw it
+   */
+  function renderReport() {
+    const target = document.getElementById('gaps-report');
+    if (!target) return;
+
+    const pathId = getPathId();
+    report = GapAnalyzer.analyze({
+      pathId,
+      path: data.paths[pathId],
+      catalog,
+      coursesMap: data.coursesMap,
+      externalResources: data.externalResources,
+      getStatus: ProgressStore.getStatus
+    });
+
+    const plan = document.getElementById('gaps-plan');
+    plan.href = TabNavigation.buildHash('planner', { courses: report.closingCourses.map(c => c.id).join(',') });
+    plan.classList.toggle('hidden', report.closingCourses.length === 0);
+
+    const { covered, partial, missing } = report.skills;
+    const total = covered.length + partial.length + missing.length;
+
+    target.innerHTML = `
+      <div class="gaps-stats">
+        <div class="gaps-stat">
+          <span class="gaps-stat-value">${Math.round(report.coverage * 100)}%</span>
+          <span class="gaps-stat-label">${covered.length} of ${total} skills covered</span>
+        </div>
+        <div class="gaps-stat">
+          <span class="gaps-stat-value">${missing.length + partial.length}</span>
+          <span class="gaps-stat-label">gaps (${partial.length} in progress)</span>
+        </div>
+        <div class="gaps-stat">
+          <span class="gaps-stat-value">${Utils.formatDuration(report.closingHours)}</span>
+          <span class="gaps-stat-label">to close the gaps (${report.closingCourses.length} courses)</span>
+        </div>
+        <div class="gaps-stat">
+          <span class="gaps-stat-value">${Utils.formatDuration(report.remainingHours)}</span>
+          <span class="gaps-stat-label">to finish the path (${report.remainingCourses.length} courses)</span>
+        </div>
+      </div>
+
+      <div class="gaps-columns">
+        <section class="gaps-section">
+          <h3>Gaps</h3>
+          ${missing.length + partial.length ? `
+            <ul class="gaps-list">
+              ${[...partial, ...missing].map(renderGap).join('')}
+            </ul>
+          ` : '<p class="gaps-empty">No gaps — every skill of this path is covered. 🎉</p>'}
+        </section>
+
+        <section class="gaps-section">
+          <h3>Courses that close them</h3>
+          ${report.closingCourses.length ? `
+            <ol class="gaps-courses">
+              ${report.closingCourses.map(course => `
+                <li>
+                  ${ProgressStore.renderToggle(course.id)}
+                  ${courseLink(course.id)}
+                  <small>⏱ ${Utils.formatDuration(course.hours)} · closes ${course.closes.length} skill${course.closes.length === 1 ? '' : 's'}${course.inPath ? '' : ' · outside the path'}</small>
+                </li>
+              `).join('')}
+            </ol>
+          ` : '<p class="gaps-empty">Nothing left to take.</p>'}
+
+          <h3>Covered skills</h3>
+          ${covered.length ? `
+            <div class="gaps-covered">
+              ${covered.map(skill => `<a class="gaps-skill" href="${TabNavigation.buildHash('skills', { skill: skill.id })}">✓ ${Utils.escapeHtml(skill.name)}</a>`).join('')}
+            </div>
+          ` : '<p class="gaps-empty">None yet — complete a course of this path to start.</p>'}
+        </section>
+      </div>
+
+      ${report.pathResources.length ? `
+        <section class="gaps-section">
+          <h3>Beyond the courses</h3>
+          <ul class="gaps-resources">
+            ${report.pathResources.map(resourceById).filter(Boolean).map(resource => `
+              <li>
+                <a class="gaps-skill" href="${TabNavigation.buildHash('resources', { path: report.pathId, topic: resource.id })}">${Utils.escapeHtml(resource.title)}</a>
+                <span>${Utils.escapeHtml(resource.description || '')}</span>
+                <span class="gaps-resource-links">
+                  ${(resource.recommended_resources || []).map(r => `
+                    <span>${ProgressStore.renderToggle(r.id)} <a href="${r.url}" target="_blank" rel="noopener">${Utils.escapeHtml(r.name)}</a></span>
+                  `).join('')}
+                </span>
+              </li>
+            `).join('')}
+          </ul>
+        </section>
+      ` : ''}
+    `;
+  }
+
+  function renderGap(gap) {
+    const others = gap.courseIds.filter(id => id !== gap.closedBy);
+    return `
+      <li class="${gap.inProgress.length ? 'partial' : 'missing'}">
+        <a class="gaps-skill" href="${TabNavigation.buildHash('skills', { skill: gap.id })}">
+          ${gap.inProgress.length ? '◐' : '○'} ${Utils.escapeHtml(gap.name)}
+        </a>
+        <span class="gaps-closer">
+          ${gap.closedBy ? `→ ${courseLink(gap.closedBy)}` : gap.courseIds.length ? '' : 'No course teaches it'}
+          ${others.length ? `<small>or ${others.length} other course${others.length === 1 ? '' : 's'}</small>` : ''}
+        </span>
+        ${gap.resources.length ? `
+          <span class="gaps-closer">
+            📎 ${gap.resources.map(resourceById).filter(Boolean).map(r => Utils.escapeHtml(r.title)).join(', ')}
+          </span>
+        ` : ''}
+      </li>
+    `;
+  }
+
+  /**
+   * Download the current report
+   */
+  function exportReport(format) {
+    if (!report) return;
+
+    const content = format === 'json'
+      ? JSON.stringify(report, null, 2)
+      : GapAnalyzer.toMarkdown(report, {
+        coursesMap: data.coursesMap,
+        resources: new Map(data.externalResources.map(r => [r.id, r])),
+        courseUrl: id => data.coursesMap.get(id)?.url || ''
+      });
+
+    const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/markdown;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `skill-gaps-${report.pathId}-${report.generatedAt.slice(0, 10)}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Attach event listeners
+   */
+  function attachEventListeners() {
+    document.getElementById('gaps-path').addEventListener('change', e => {
+      TabNavigation.setState({ path: e.target.value }, { push: true, viewId: 'gaps' });
+      renderReport();
+    });
+
+    container.querySelectorAll('[data-export]').forEach(button => {
+      button.addEventListener('click', () => exportReport(button.dataset.export));
+    });
+  }
+
+  async function refresh() {
+    DataLoader.clearCache();
+    await render();
+  }
+
+  // Public API
+  return {
+    init,
+    mount,
+    render,
+    refresh,
+    unmount
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GapsView;
+}
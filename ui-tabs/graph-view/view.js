@@ -20,19 +20,7 @@ const GraphView = (() => {
     pathNodeSize: 35,
     courseNodeSize: 10,
     pathRadius: 180,
-    courseRadius: 100,
-    colors: {
-      trunk: { primary: '#4CAF50', secondary: '#81C784' },
-      builder: { primary: '#2196F3', secondary: '#64B5F6' },
-      researcher: { primary: '#9C27B0', secondary: '#BA68C8' },
-      enterprise: { primary: '#FF9800', secondary: '#FFB74D' }
-    },
-    icons: {
-      trunk: '🌳',
-      builder: '🔧', 
-      researcher: '🔬',
-      enterprise: '🏢'
-    }
+    courseRadius: 100
   };
 
   async function init(containerElement) {
@@ -62,17 +50,20 @@ const GraphView = (() => {
       const canvasWidth = container.clientWidth || 900;
       const canvasHeight = 600;
       
+      const state = TabNavigation.getState('graph');
+      const savedZoom = parseFloat(state.zoom);
       transform = { 
         x: canvasWidth / 2, 
         y: canvasHeight / 2, 
-        scale: Math.min(canvasWidth / 1000, 1) 
+        scale: savedZoom ? Math.max(0.3, Math.min(3, savedZoom)) : Math.min(canvasWidth / 1000, 1) 
       };
+      showLabels = state.labels === '1';
 
       container.innerHTML = `
         <div class="mindmap-wrapper">
           <div class="mindmap-header">
             <h2>🧠 AI Learning Mind Map</h2>
-            <p>Explore the knowledge tree. Hover over nodes for details, click to open courses.</p>
+            <p>Explore the knowledge tree. Hover over nodes for details, click to pin them.</p>
             <div class="mindmap-controls">
               <button class="ctrl-btn" id="mm-zoom-in" title="Zoom In">+</button>
               <button class="ctrl-btn" id="mm-zoom-out" title="Zoom Out">−</button>
@@ -81,10 +72,10 @@ const GraphView = (() => {
             </div>
           </div>
           <div class="mindmap-legend">
-            ${Object.entries(config.colors).map(([id, c]) => `
+            ${getPathIds().map(id => `
               <span class="legend-item">
-                <span class="legend-dot" style="background:${c.primary}"></span>
-                ${id.charAt(0).toUpperCase() + id.slice(1)}
+                <span class="legend-dot" style="background:${pathColors(id).primary}"></span>
+                ${Utils.escapeHtml(careerPaths[id].name)}
               </span>
             `).join('')}
           </div>
@@ -98,6 +89,7 @@ const GraphView = (() => {
       `;
 
       applyTransform();
+      applyLabels();
       attachEventListeners();
 
     } catch (error) {
@@ -108,8 +100,9 @@ const GraphView = (() => {
 
   function buildMindMap() {
     const { careerPaths, courses } = data;
-    const pathIds = ['trunk', 'builder', 'researcher', 'enterprise'];
-    const pathAngles = { trunk: 270, builder: 0, researcher: 90, enterprise: 180 };
+    const pathIds = getPathIds();
+    // Spread the paths evenly around the center, the first one on top
+    const pathAngles = Object.fromEntries(pathIds.map((pathId, i) => [pathId, (270 + i * 360 / pathIds.length) % 360]));
     
     let html = '';
     
@@ -120,7 +113,7 @@ const GraphView = (() => {
     pathIds.forEach(pathId => {
       const angle = pathAngles[pathId];
       const pos = pointOnCircle(0, 0, config.pathRadius, angle);
-      const color = config.colors[pathId].primary;
+      const color = pathColors(pathId).primary;
       
       html += `<path class="branch-line" d="${curvePath(0, 0, pos.x, pos.y)}" 
                      stroke="${color}" stroke-width="3" fill="none"/>`;
@@ -135,7 +128,7 @@ const GraphView = (() => {
         const coursePos = pointOnCircle(0, 0, radius, courseAngle);
         
         html += `<path class="course-line" d="${curvePath(pos.x, pos.y, coursePos.x, coursePos.y)}" 
-                       stroke="${config.colors[pathId].secondary}" stroke-width="1.5" 
+                       stroke="${pathColors(pathId).secondary}" stroke-width="1.5" 
                        fill="none" opacity="0.5" stroke-dasharray="4,3"/>`;
       });
     });
@@ -157,7 +150,7 @@ const GraphView = (() => {
       
       const angle = pathAngles[pathId];
       const pos = pointOnCircle(0, 0, config.pathRadius, angle);
-      const color = config.colors[pathId];
+      const color = pathColors(pathId);
       const pathCourses = getPathCourses(pathId, careerPaths, courses);
       
       // Path node
@@ -166,8 +159,8 @@ const GraphView = (() => {
              style="--x:${pos.x}px; --y:${pos.y}px; --size:${config.pathNodeSize * 2}px; 
                     --color:${color.primary}; --color-light:${color.secondary}"
              data-path="${pathId}">
-          <span class="mm-icon">${config.icons[pathId]}</span>
-          <span class="mm-path-label">${pathData.name}</span>
+          <span class="mm-icon">${PathRegistry.icon(pathId)}</span>
+          <span class="mm-path-label">${Utils.escapeHtml(pathData.name)}</span>
           <span class="mm-count">${pathCourses.length}</span>
         </div>
       `;
@@ -185,8 +178,8 @@ const GraphView = (() => {
                       --color:${color.primary}"
                data-id="${course.id}"
                data-url="${course.url || '#'}"
-               data-title="${escapeHtml(course.title)}"
-               data-desc="${escapeHtml(course.description || '')}"
+               data-title="${Utils.escapeHtml(course.title)}"
+               data-desc="${Utils.escapeHtml(course.description || '')}"
                data-diff="${course.difficulty || 'Beginner'}"
                data-hours="${course.duration_hours || '?'}">
             <span class="mm-course-label">${Utils.truncate(course.title, 18)}</span>
@@ -198,27 +191,33 @@ const GraphView = (() => {
     return html;
   }
 
+  /**
+   * Paths drawn around the center, in registry order
+   */
+  function getPathIds() {
+    const { careerPaths } = data;
+    return PathRegistry.sort(Object.keys(careerPaths).filter(pathId => (careerPaths[pathId].stages || []).length));
+  }
+
+  /**
+   * Node and link colors of a path
+   */
+  function pathColors(pathId) {
+    return { primary: PathRegistry.color(pathId), secondary: PathRegistry.secondaryColor(pathId) };
+  }
+
   function getPathCourses(pathId, careerPaths, courses) {
     const pathData = careerPaths[pathId];
     if (!pathData) return [];
-    
-    // Handle trunk with courses array (legacy format)
-    if (pathId === 'trunk' && pathData.courses && Array.isArray(pathData.courses)) {
-      return pathData.courses.map(c => {
-        const courseId = typeof c === 'string' ? c : c.id;
-        return courses.find(fc => fc.id === courseId);
-      }).filter(Boolean);
-    } else if (pathData.stages && Array.isArray(pathData.stages)) {
-      const result = [];
-      pathData.stages.forEach(stage => {
-        (stage.courses || []).forEach(courseId => {
-          const course = courses.find(c => c.id === courseId);
-          if (course) result.push(course);
-        });
+
+    const result = [];
+    pathData.stages.forEach(stage => {
+      (stage.courses || []).forEach(courseId => {
+        const course = courses.find(c => c.id === courseId);
+        if (course) result.push(course);
       });
-      return result;
-    }
-    return [];
+    });
+    return result;
   }
 
   function pointOnCircle(cx, cy, radius, angleDeg) {
@@ -238,10 +237,6 @@ const GraphView = (() => {
     return `M${x1},${y1} Q${cx},${cy} ${x2},${y2}`;
   }
 
-  function escapeHtml(str) {
-    return str.replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
-  }
-
   function applyTransform() {
     const canvas = document.getElementById('mm-canvas');
     if (canvas) {
@@ -249,6 +244,22 @@ const GraphView = (() => {
     }
   }
 
+  function applyLabels() {
+    document.querySelectorAll('.mm-course-label').forEach(l => {
+      l.style.opacity = showLabels ? '1' : '';
+    });
+  }
+
+  /**
+   * Keep zoom level and label toggle in the URL (#graph?zoom=&labels=)
+   */
+  const saveViewState = Utils.debounce(() => {
+    TabNavigation.setState({
+      zoom: Math.round(transform.scale * 100) / 100,
+      labels: showLabels ? '1' : ''
+    }, { viewId: 'graph' });
+  }, 300);
+
   function attachEventListeners() {
     const viewport = document.getElementById('mm-viewport');
     const tooltip = document.getElementById('mm-tooltip');
@@ -257,23 +268,25 @@ const GraphView = (() => {
     document.getElementById('mm-zoom-in')?.addEventListener('click', () => {
       transform.scale = Math.min(transform.scale * 1.25, 3);
       applyTransform();
+      saveViewState();
     });
     
     document.getElementById('mm-zoom-out')?.addEventListener('click', () => {
       transform.scale = Math.max(transform.scale / 1.25, 0.3);
       applyTransform();
+      saveViewState();
     });
     
     document.getElementById('mm-reset')?.addEventListener('click', () => {
       transform = { x: viewport.clientWidth / 2, y: 300, scale: Math.min(viewport.clientWidth / 1000, 1) };
       applyTransform();
+      TabNavigation.setState({ zoom: '' }, { viewId: 'graph' });
     });
     
     document.getElementById('mm-labels')?.addEventListener('click', () => {
       showLabels = !showLabels;
-      document.querySelectorAll('.mm-course-label').forEach(l => {
-        l.style.opacity = showLabels ? '1' : '';
-      });
+      applyLabels();
+      saveViewState();
     });
     
     // Mouse wheel zoom
@@ -282,6 +295,7 @@ const GraphView = (() => {
       const delta = e.deltaY > 0 ? 0.9 : 1.1;
       transform.scale = Math.max(0.3, Math.min(3, transform.scale * delta));
       applyTransform();
+      saveViewState();
     }, { passive: false });
     
     // Pan
@@ -293,20 +307,6 @@ const GraphView = (() => {
       }
     });
     
-    document.addEventListener('mousemove', e => {
-      if (isDragging) {
-        transform.x += e.clientX - lastMouse.x;
-        transform.y += e.clientY - lastMouse.y;
-        lastMouse = { x: e.clientX, y: e.clientY };
-        applyTransform();
-      }
-    });
-    
-    document.addEventListener('mouseup', () => {
-      isDragging = false;
-      if (viewport) viewport.style.cursor = 'grab';
-    });
-    
     // Course node interactions
     document.querySelectorAll('.mm-course').forEach(node => {
       node.addEventListener('mouseenter', e => {
@@ -324,6 +324,7 @@ const GraphView = (() => {
             <span>📊 ${node.dataset.diff}</span>
           </div>
           <a href="${node.dataset.url}" target="_blank" class="tt-link">Open Course →</a>
+          <a href="${Utils.getCourseDetailUrl(node.dataset.id)}" class="tt-link">ℹ️ Details</a>
         `;
         
         // Add close button handler
@@ -373,6 +374,7 @@ const GraphView = (() => {
             <span>📊 ${node.dataset.diff}</span>
           </div>
           <a href="${node.dataset.url}" target="_blank" class="tt-link">🔗 Open Course</a>
+          <a href="${Utils.getCourseDetailUrl(node.dataset.id)}" class="tt-link">ℹ️ Details</a>
         `;
         
         // Add close button handler
@@ -392,16 +394,51 @@ const GraphView = (() => {
         node.classList.add('hovered');
       });
     });
-    
-    // Close modal when clicking elsewhere
-    document.addEventListener('click', e => {
-      if (modalSticky && e.target !== tooltip && !tooltip.contains(e.target)) {
-        tooltip.classList.remove('visible');
-        modalSticky = false;
-        if (activeNode) activeNode.classList.remove('hovered');
-        activeNode = null;
-      }
-    });
+  }
+
+  /**
+   * Dragging and closing the pinned tooltip listen on the document: added
+   * while the view is shown, not on every render
+   */
+  function mount() {
+    document.addEventListener('mousemove', handleDrag);
+    document.addEventListener('mouseup', handleDragEnd);
+    document.addEventListener('click', handleOutsideClick);
+  }
+
+  function unmount() {
+    document.removeEventListener('mousemove', handleDrag);
+    document.removeEventListener('mouseup', handleDragEnd);
+    document.removeEventListener('click', handleOutsideClick);
+    isDragging = false;
+    modalSticky = false;
+    activeNode = null;
+  }
+
+  function handleDrag(e) {
+    if (!isDragging) return;
+    transform.x += e.clientX - lastMouse.x;
+    transform.y += e.clientY - lastMouse.y;
+    lastMouse = { x: e.clientX, y: e.clientY };
+    applyTransform();
+  }
+
+  function handleDragEnd() {
+    isDragging = false;
+    const viewport = document.getElementById('mm-viewport');
+    if (viewport) viewport.style.cursor = 'grab';
+  }
+
+  /**
+   * Close the pinned tooltip when clicking elsewhere
+   */
+  function handleOutsideClick(e) {
+    const tooltip = document.getElementById('mm-tooltip');
+    if (!modalSticky || !tooltip || e.target === tooltip || tooltip.contains(e.target)) return;
+    tooltip.classList.remove('visible');
+    modalSticky = false;
+    if (activeNode) activeNode.classList.remove('hovered');
+    activeNode = null;
   }
 
   async function refresh() {
@@ -409,7 +446,7 @@ const GraphView = (() => {
     await render();
   }
 
-  return { init, render, refresh };
+  return { init, mount, render, refresh, unmount };
 })();
 
 if (typeof module !== 'undefined' && module.exports) {
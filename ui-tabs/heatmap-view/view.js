@@ -7,6 +7,7 @@
 
 const HeatmapView = (() => {
   let container = null;
+  let subscriptions = []; // store listeners, active while the view is shown
   let data = null;
   let currentMode = 'difficulty'; // 'difficulty' or 'duration' or 'partner'
 
@@ -15,6 +16,22 @@ const HeatmapView = (() => {
     injectStyles();
   }
 
+  /**
+   * Follow progress changes while the view is shown (completed counts are
+   * part of the cells and stats)
+   */
+  function mount() {
+    subscriptions = [
+      ProgressStore.on('change', () => { if (data) renderHeatmap(); }),
+      ProgressStore.on('reset', () => { if (data) renderHeatmap(); })
+    ];
+  }
+
+  function unmount() {
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+  }
+
   function injectStyles() {
     if (document.getElementById('heatmap-view-styles')) return;
     const link = document.createElement('link');
@@ -36,8 +53,8 @@ const HeatmapView = (() => {
 
     try {
       data = await DataLoader.loadProcessedData();
-      // expose processed data for helper/renderer (used by renderMatrix)
-      window.HeatmapView._data = data;
+      const { mode } = TabNavigation.getState('heatmap');
+      currentMode = ['difficulty', 'duration', 'partner'].includes(mode) ? mode : 'difficulty';
       renderHeatmap();
     } catch (error) {
       console.error('HeatmapView render error:', error);
@@ -54,7 +71,7 @@ const HeatmapView = (() => {
     const { courses, categories } = data;
     
     // Build the matrix based on current mode
-    const matrix = buildMatrix(courses, categories);
+    const matrix = buildMatrix(courses, courseMatrixSpec(courses, categories));
     
     container.innerHTML = `
       <div class="heatmap-container">
@@ -89,8 +106,10 @@ const HeatmapView = (() => {
     attachEventListeners();
   }
 
-  function buildMatrix(courses, categories) {
-    const categoryIds = Object.keys(categories);
+  /**
+   * Rows, columns and cell assignment of the course heatmap for the current mode
+   */
+  function courseMatrixSpec(courses, categories) {
     let columns = [];
     
     switch (currentMode) {
@@ -105,91 +124,137 @@ const HeatmapView = (() => {
         columns = partners.slice(0, 10); // Top 10 partners
         break;
     }
+
+    return {
+      rows: Object.keys(categories),
+      columns,
+      rowOf: course => course.category,
+      columnOf: course => {
+        switch (currentMode) {
+          case 'difficulty':
+            return course.difficulty;
+          case 'duration': {
+            const hours = course.duration_hours || 0;
+            if (hours <= 1) return 'Quick (≤1h)';
+            if (hours <= 2) return 'Short (1-2h)';
+            if (hours <= 5) return 'Medium (2-5h)';
+            if (hours <= 20) return 'Long (5-20h)';
+            return 'Extended (20h+)';
+          }
+          case 'partner':
+            return course.partner;
+          default:
+            return null;
+        }
+      }
+    };
+  }
+
+  /**
+   * Group items into a rows × columns matrix.
+   * @param {Array} items - anything (courses, people's course records, ...)
+   * @param {Object} spec - { rows: [rowId], columns: [column], rowOf(item), columnOf(item) }
+   * @returns {Object} { rows, columns, data: { rowId: { column: [items] } }, maxValue }
+   */
+  function buildMatrix(items, spec) {
+    const { rows, columns } = spec;
     
     const matrix = {
-      rows: categoryIds,
+      rows: rows,
       columns: columns,
       data: {},
       maxValue: 0
     };
     
-    categoryIds.forEach(catId => {
-      matrix.data[catId] = {};
+    rows.forEach(rowId => {
+      matrix.data[rowId] = {};
       columns.forEach(col => {
-        matrix.data[catId][col] = [];
+        matrix.data[rowId][col] = [];
       });
     });
     
-    courses.forEach(course => {
-      const catId = course.category;
-      if (!matrix.data[catId]) return;
-      
-      let column = null;
-      switch (currentMode) {
-        case 'difficulty':
-          column = course.difficulty;
-          break;
-        case 'duration':
-          const hours = course.duration_hours || 0;
-          if (hours <= 1) column = 'Quick (≤1h)';
-          else if (hours <= 2) column = 'Short (1-2h)';
-          else if (hours <= 5) column = 'Medium (2-5h)';
-          else if (hours <= 20) column = 'Long (5-20h)';
-          else column = 'Extended (20h+)';
-          break;
-        case 'partner':
-          column = course.partner;
-          break;
-      }
+    items.forEach(item => {
+      const rowId = spec.rowOf(item);
+      if (!matrix.data[rowId]) return;
       
-      if (column && matrix.data[catId][column] !== undefined) {
-        matrix.data[catId][column].push(course);
-        matrix.maxValue = Math.max(matrix.maxValue, matrix.data[catId][column].length);
+      const column = spec.columnOf(item);
+      if (column !== null && column !== undefined && matrix.data[rowId][column] !== undefined) {
+        matrix.data[rowId][column].push(item);
+        matrix.maxValue = Math.max(matrix.maxValue, matrix.data[rowId][column].length);
       }
     });
     
     return matrix;
   }
 
-  function renderMatrix(matrix) {
-    const { rows, columns, data, maxValue } = matrix;
-    const { categories } = window.HeatmapView._data || data;
+  /**
+   * Default cell rendering: courses of the cell, with the learner's completed count
+   */
+  function describeCourseCell(courses) {
+    const count = courses.length;
+    const completed = ProgressStore.summarize(courses.map(c => c.id)).completed;
+    return {
+      value: count,
+      label: count > 0 ? count : '',
+      badge: completed > 0 ? `✓ ${completed}` : '',
+      title: count > 0 ? `${count} course${count > 1 ? 's' : ''}${completed > 0 ? ` · ${completed} completed` : ''}` : '',
+      items: courses.map(c => `${ProgressStore.isCompleted(c.id) ? '✓ ' : ''}${c.title}`)
+    };
+  }
+
+  /**
+   * Render a matrix as heatmap grid cells (header row, row headers, cells).
+   * @param {Object} matrix - from buildMatrix
+   * @param {Object} options
+   *   rowLabel(rowId) -> { icon, name }
+   *   describeCell(items, rowId, column) -> { value, label, badge, title, items: [html] }
+   *   maxValue - value of the most intense cell (defaults to the largest cell size)
+   *   columnLabel(column) -> header html
+   */
+  function renderMatrix(matrix, options = {}) {
+    const { rows, columns } = matrix;
+    const {
+      rowLabel = rowId => (data.categories || {})[rowId] || { name: rowId, icon: '📁' },
+      describeCell = describeCourseCell,
+      columnLabel = col => col
+    } = options;
+    const maxValue = options.maxValue !== undefined ? options.maxValue : matrix.maxValue;
     
     // Header row
     let html = `
       <div class="heatmap-corner"></div>
-      ${columns.map(col => `<div class="heatmap-col-header">${col}</div>`).join('')}
+      ${columns.map(col => `<div class="heatmap-col-header">${columnLabel(col)}</div>`).join('')}
     `;
     
     // Data rows
     rows.forEach(rowId => {
-      const cat = data.categories ? data.categories[rowId] : { name: rowId, icon: '📁' };
-      const catData = categories[rowId] || { name: rowId, icon: '📁' };
+      const label = rowLabel(rowId);
       
       html += `<div class="heatmap-row-header">
-        <span class="cat-icon">${catData.icon || '📁'}</span>
-        <span class="cat-name">${catData.name || rowId}</span>
+        <span class="cat-icon">${label.icon || '📁'}</span>
+        <span class="cat-name">${label.name || rowId}</span>
       </div>`;
       
       columns.forEach(col => {
-        const courses = matrix.data[rowId][col] || [];
-        const count = courses.length;
-        const intensity = maxValue > 0 ? count / maxValue : 0;
+        const items = matrix.data[rowId][col] || [];
+        const cell = describeCell(items, rowId, col);
+        const intensity = maxValue > 0 ? Math.min(1, cell.value / maxValue) : 0;
         const hue = 200 + (intensity * 60); // Blue to purple gradient
         const saturation = 60 + (intensity * 30);
         const lightness = 90 - (intensity * 50);
         
         html += `
           <div class="heatmap-cell" 
-               data-category="${rowId}" 
-               data-column="${col}"
-               data-count="${count}"
+               data-row="${Utils.escapeHtml(rowId)}" 
+               data-column="${Utils.escapeHtml(col)}"
+               data-count="${items.length}"
                style="--cell-bg: hsl(${hue}, ${saturation}%, ${lightness}%); --cell-opacity: ${0.3 + intensity * 0.7}">
-            <span class="cell-count">${count > 0 ? count : ''}</span>
-            ${count > 0 ? `<div class="cell-tooltip">
-              <strong>${count} course${count > 1 ? 's' : ''}</strong>
-              <ul>${courses.slice(0, 5).map(c => `<li>${c.title}</li>`).join('')}</ul>
-              ${count > 5 ? `<small>+${count - 5} more...</small>` : ''}
+            <span class="cell-count">${cell.label}</span>
+            ${cell.badge ? `<span class="cell-completed">${cell.badge}</span>` : ''}
+            ${cell.title ? `<div class="cell-tooltip">
+              <strong>${cell.title}</strong>
+              <ul>${cell.items.slice(0, 5).map(item => `<li>${item}</li>`).join('')}</ul>
+              ${cell.items.length > 5 ? `<small>+${cell.items.length - 5} more...</small>` : ''}
             </div>` : ''}
           </div>
         `;
@@ -223,6 +288,10 @@ const HeatmapView = (() => {
         <div class="stat-value">${stats.byDifficulty.advanced}</div>
         <div class="stat-label">Advanced</div>
       </div>
+      <div class="stat-card">
+        <div class="stat-value">${ProgressStore.summarize(courses.map(c => c.id)).completed}</div>
+        <div class="stat-label">Completed</div>
+      </div>
     `;
   }
 
@@ -230,7 +299,7 @@ const HeatmapView = (() => {
     // Cell click to show course list
     container.querySelectorAll('.heatmap-cell[data-count]').forEach(cell => {
       cell.addEventListener('click', () => {
-        const cat = cell.dataset.category;
+        const cat = cell.dataset.row;
         const col = cell.dataset.column;
         showCourseModal(cat, col);
       });
@@ -272,17 +341,19 @@ const HeatmapView = (() => {
     modal.innerHTML = `
       <div class="heatmap-modal">
         <div class="modal-header">
-          <h3>${catName} - ${column}</h3>
+          <h3>${Utils.escapeHtml(catName)} - ${Utils.escapeHtml(column)}</h3>
           <button class="modal-close">&times;</button>
         </div>
         <div class="modal-body">
           <ul class="course-list">
             ${filtered.map(c => `
               <li>
+                ${ProgressStore.renderToggle(c.id)}
                 <a href="${c.url}" target="_blank" rel="noopener">
                   <span class="course-title">${c.title}</span>
                   <span class="course-meta">${c.duration_hours}h · ${c.difficulty}</span>
                 </a>
+                <a href="${Utils.getCourseDetailUrl(c.id)}" class="course-detail-link" title="Course details">ℹ️</a>
               </li>
             `).join('')}
           </ul>
@@ -293,6 +364,9 @@ const HeatmapView = (() => {
     document.body.appendChild(modal);
     
     modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+    modal.querySelectorAll('.course-detail-link').forEach(link => {
+      link.addEventListener('click', () => modal.remove());
+    });
     modal.addEventListener('click', (e) => {
       if (e.target === modal) modal.remove();
     });
@@ -300,6 +374,7 @@ const HeatmapView = (() => {
 
   function setMode(mode) {
     currentMode = mode;
+    TabNavigation.setState({ mode: mode === 'difficulty' ? '' : mode }, { push: true, viewId: 'heatmap' });
     renderHeatmap();
   }
 
@@ -311,9 +386,13 @@ const HeatmapView = (() => {
   // Public API
   return {
     init,
+    mount,
     render,
     refresh,
-    setMode
+    setMode,
+    buildMatrix,
+    renderMatrix,
+    unmount
   };
 })();
 
@@ -6,7 +6,9 @@
 
 const TextIndexView = (() => {
   let container = null;
+  let subscriptions = []; // store listeners, active while the view is shown
   let data = null;
+  let searchRequestId = 0;
 
   /**
    * Initialize the view
@@ -16,6 +18,31 @@ const TextIndexView = (() => {
     injectStyles();
   }
 
+  /**
+   * Follow progress changes while the view is shown
+   */
+  function mount() {
+    subscriptions = [
+      ProgressStore.on('change', markProgress),
+      ProgressStore.on('reset', markProgress)
+    ];
+  }
+
+  function unmount() {
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+  }
+
+  /**
+   * Reflect each course's progress status in its data-progress attribute
+   * (and hide newly completed courses when the shared filters ask to)
+   */
+  function markProgress() {
+    if (!container) return;
+    ProgressStore.markElements(container.querySelectorAll('.course-item'), item => item.dataset.id);
+    if (AppStore.countActive() && AppStore.getFilters().hideCompleted) applyFilters();
+  }
+
   /**
    * Inject component-specific styles
    */
@@ -56,13 +83,12 @@ const TextIndexView = (() => {
               <input type="text" 
                      id="index-search" 
                      class="search-input" 
-                     placeholder="Search courses...">
+                     placeholder="Search titles, skills, tags...">
               <select id="index-path-filter" class="filter-select">
                 <option value="">All Paths</option>
-                <option value="trunk">🌳 Common Core</option>
-                <option value="builder">🔧 Builder</option>
-                <option value="researcher">🔬 Researcher</option>
-                <option value="enterprise">🏢 Enterprise</option>
+                ${Object.entries(data.paths).map(([pathId]) => `
+                  <option value="${pathId}">${PathRegistry.label(pathId)}</option>
+                `).join('')}
               </select>
               <select id="index-difficulty-filter" class="filter-select">
                 <option value="">All Levels</option>
@@ -83,6 +109,7 @@ const TextIndexView = (() => {
       `;
 
       attachEventListeners();
+      restoreState();
 
     } catch (error) {
       console.error('Error rendering text index:', error);
@@ -152,17 +179,21 @@ const TextIndexView = (() => {
    */
   function renderCourseItem(course) {
     const difficultyClass = course.difficulty?.toLowerCase() || 'beginner';
-    const paths = (course.career_paths || []).map(p => getPathBadge(p)).join('');
+    const pathIds = data.coursePaths.get(course.id) || [];
+    const paths = pathIds.map(p => getPathBadge(p)).join('');
     
     return `
       <li class="course-item" 
           data-id="${course.id}" 
+          data-progress="${ProgressStore.getStatus(course.id)}" 
           data-difficulty="${difficultyClass}" 
-          data-paths="${(course.career_paths || []).join(',')}"
+          data-paths="${pathIds.join(',')}"
           data-title="${course.title.toLowerCase()}">
+        ${ProgressStore.renderToggle(course.id)}
         <a href="${course.url || '#'}" class="course-link" target="_blank" rel="noopener">
           <span class="course-title">${course.title}</span>
         </a>
+        <a href="${Utils.getCourseDetailUrl(course.id)}" class="course-detail-link" title="Course details">ℹ️</a>
         <div class="course-meta">
           <span class="difficulty-badge ${difficultyClass}">${course.difficulty || 'Beginner'}</span>
           ${course.duration_hours ? `<span class="duration">⏱ ${course.duration_hours}h</span>` : ''}
@@ -176,15 +207,10 @@ const TextIndexView = (() => {
    * Get path badge HTML
    */
   function getPathBadge(pathId) {
-    const color = Utils.getPathColor(pathId);
-    const icon = Utils.getPathIcon(pathId);
-    const names = {
-      trunk: 'Core',
-      builder: 'Builder',
-      researcher: 'Researcher',
-      enterprise: 'Enterprise'
-    };
-    return `<span class="path-badge" style="background: ${Utils.hexToRgba(color, 0.15)}; color: ${color};" title="${names[pathId] || pathId}">${icon}</span>`;
+    const path = data.paths[pathId];
+    const color = PathRegistry.color(pathId);
+    const icon = PathRegistry.icon(pathId);
+    return `<span class="path-badge" style="background: ${Utils.hexToRgba(color, 0.15)}; color: ${color};" title="${Utils.escapeHtml(path.name)}">${icon}</span>`;
   }
 
   /**
@@ -196,51 +222,109 @@ const TextIndexView = (() => {
     const difficultyFilter = document.getElementById('index-difficulty-filter');
 
     if (searchInput) {
-      searchInput.addEventListener('input', Utils.debounce(applyFilters, 300));
+      searchInput.addEventListener('input', Utils.debounce(() => {
+        TabNavigation.setState({ q: searchInput.value.trim() }, { viewId: 'index' });
+        applyFilters();
+      }, 300));
     }
 
     if (pathFilter) {
-      pathFilter.addEventListener('change', applyFilters);
+      pathFilter.addEventListener('change', () => {
+        TabNavigation.setState({ path: pathFilter.value }, { push: true, viewId: 'index' });
+        applyFilters();
+      });
     }
 
     if (difficultyFilter) {
-      difficultyFilter.addEventListener('change', applyFilters);
+      difficultyFilter.addEventListener('change', () => {
+        TabNavigation.setState({ level: difficultyFilter.value }, { push: true, viewId: 'index' });
+        applyFilters();
+      });
     }
   }
 
+  /**
+   * Restore search and filters from the URL state (#index?q=&path=&level=)
+   */
+  function restoreState() {
+    const state = TabNavigation.getState('index');
+    const searchInput = document.getElementById('index-search');
+    const pathFilter = document.getElementById('index-path-filter');
+    const difficultyFilter = document.getElementById('index-difficulty-filter');
+
+    if (searchInput) searchInput.value = state.q || '';
+    if (pathFilter) pathFilter.value = state.path || '';
+    if (difficultyFilter) difficultyFilter.value = state.level || '';
+
+    if (state.q || state.path || state.level || AppStore.countActive()) applyFilters();
+  }
+
   /**
    * Apply all filters
+   * Search uses the shared ranked search index (prefix and typo tolerant)
+   * and highlights matched words in course titles; the shared filters
+   * (AppStore) apply on top when they are synced across views
    */
-  function applyFilters() {
-    const searchTerm = document.getElementById('index-search')?.value.toLowerCase() || '';
+  async function applyFilters() {
+    const input = document.getElementById('index-search')?.value.trim() || '';
+    // A query of stop words only ("the") has no tokens: treat it as an empty box
+    const searchTerm = SearchEngine.tokenize(input).length ? input : '';
     const pathFilter = document.getElementById('index-path-filter')?.value || '';
     const difficultyFilter = document.getElementById('index-difficulty-filter')?.value || '';
 
+    const requestId = ++searchRequestId;
+    const hits = searchTerm ? await DataLoader.searchRanked(searchTerm, { limit: Infinity }) : [];
+    if (requestId !== searchRequestId) return; // a newer search is running
+    const hitsById = new Map(hits.map(hit => [hit.id, hit]));
+
     const items = document.querySelectorAll('.course-item');
     let visibleCount = 0;
 
     items.forEach(item => {
-      const title = item.dataset.title || '';
-      const paths = item.dataset.paths || '';
+      const hit = hitsById.get(item.dataset.id);
+      const course = data?.coursesMap?.get(item.dataset.id);
+      const paths = (item.dataset.paths || '').split(',');
       const difficulty = item.dataset.difficulty || '';
 
-      const matchesSearch = !searchTerm || title.includes(searchTerm);
+      const matchesSearch = !searchTerm || Boolean(hit);
       const matchesPath = !pathFilter || paths.includes(pathFilter);
       const matchesDifficulty = !difficultyFilter || difficulty === difficultyFilter;
 
-      const visible = matchesSearch && matchesPath && matchesDifficulty;
+      const visible = matchesSearch && matchesPath && matchesDifficulty && AppStore.matches(course, paths);
       item.style.display = visible ? '' : 'none';
       if (visible) visibleCount++;
+
+      const titleEl = item.querySelector('.course-title');
+      if (titleEl && course) {
+        titleEl.innerHTML = hit && hit.matches.title
+          ? SearchEngine.highlight(course.title, hit.matches.title)
+          : Utils.escapeHtml(course.title);
+      }
     });
 
     // Update category visibility
     document.querySelectorAll('.category-section').forEach(section => {
-      const visibleItems = section.querySelectorAll('.course-item[style=""], .course-item:not([style])');
       const hasVisible = Array.from(section.querySelectorAll('.course-item')).some(item => item.style.display !== 'none');
       section.style.display = hasVisible ? '' : 'none';
     });
   }
 
+  /**
+   * Scroll to and highlight a category section
+   */
+  function focusCategory(categoryId) {
+    if (!container) return;
+    Utils.focusElement(container.querySelector(`.category-section[data-category="${CSS.escape(categoryId)}"]`));
+  }
+
+  /**
+   * Scroll to and highlight a course item
+   */
+  function focusCourse(courseId) {
+    if (!container) return;
+    Utils.focusElement(container.querySelector(`.course-item[data-id="${CSS.escape(courseId)}"]`));
+  }
+
   /**
    * Refresh the view
    */
@@ -252,8 +336,12 @@ const TextIndexView = (() => {
   // Public API
   return {
     init,
+    mount,
     render,
-    refresh
+    refresh,
+    focusCategory,
+    focusCourse,
+    unmount
   };
 })();
 
@@ -1,21 +1,67 @@
 /**
  * Kanban View Component
  * Trello-style board visualization with drag-and-drop
- * Organizes courses by learning stages within a selected career path
+ * Two modes for the selected career path:
+ * - stages: courses by learning stage; drag to reorder within and across stages
+ *   (saved per path in the 'kanban' UserState preferences, resettable)
+ * - status: Backlog / In Progress / Done; dragging a card changes its progress status
  * 100% Vanilla JS - No external libraries
  */
 
 const KanbanView = (() => {
   let container = null;
+  let subscriptions = []; // store listeners, active while the view is shown
+  let unsubscribeLoad = null;
   let data = null;
-  let currentPath = 'builder'; // Default path
+  const DEFAULT_PATH = 'builder';
+  let currentPath = DEFAULT_PATH;
+  let currentMode = 'stages'; // 'stages' or 'status'
   let draggedCard = null;
-  let completedCourses = new Set();
+  let dropped = false;
+
+  const STATUS_COLUMNS = [
+    { key: 'backlog', name: 'Backlog', icon: '📥', status: 'not_started', statuses: ['not_started', 'skipped'], description: 'Not started yet (skipped courses stay here)' },
+    { key: 'in_progress', name: 'In Progress', icon: '🚧', status: 'in_progress', statuses: ['in_progress'], description: 'Courses you are taking' },
+    { key: 'done', name: 'Done', icon: '✅', status: 'completed', statuses: ['completed'], description: 'Completed courses' }
+  ];
 
   async function init(containerElement) {
     container = containerElement;
     injectStyles();
-    loadProgress();
+
+    // Another profile: show its career path
+    unsubscribeLoad = UserState.on('load', () => TabNavigation.setState({ path: '' }, { viewId: 'kanban' }));
+  }
+
+  /**
+   * Completion can change from any view
+   */
+  function rerender() {
+    if (data) renderKanban();
+  }
+
+  /**
+   * Follow progress changes while the view is shown
+   */
+  function mount() {
+    subscriptions = [
+      ProgressStore.on('change', rerender),
+      ProgressStore.on('reset', rerender)
+    ];
+  }
+
+  function unmount() {
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+  }
+
+  /**
+   * Drop the profile listener; the next visit initializes the view again
+   */
+  function destroy() {
+    unsubscribeLoad();
+    unsubscribeLoad = null;
+    container = null;
   }
 
   function injectStyles() {
@@ -27,25 +73,6 @@ const KanbanView = (() => {
     document.head.appendChild(link);
   }
 
-  function loadProgress() {
-    try {
-      const saved = localStorage.getItem('kanban-progress');
-      if (saved) {
-        completedCourses = new Set(JSON.parse(saved));
-      }
-    } catch (e) {
-      console.warn('Could not load progress:', e);
-    }
-  }
-
-  function saveProgress() {
-    try {
-      localStorage.setItem('kanban-progress', JSON.stringify([...completedCourses]));
-    } catch (e) {
-      console.warn('Could not save progress:', e);
-    }
-  }
-
   async function render() {
     if (!container) return;
 
@@ -58,6 +85,10 @@ const KanbanView = (() => {
 
     try {
       data = await DataLoader.loadProcessedData();
+      const { path, mode } = TabNavigation.getState('kanban');
+      const chosen = path || UserState.getCareerPath();
+      currentPath = chosen && data.paths[chosen] ? chosen : DEFAULT_PATH;
+      currentMode = mode === 'status' ? 'status' : 'stages';
       renderKanban();
     } catch (error) {
       console.error('KanbanView render error:', error);
@@ -79,19 +110,27 @@ const KanbanView = (() => {
       return;
     }
 
-    const pathColor = path.color || '#667eea';
-    const totalCourses = path.stages.reduce((sum, s) => sum + (s.courses?.length || 0), 0);
-    const completedInPath = path.stages.reduce((sum, stage) => {
-      return sum + (stage.courses?.filter(c => completedCourses.has(c.id)).length || 0);
+    const pathColor = PathRegistry.color(currentPath);
+    const stages = getOrderedStages(currentPath);
+    const totalCourses = stages.reduce((sum, s) => sum + s.courses.length, 0);
+    const completedInPath = stages.reduce((sum, stage) => {
+      return sum + stage.courses.filter(c => ProgressStore.isCompleted(c.id)).length;
     }, 0);
     const progressPercent = totalCourses > 0 ? Math.round((completedInPath / totalCourses) * 100) : 0;
+    const columns = currentMode === 'status' ? getStatusColumns(stages) : getStageColumns(stages);
+    const hasCustomOrder = Boolean(getSavedOrders()[currentPath]);
 
     container.innerHTML = `
       <div class="kanban-container">
         <div class="kanban-header">
           <div class="kanban-title">
-            <h2>${path.icon || '📋'} ${path.name} Learning Path</h2>
-            <p class="kanban-description">${path.description || ''}</p>
+            <h2>${PathRegistry.label(currentPath)} ${currentMode === 'status' ? 'Status Board' : 'Learning Path'}</h2>
+            <p class="kanban-description">${Utils.escapeHtml(path.description || '')}</p>
+            <p class="kanban-hint">
+              ${currentMode === 'status'
+                ? 'Drag a card to another column to change its status.'
+                : 'Drag cards to reorder them within or across stages — your order is saved for this path.'}
+            </p>
           </div>
           
           <div class="kanban-controls">
@@ -99,12 +138,17 @@ const KanbanView = (() => {
               <label>Career Path:</label>
               <select id="kanban-path-select" onchange="KanbanView.setPath(this.value)">
                 ${Object.keys(paths).map(pId => `
-                  <option value="${pId}" ${pId === currentPath ? 'selected' : ''}>
-                    ${paths[pId].icon || ''} ${paths[pId].name}
+                  <option value="${Utils.escapeHtml(pId)}" ${pId === currentPath ? 'selected' : ''}>
+                    ${PathRegistry.label(pId)}
                   </option>
                 `).join('')}
               </select>
             </div>
+
+            <div class="kanban-mode" role="group" aria-label="Board mode">
+              <button type="button" class="mode-btn ${currentMode === 'stages' ? 'active' : ''}" onclick="KanbanView.setMode('stages')" aria-pressed="${currentMode === 'stages'}">🗂️ Stages</button>
+              <button type="button" class="mode-btn ${currentMode === 'status' ? 'active' : ''}" onclick="KanbanView.setMode('status')" aria-pressed="${currentMode === 'status'}">📌 Status</button>
+            </div>
             
             <div class="progress-tracker">
               <div class="progress-info">
@@ -116,14 +160,22 @@ const KanbanView = (() => {
               </div>
             </div>
             
+            ${currentMode === 'stages' && hasCustomOrder ? `
+              <button class="reset-btn" onclick="KanbanView.resetOrder()" title="Restore the original stage order for this path">
+                ↺ Reset Order
+              </button>
+            ` : ''}
+            <button class="reset-btn" onclick="BackupDialog.open()" title="Export or import your progress">
+              💾 Backup
+            </button>
             <button class="reset-btn" onclick="KanbanView.resetProgress()">
               🔄 Reset Progress
             </button>
           </div>
         </div>
         
-        <div class="kanban-board" id="kanban-board">
-          ${path.stages.map((stage, idx) => renderColumn(stage, idx, pathColor)).join('')}
+        <div class="kanban-board ${currentMode}-mode" id="kanban-board">
+          ${columns.map(column => renderColumn(column, pathColor)).join('')}
         </div>
         
         ${path.capstone ? `
@@ -141,16 +193,104 @@ const KanbanView = (() => {
     attachDragListeners();
   }
 
-  function renderColumn(stage, index, pathColor) {
-    const courses = stage.courses || [];
-    const completedCount = courses.filter(c => completedCourses.has(c.id)).length;
+  /**
+   * Stages of a path with the user's saved course order applied.
+   * Saved order: one array of course ids per stage. Courses the saved order
+   * doesn't know (e.g. added to the data later) stay in their original stage.
+   */
+  function getOrderedStages(pathId) {
+    const path = data.paths[pathId];
+    const stages = path.stages.map(stage => ({ ...stage, courses: (stage.courses || []).filter(Boolean) }));
+    const saved = getSavedOrders()[pathId];
+    if (!saved) return stages;
+
+    const byId = new Map();
+    stages.forEach(stage => stage.courses.forEach(course => byId.set(course.id, course)));
+    const placed = new Set();
+
+    const ordered = stages.map((stage, index) => ({
+      ...stage,
+      courses: (saved[index] || [])
+        .filter((id, i, ids) => byId.has(id) && ids.indexOf(id) === i)
+        .map(id => {
+          placed.add(id);
+          return byId.get(id);
+        })
+    }));
+
+    stages.forEach((stage, index) => {
+      stage.courses
+        .filter(course => !placed.has(course.id))
+        .forEach(course => ordered[index].courses.push(course));
+    });
+    return ordered;
+  }
+
+  function getSavedOrders() {
+    return UserState.getPreferences('kanban').order || {};
+  }
+
+  /**
+   * Save the course order currently shown on the board (stage mode).
+   * An order equal to the original one is removed instead.
+   */
+  function saveOrderFromBoard() {
+    const order = [...container.querySelectorAll('.column-cards[data-stage]')]
+      .map(column => [...column.querySelectorAll('.kanban-card')].map(card => card.dataset.courseId));
+    const original = data.paths[currentPath].stages.map(stage => (stage.courses || []).filter(Boolean).map(c => c.id));
+
+    const orders = getSavedOrders();
+    if (JSON.stringify(order) === JSON.stringify(original)) {
+      delete orders[currentPath];
+    } else {
+      orders[currentPath] = order;
+    }
+    UserState.setPreferences('kanban', { order: orders });
+  }
+
+  function getStageColumns(stages) {
+    const resources = ExternalResources.byStage(data.externalResources, currentPath, stages, course => course.category);
+    return stages.map((stage, index) => ({
+      attributes: `data-stage="${index}"`,
+      badge: index + 1,
+      name: stage.name,
+      description: stage.description,
+      courses: stage.courses,
+      resources: resources.get(index)
+    }));
+  }
+
+  /**
+   * Backlog / In Progress / Done columns; courses keep their (custom) stage order
+   */
+  function getStatusColumns(stages) {
+    const courses = [];
+    const seen = new Set();
+    stages.forEach(stage => stage.courses.forEach(course => {
+      if (seen.has(course.id)) return;
+      seen.add(course.id);
+      courses.push({ ...course, stage: stage.name });
+    }));
+
+    return STATUS_COLUMNS.map(column => ({
+      attributes: `data-status="${column.status}"`,
+      badge: column.icon,
+      name: column.name,
+      description: column.description,
+      courses: courses.filter(course => column.statuses.includes(ProgressStore.getStatus(course.id)))
+    }));
+  }
+
+  function renderColumn(column, pathColor) {
+    const courses = column.courses;
+    const completedCount = courses.filter(c => ProgressStore.isCompleted(c.id)).length;
     
     return `
-      <div class="kanban-column" data-stage="${index}">
+      <div class="kanban-column" ${column.attributes}>
         <div class="column-header" style="--path-color: ${pathColor}">
           <div class="column-title">
-            <span class="stage-number">${index + 1}</span>
-            <h3>${stage.name}</h3>
+            <span class="stage-number">${column.badge}</span>
+            <h3>${Utils.escapeHtml(column.name)}</h3>
           </div>
           <div class="column-count">
             <span class="count-completed">${completedCount}</span>
@@ -159,9 +299,10 @@ const KanbanView = (() => {
           </div>
         </div>
         
-        <div class="column-description">${stage.description || ''}</div>
+        <div class="column-description">${column.description || ''}</div>
+        ${column.resources ? `<div class="column-resources">${ExternalResources.renderBadges(column.resources, currentPath)}</div>` : ''}
         
-        <div class="column-cards" data-stage="${index}">
+        <div class="column-cards" ${column.attributes}>
           ${courses.map(course => renderCard(course, pathColor)).join('')}
         </div>
       </div>
@@ -171,11 +312,13 @@ const KanbanView = (() => {
   function renderCard(course, pathColor) {
     if (!course) return '';
     
-    const isCompleted = completedCourses.has(course.id);
+    const status = ProgressStore.getStatus(course.id);
+    const isCompleted = status === ProgressStore.STATUS.COMPLETED;
     const difficultyClass = (course.difficulty || 'Beginner').toLowerCase();
     
+    // Cards hidden by the shared filters stay on the board so saved orders keep them
     return `
-      <div class="kanban-card ${isCompleted ? 'completed' : ''}" 
+      <div class="kanban-card ${isCompleted ? 'completed' : ''} status-${status} ${AppStore.matches(course) ? '' : 'hidden'}" 
            data-course-id="${course.id}"
            draggable="true">
         <div class="card-header">
@@ -188,6 +331,7 @@ const KanbanView = (() => {
         </div>
         
         <h4 class="card-title">${course.title}</h4>
+        ${currentMode === 'status' && course.stage ? `<span class="card-stage">${Utils.escapeHtml(course.stage)}</span>` : ''}
         
         <p class="card-description">${truncate(course.description || '', 80)}</p>
         
@@ -202,6 +346,7 @@ const KanbanView = (() => {
           ).join('')}
         </div>
         
+        <a href="${Utils.getCourseDetailUrl(course.id)}" class="course-detail-link" title="Course details">ℹ️ Details</a>
         <a href="${course.url || '#'}" target="_blank" rel="noopener" class="card-link" 
            style="--link-color: ${pathColor}">
           Start Course →
@@ -233,6 +378,7 @@ const KanbanView = (() => {
 
   function handleDragStart(e) {
     draggedCard = e.target;
+    dropped = false;
     e.target.classList.add('dragging');
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('text/plain', e.target.dataset.courseId);
@@ -244,6 +390,8 @@ const KanbanView = (() => {
     container.querySelectorAll('.column-cards').forEach(col => {
       col.classList.remove('drag-over');
     });
+    // Dropped outside a column: put the card back where it was
+    if (!dropped) renderKanban();
   }
 
   function handleDragOver(e) {
@@ -266,14 +414,34 @@ const KanbanView = (() => {
     e.currentTarget.classList.remove('drag-over');
   }
 
+  /**
+   * The card was already moved into place during dragover; persist the result:
+   * the new order in stage mode, the column's status in status mode
+   */
   function handleDrop(e) {
     e.preventDefault();
     e.currentTarget.classList.remove('drag-over');
-    // The card is already moved during dragover
+    dropped = true;
+
+    const courseId = e.dataTransfer.getData('text/plain');
+    const { status } = e.currentTarget.dataset;
+
+    if (currentMode === 'status') {
+      const column = STATUS_COLUMNS.find(c => c.status === status);
+      if (courseId && column && !column.statuses.includes(ProgressStore.getStatus(courseId))) {
+        ProgressStore.setStatus(courseId, column.status); // re-renders through the change listener
+      } else {
+        renderKanban();
+      }
+      return;
+    }
+
+    saveOrderFromBoard();
+    renderKanban();
   }
 
   function getDragAfterElement(container, y) {
-    const draggableElements = [...container.querySelectorAll('.kanban-card:not(.dragging)')];
+    const draggableElements = [...container.querySelectorAll('.kanban-card:not(.dragging):not(.hidden)')];
     
     return draggableElements.reduce((closest, child) => {
       const box = child.getBoundingClientRect();
@@ -289,28 +457,50 @@ const KanbanView = (() => {
 
   function toggleComplete(courseId, event) {
     event.stopPropagation();
-    
-    if (completedCourses.has(courseId)) {
-      completedCourses.delete(courseId);
-    } else {
-      completedCourses.add(courseId);
-    }
-    
-    saveProgress();
-    renderKanban();
+    ProgressStore.toggleComplete(courseId); // re-renders through the change listener
   }
 
   function setPath(pathId) {
     currentPath = pathId;
+    UserState.setCareerPath(pathId);
+    TabNavigation.setState({ path: pathId }, { push: true, viewId: 'kanban' });
     renderKanban();
   }
 
-  function resetProgress() {
-    if (confirm('Reset all progress? This cannot be undone.')) {
-      completedCourses.clear();
-      saveProgress();
+  /**
+   * Switch between the stage board and the status board
+   */
+  function setMode(mode) {
+    currentMode = mode === 'status' ? 'status' : 'stages';
+    TabNavigation.setState({ mode: currentMode === 'status' ? 'status' : '' }, { push: true, viewId: 'kanban' });
+    renderKanban();
+  }
+
+  /**
+   * Forget the custom course order of the current path
+   */
+  function resetOrder() {
+    const orders = getSavedOrders();
+    delete orders[currentPath];
+    UserState.setPreferences('kanban', { order: orders });
+    renderKanban();
+  }
+
+  function focusStage(pathId, stageIndex) {
+    if (!data || !data.paths[pathId]) return;
+    if (pathId !== currentPath || currentMode !== 'stages') {
+      currentPath = pathId;
+      currentMode = 'stages';
+      TabNavigation.setState({ path: pathId, mode: '' }, { push: true, viewId: 'kanban' });
       renderKanban();
     }
+    Utils.focusElement(container.querySelector(`.kanban-column[data-stage="${stageIndex}"]`));
+  }
+
+  function resetProgress() {
+    if (confirm('Reset all progress? This cannot be undone — use 💾 Backup first to keep a copy.')) {
+      ProgressStore.reset();
+    }
   }
 
   async function refresh() {
@@ -320,11 +510,17 @@ const KanbanView = (() => {
 
   return {
     init,
+    mount,
     render,
     refresh,
     setPath,
+    setMode,
+    resetOrder,
+    focusStage,
     toggleComplete,
-    resetProgress
+    resetProgress,
+    unmount,
+    destroy
   };
 })();
 
@@ -6,18 +6,12 @@
 
 const NetworkView = (() => {
   let container = null;
+  let subscriptions = []; // store listeners, active while the view is shown
   let data = null;
   let network = null;
   let nodes = null;
   let edges = null;
-
-  const colors = {
-    trunk: { background: '#4CAF50', border: '#388E3C', highlight: { background: '#66BB6A', border: '#2E7D32' } },
-    builder: { background: '#2196F3', border: '#1976D2', highlight: { background: '#42A5F5', border: '#1565C0' } },
-    researcher: { background: '#9C27B0', border: '#7B1FA2', highlight: { background: '#AB47BC', border: '#6A1B9A' } },
-    enterprise: { background: '#FF9800', border: '#F57C00', highlight: { background: '#FFA726', border: '#E65100' } },
-    default: { background: '#667eea', border: '#5a67d8', highlight: { background: '#818cf8', border: '#4f46e5' } }
-  };
+  let searchRequestId = 0;
 
   const difficultyShapes = {
     'Beginner': 'dot',
@@ -27,27 +21,39 @@ const NetworkView = (() => {
 
   async function init(containerElement) {
     container = containerElement;
-    await loadVisJs();
     injectStyles();
   }
 
-  async function loadVisJs() {
-    if (window.vis) return;
-
-    return new Promise((resolve, reject) => {
-      // Load vis-network CSS
-      const link = document.createElement('link');
-      link.rel = 'stylesheet';
-      link.href = 'https://unpkg.com/vis-network@9.1.6/styles/vis-network.min.css';
-      document.head.appendChild(link);
-
-      // Load vis-network JS
-      const script = document.createElement('script');
-      script.src = 'https://unpkg.com/vis-network@9.1.6/standalone/umd/vis-network.min.js';
-      script.onload = resolve;
-      script.onerror = reject;
-      document.head.appendChild(script);
-    });
+  /**
+   * Follow progress changes while the view is shown
+   */
+  function mount() {
+    subscriptions = [
+      ProgressStore.on('change', ({ courseId }) => updateProgress(courseId)),
+      ProgressStore.on('reset', () => updateProgress())
+    ];
+  }
+
+  function unmount() {
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+    // The next visit renders a new graph: free this one's canvas and listeners
+    destroyNetwork();
+  }
+
+  /**
+   * Drop the graph; the next visit initializes the view again
+   */
+  function destroy() {
+    destroyNetwork();
+    container = null;
+  }
+
+  function destroyNetwork() {
+    if (network) network.destroy();
+    network = null;
+    nodes = null;
+    edges = null;
   }
 
   function injectStyles() {
@@ -61,6 +67,7 @@ const NetworkView = (() => {
 
   async function render() {
     if (!container) return;
+    destroyNetwork();
 
     container.innerHTML = `
       <div class="network-loading">
@@ -70,8 +77,14 @@ const NetworkView = (() => {
     `;
 
     try {
-      await loadVisJs();
       data = await DataLoader.loadProcessedData();
+      try {
+        await DependencyLoader.load('vis-network');
+      } catch (error) {
+        console.warn('NetworkView: vis-network unavailable, showing a list instead:', error);
+        renderList();
+        return;
+      }
       renderNetwork();
     } catch (error) {
       console.error('NetworkView render error:', error);
@@ -85,7 +98,8 @@ const NetworkView = (() => {
   }
 
   function buildGraphData() {
-    const { courses, paths } = data;
+    // The path filter hides nodes (filterByPath); the other shared filters leave them out
+    const courses = data.courses.filter(course => AppStore.matches(course));
     const nodesList = [];
     const edgesList = [];
     const coursesMap = new Map(courses.map(c => [c.id, c]));
@@ -93,27 +107,26 @@ const NetworkView = (() => {
     // Create course nodes
     courses.forEach(course => {
       const primaryPath = course.career_paths?.[0] || 'default';
-      // derive color from processed path config when available
-      const pathCfg = data.paths && data.paths[primaryPath];
-      const colorHex = (pathCfg && pathCfg.color) || (colors[primaryPath] && colors[primaryPath].background) || colors.default.background;
+      const colorHex = PathRegistry.color(primaryPath);
       const borderHex = Utils.adjustColor(colorHex, -40);
       const highlightBg = Utils.hexToRgba(colorHex, 0.9);
       const shape = difficultyShapes[course.difficulty] || 'dot';
+      const baseColor = {
+        background: colorHex,
+        border: borderHex,
+        highlight: { background: highlightBg, border: Utils.adjustColor(colorHex, -20) }
+      };
       
       nodesList.push({
         id: course.id,
-        label: truncateLabel(course.title, 25),
         title: buildTooltip(course),
         group: primaryPath,
         shape: shape,
         size: 15 + Math.min(course.duration_hours || 1, 20),
-        color: {
-          background: colorHex,
-          border: borderHex,
-          highlight: { background: highlightBg, border: Utils.adjustColor(colorHex, -20) }
-        },
         font: { size: 11, color: '#333', face: 'Inter, sans-serif' },
-        course: course
+        course: course,
+        baseColor,
+        ...progressAttributes(course, baseColor)
       });
 
       // Create prerequisite edges
@@ -154,6 +167,28 @@ const NetworkView = (() => {
     return { nodes: nodesList, edges: edgesList };
   }
 
+  /**
+   * Label, border and color of a node for the course's progress:
+   * completed courses get a check mark and a thick green border
+   */
+  function progressAttributes(course, baseColor) {
+    const completed = ProgressStore.isCompleted(course.id);
+    return {
+      label: `${completed ? '✓ ' : ''}${truncateLabel(course.title, 25)}`,
+      borderWidth: completed ? 4 : 1,
+      color: completed ? { ...baseColor, border: '#10b981' } : baseColor
+    };
+  }
+
+  /**
+   * Restyle nodes after a progress change (all nodes when no id is given)
+   */
+  function updateProgress(courseId) {
+    if (!nodes) return;
+    const targets = courseId ? [nodes.get(courseId)].filter(Boolean) : nodes.get();
+    nodes.update(targets.map(n => ({ id: n.id, ...progressAttributes(n.course, n.baseColor) })));
+  }
+
   function truncateLabel(text, maxLen) {
     if (!text || text.length <= maxLen) return text;
     return text.slice(0, maxLen - 1) + '…';
@@ -176,14 +211,14 @@ const NetworkView = (() => {
         <div class="network-header">
           <h2>🕸️ Course Dependency Network</h2>
           <div class="network-controls">
+            <input type="text" id="network-search" class="control-input" placeholder="Highlight courses..." aria-label="Highlight matching courses">
             <button id="network-fit" class="control-btn">📐 Fit</button>
             <button id="network-physics" class="control-btn active">⚡ Physics</button>
             <select id="network-filter" class="control-select">
               <option value="all">All Paths</option>
-              <option value="trunk">🌳 Common Core</option>
-              <option value="builder">🔧 Builder</option>
-              <option value="researcher">🔬 Researcher</option>
-              <option value="enterprise">🏢 Enterprise</option>
+              ${Object.entries(data.paths).map(([pathId]) => `
+                <option value="${pathId}">${PathRegistry.label(pathId)}</option>
+              `).join('')}
             </select>
           </div>
         </div>
@@ -199,10 +234,9 @@ const NetworkView = (() => {
         <div class="network-legend">
           <div class="legend-section">
             <span class="legend-title">Career Paths:</span>
-            <div class="legend-item"><span class="legend-dot" style="background: ${data.paths?.trunk?.color || colors.trunk.background}"></span> Common Core</div>
-            <div class="legend-item"><span class="legend-dot" style="background: ${data.paths?.builder?.color || colors.builder.background}"></span> Builder</div>
-            <div class="legend-item"><span class="legend-dot" style="background: ${data.paths?.researcher?.color || colors.researcher.background}"></span> Researcher</div>
-            <div class="legend-item"><span class="legend-dot" style="background: ${data.paths?.enterprise?.color || colors.enterprise.background}"></span> Enterprise</div>
+            ${Object.keys(data.paths).map(pathId => `
+              <div class="legend-item"><span class="legend-dot" style="background: ${PathRegistry.color(pathId)}"></span> ${Utils.escapeHtml(PathRegistry.name(pathId))}</div>
+            `).join('')}
           </div>
           <div class="legend-section">
             <span class="legend-title">Difficulty:</span>
@@ -281,6 +315,131 @@ const NetworkView = (() => {
     document.getElementById('network-filter').addEventListener('change', (e) => {
       filterByPath(e.target.value);
     });
+
+    const searchInput = document.getElementById('network-search');
+    searchInput.addEventListener('input', Utils.debounce(() => {
+      TabNavigation.setState({ q: searchInput.value.trim() }, { viewId: 'network' });
+      highlightMatches(searchInput.value.trim());
+    }, 300));
+
+    restoreState();
+  }
+
+  /**
+   * Fallback without vis-network: every course with its prerequisites and
+   * recommended next courses, filtered by the path in the URL
+   */
+  function renderList() {
+    network = null;
+    nodes = null;
+    edges = null;
+    const { path } = TabNavigation.getState('network');
+    const pathId = path && data.paths[path] ? path : 'all';
+    const courseLinks = ids => ids
+      .filter(id => data.coursesMap.has(id))
+      .map(id => `<a href="#" data-focus="${id}">${Utils.escapeHtml(data.coursesMap.get(id).title)}</a>`)
+      .join(', ');
+
+    container.innerHTML = `
+      <div class="network-container">
+        <div class="network-header">
+          <h2>🕸️ Course Dependency Network</h2>
+          <div class="network-controls">
+            <select id="network-filter" class="control-select">
+              <option value="all">All Paths</option>
+              ${Object.keys(data.paths).map(id => `
+                <option value="${id}" ${id === pathId ? 'selected' : ''}>${PathRegistry.label(id)}</option>
+              `).join('')}
+            </select>
+          </div>
+        </div>
+        <p class="network-fallback-notice">
+          The graph library could not be loaded, so the dependencies are shown as a list.
+          <button type="button" class="control-btn" onclick="NetworkView.refresh()">Retry</button>
+        </p>
+        <ul class="network-list">
+          ${data.courses.filter(course => AppStore.matches(course)).map(course => `
+            <li id="network-course-${course.id}" data-paths="${(data.coursePaths.get(course.id) || []).join(',')}"
+                style="--path-color: ${PathRegistry.color(course.career_paths?.[0] || 'default')}">
+              <div class="network-list-title">
+                ${ProgressStore.renderToggle(course.id)}
+                <a href="${Utils.getCourseDetailUrl(course.id)}">${Utils.escapeHtml(course.title)}</a>
+                <small>${course.difficulty || 'N/A'} · ${course.duration_hours || 0}h</small>
+              </div>
+              ${course.prerequisites?.length ? `<div class="network-list-links">Requires: ${courseLinks(course.prerequisites)}</div>` : ''}
+              ${course.recommended_next?.length ? `<div class="network-list-links">Next: ${courseLinks(course.recommended_next)}</div>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+
+    filterList(pathId);
+    document.getElementById('network-filter').addEventListener('change', e => {
+      TabNavigation.setState({ path: e.target.value === 'all' ? '' : e.target.value }, { push: true, viewId: 'network' });
+      filterList(e.target.value);
+    });
+    container.querySelector('.network-list').addEventListener('click', e => {
+      const link = e.target.closest('[data-focus]');
+      if (!link) return;
+      e.preventDefault();
+      focusNode(link.dataset.focus);
+    });
+
+    const { focus } = TabNavigation.getState('network');
+    if (focus && data.coursesMap.has(focus)) focusNode(focus);
+  }
+
+  function filterList(pathId) {
+    container.querySelectorAll('.network-list > li').forEach(item => {
+      item.classList.toggle('hidden', pathId !== 'all' && !item.dataset.paths.split(',').includes(pathId));
+    });
+  }
+
+  /**
+   * Scroll to a course of the fallback list and highlight it
+   */
+  function focusListItem(nodeId) {
+    const item = document.getElementById(`network-course-${nodeId}`);
+    if (!item) return;
+    container.querySelectorAll('.network-list > li.focused').forEach(el => el.classList.remove('focused'));
+    item.classList.remove('hidden');
+    item.classList.add('focused');
+    item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  /**
+   * Apply filter, search and focused course from the URL state (#network?path=&q=&focus=)
+   */
+  function restoreState() {
+    const { path, q, focus } = TabNavigation.getState('network');
+    if (path && data.paths[path]) {
+      document.getElementById('network-filter').value = path;
+      filterByPath(path);
+    }
+    if (q) {
+      document.getElementById('network-search').value = q;
+      highlightMatches(q);
+    }
+    if (focus && nodes.get(focus)) {
+      focusNode(focus);
+    }
+  }
+
+  /**
+   * Dim courses that don't match the search query
+   */
+  async function highlightMatches(text) {
+    const query = SearchEngine.tokenize(text).length ? text : ''; // stop words only: no search
+    const requestId = ++searchRequestId;
+    const results = query ? await DataLoader.searchRanked(query, { limit: Infinity }) : [];
+    if (requestId !== searchRequestId || !nodes) return;
+
+    const matched = new Set(results.map(r => r.id));
+    nodes.update(nodes.get().map(n => ({
+      id: n.id,
+      opacity: !query || matched.has(n.id) ? 1 : 0.2
+    })));
   }
 
   function handleNodeClick(params) {
@@ -293,6 +452,7 @@ const NetworkView = (() => {
     const node = nodes.get(nodeId);
     if (!node || !node.course) return;
 
+    TabNavigation.setState({ focus: nodeId }, { push: true, viewId: 'network' });
     showCoursePanel(node.course);
 
     // Highlight connected nodes
@@ -317,6 +477,7 @@ const NetworkView = (() => {
     content.innerHTML = `
       <h3>${course.title}</h3>
       <div class="panel-meta">
+        ${ProgressStore.renderToggle(course.id, { label: true })}
         <span class="badge ${(course.difficulty || 'beginner').toLowerCase()}">${course.difficulty || 'N/A'}</span>
         <span class="duration">⏱️ ${course.duration_hours || 0}h</span>
         <span class="partner">${course.partner || ''}</span>
@@ -359,6 +520,9 @@ const NetworkView = (() => {
       <a href="${course.url || '#'}" target="_blank" rel="noopener" class="panel-link">
         Open Course →
       </a>
+      <a href="${Utils.getCourseDetailUrl(course.id)}" class="panel-link secondary">
+        ℹ️ Full Details
+      </a>
     `;
     
     panel.classList.remove('hidden');
@@ -366,7 +530,9 @@ const NetworkView = (() => {
 
   function closePanel() {
     const panel = document.getElementById('network-panel');
+    if (!panel || !nodes) return;
     panel.classList.add('hidden');
+    TabNavigation.setState({ focus: '' }, { push: true, viewId: 'network' });
     
     // Reset node opacity
     const allNodes = nodes.get();
@@ -376,11 +542,18 @@ const NetworkView = (() => {
   }
 
   function focusNode(nodeId) {
+    if (!network) {
+      focusListItem(nodeId);
+      TabNavigation.setState({ focus: nodeId }, { push: true, viewId: 'network' });
+      return;
+    }
+    if (!nodes.get(nodeId)) return; // left out by the shared filters
     network.focus(nodeId, {
       scale: 1.5,
       animation: { duration: 500, easingFunction: 'easeInOutQuad' }
     });
     network.selectNodes([nodeId]);
+    TabNavigation.setState({ focus: nodeId }, { push: true, viewId: 'network' });
     
     const node = nodes.get(nodeId);
     if (node?.course) {
@@ -389,6 +562,7 @@ const NetworkView = (() => {
   }
 
   function filterByPath(pathId) {
+    TabNavigation.setState({ path: pathId === 'all' ? '' : pathId }, { push: true, viewId: 'network' });
     const allNodes = nodes.get();
     
     if (pathId === 'all') {
@@ -397,7 +571,7 @@ const NetworkView = (() => {
       });
     } else {
       allNodes.forEach(n => {
-        const inPath = n.course?.career_paths?.includes(pathId);
+        const inPath = (data.coursePaths.get(n.id) || []).includes(pathId);
         nodes.update({ id: n.id, hidden: !inPath });
       });
     }
@@ -412,10 +586,13 @@ const NetworkView = (() => {
 
   return {
     init,
+    mount,
     render,
     refresh,
     focusNode,
-    closePanel
+    closePanel,
+    unmount,
+    destroy
   };
 })();
 
@@ -0,0 +1,477 @@
+/**
+ * Paths View Component
+ * Editor for user-defined career paths: name, icon, color, description and
+ * stages of courses (added by search, reordered, removed). Saved paths are
+ * stored with the user state (UserState.saveCustomPath) and DataLoader lists
+ * them after the curated paths, so the Kanban, Timeline, Sunburst and Tree
+ * views show them too.
+ * The path being edited lives in the URL: #paths?edit=custom-my-path
+ */
+
+const PathsView = (() => {
+  let container = null;
+  let unsubscribeLoad = null;
+  let data = null;
+  let draft = null; // { id, name, description, color, icon, stages: [{ name, courses: [courseId] }] }
+  let message = '';
+
+  const ICONS = ['🧩', '🚀', '🎯', '🧠', '🛠️', '📊', '🤖', '💡', '🏗️', '🧪'];
+  const SEARCH_LIMIT = 6;
+
+  /**
+   * Initialize the view
+   */
+  async function init(containerElement) {
+    container = containerElement;
+    injectStyles();
+
+    // Another profile or an import: its paths replace the ones being edited
+    unsubscribeLoad = UserState.on('load', () => {
+      draft = null;
+      TabNavigation.setState({ edit: '' }, { viewId: 'paths' });
+    });
+  }
+
+  /**
+   * Drop the profile listener; the next visit initializes the view again
+   */
+  function destroy() {
+    unsubscribeLoad();
+    unsubscribeLoad = null;
+    container = null;
+  }
+
+  /**
+   * Inject component-specific styles
+   */
+  function injectStyles() {
+    if (document.getElementById('paths-view-styles')) return;
+
+    const link = document.createElement('link');
+    link.id = 'paths-view-styles';
+    link.rel = 'stylesheet';
+    link.href = 'ui-tabs/paths-view/styles.css';
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Render the list of custom paths and the editor
+   */
+  async function render() {
+    if (!container) return;
+
+    container.innerHTML = Utils.createLoadingSpinner('Loading paths...');
+
+    try {
+      data = await DataLoader.loadProcessedData();
+      restoreDraft();
+
+      container.innerHTML = `
+        <div class="paths-container">
+          <div class="paths-header">
+            <h2>✏️ Custom Career Paths</h2>
+            <p>Build your own path from the catalog. Saved paths show up in the Kanban, Timeline, Sunburst and Tree views.</p>
+          </div>
+
+          <div class="paths-controls">
+            <button type="button" class="paths-btn primary" data-action="new">➕ New path</button>
+            <label>
+              <span>or copy</span>
+              <select id="paths-copy" class="filter-select">
+                <option value="">Choose a path...</option>
+                ${stagedPaths().map(([id]) => `
+                  <option value="${id}">${PathRegistry.label(id)}</option>
+                `).join('')}
+              </select>
+            </label>
+          </div>
+
+          <ul class="paths-list" id="paths-list"></ul>
+          <div id="paths-editor"></div>
+        </div>
+      `;
+
+      attachEventListeners();
+      renderList();
+      renderEditor();
+    } catch (error) {
+      console.error('Error rendering path editor:', error);
+      container.innerHTML = Utils.createErrorMessage('Error', 'Failed to load the career paths.');
+    }
+  }
+
+  /**
+   * Career paths with stages (curated and custom)
+   */
+  function stagedPaths() {
+    return Object.entries(data.paths).filter(([, path]) => Array.isArray(path.stages) && path.stages.length);
+  }
+
+  /**
+   * Open the path named in the URL, unless it is already being edited
+   */
+  function restoreDraft() {
+    const { edit } = TabNavigation.getState('paths');
+    if (!edit) {
+      draft = null;
+    } else if (!draft || (draft.id || 'new') !== edit) {
+      const saved = UserState.getCustomPaths()[edit];
+      draft = saved ? { id: edit, ...saved } : edit === 'new' ? emptyPath() : null;
+    }
+  }
+
+  function emptyPath() {
+    return { id: null, name: '', description: '', color: PathRegistry.DEFAULT_COLOR, icon: ICONS[0], stages: [{ name: 'Stage 1', courses: [] }] };
+  }
+
+  /**
+   * A custom path copied from another path (course objects become ids)
+   */
+  function copyOf(pathId) {
+    const path = data.paths[pathId];
+    return {
+      id: null,
+      name: `${path.name} (copy)`,
+      description: path.description || '',
+      color: PathRegistry.color(pathId),
+      icon: PathRegistry.get(pathId).icon,
+      stages: path.stages.map(stage => ({
+        name: stage.name,
+        courses: (stage.courses || []).filter(Boolean).map(course => typeof course === 'string' ? course : course.id)
+      }))
+    };
+  }
+
+  function openDraft(path) {
+    draft = path;
+    message = '';
+    TabNavigation.setState({ edit: path ? path.id || 'new' : '' }, { push: true, viewId: 'paths' });
+    renderList();
+    renderEditor();
+    if (path) document.getElementById('path-name')?.focus();
+  }
+
+  function courseHours(ids) {
+    return ids.reduce((sum, id) => sum + ((data.coursesMap.get(id) || {}).duration_hours || 0), 0);
+  }
+
+  /**
+   * Saved custom paths
+   */
+  function renderList() {
+    const list = document.getElementById('paths-list');
+    if (!list) return;
+
+    const paths = Object.entries(UserState.getCustomPaths());
+    list.innerHTML = paths.length ? paths.map(([id, path]) => {
+      const ids = path.stages.flatMap(stage => stage.courses);
+      return `
+        <li class="path-card ${draft && draft.id === id ? 'editing' : ''}" style="--path-color: ${PathRegistry.color(id)}">
+          <span class="path-card-icon">${Utils.escapeHtml(path.icon)}</span>
+          <div class="path-card-body">
+            <strong>${Utils.escapeHtml(path.name)}</strong>
+            <small>${path.stages.length} stage${path.stages.length === 1 ? '' : 's'} · ${ids.length} course${ids.length === 1 ? '' : 's'} · ⏱ ${Utils.formatDuration(courseHours(ids))}</small>
+          </div>
+          <div class="path-card-actions">
+            <a class="paths-btn" href="${TabNavigation.buildHash('timeline', { path: id })}">🚂 Timeline</a>
+            <a class="paths-btn" href="${TabNavigation.buildHash('kanban', { path: id })}">📋 Kanban</a>
+            <button type="button" class="paths-btn" data-action="edit" data-path="${id}">✏️ Edit</button>
+            <button type="button" class="paths-btn danger" data-action="delete" data-path="${id}">🗑️ Delete</button>
+          </div>
+        </li>
+      `;
+    }).join('') : '<li class="paths-empty">No custom path yet — start a new one or copy an existing path.</li>';
+  }
+
+  /**
+   * Form of the path being edited
+   */
+  function renderEditor() {
+    const editor = document.getElementById('paths-editor');
+    if (!editor) return;
+
+    if (!draft) {
+      editor.innerHTML = '';
+      return;
+    }
+
+    const inPath = draft.stages.flatMap(stage => stage.courses);
+
+    editor.innerHTML = `
+      <form class="path-editor" id="path-form" novalidate>
+        <h3>${draft.id ? 'Edit path' : 'New path'}</h3>
+
+        <div class="path-fields">
+          <label class="path-field wide">
+            <span>Name</span>
+            <input type="text" id="path-name" data-field="name" value="${Utils.escapeHtml(draft.name)}" maxlength="60" required>
+          </label>
+          <label class="path-field">
+            <span>Icon</span>
+            <input type="text" data-field="icon" value="${Utils.escapeHtml(draft.icon)}" maxlength="4" class="path-icon-input">
+          </label>
+          <label class="path-field">
+            <span>Color</span>
+            <input type="color" data-field="color" value="${Utils.escapeHtml(draft.color)}">
+          </label>
+          <div class="path-icons" role="group" aria-label="Suggested icons">
+            ${ICONS.map(icon => `
+              <button type="button" class="path-icon-choice ${icon === draft.icon ? 'active' : ''}" data-action="icon" data-icon="${icon}">${icon}</button>
+            `).join('')}
+          </div>
+          <label class="path-field full">
+            <span>Description</span>
+            <textarea data-field="description" rows="2" maxlength="300">${Utils.escapeHtml(draft.description)}</textarea>
+          </label>
+        </div>
+
+        <div class="path-summary">
+          ${draft.stages.length} stage${draft.stages.length === 1 ? '' : 's'} · ${inPath.length} course${inPath.length === 1 ? '' : 's'} · ⏱ ${Utils.formatDuration(courseHours(inPath))}
+        </div>
+
+        <ol class="path-stages">
+          ${draft.stages.map((stage, index) => renderStage(stage, index)).join('')}
+        </ol>
+
+        <button type="button" class="paths-btn" data-action="add-stage">➕ Add stage</button>
+
+        ${message ? `<p class="path-message" role="alert">${Utils.escapeHtml(message)}</p>` : ''}
+
+        <div class="path-actions">
+          <button type="submit" class="paths-btn primary">💾 Save path</button>
+          <button type="button" class="paths-btn" data-action="cancel">Cancel</button>
+        </div>
+      </form>
+    `;
+
+    attachEditorListeners();
+  }
+
+  function renderStage(stage, index) {
+    const last = draft.stages.length - 1;
+    return `
+      <li class="path-stage" style="--path-color: ${draft.color}">
+        <div class="path-stage-header">
+          <span class="path-stage-number">${index + 1}</span>
+          <input type="text" data-stage-name="${index}" value="${Utils.escapeHtml(stage.name)}" maxlength="60" aria-label="Stage ${index + 1} name">
+          <button type="button" class="paths-icon-btn" data-action="stage-up" data-stage="${index}" ${index === 0 ? 'disabled' : ''} title="Move stage up">▲</button>
+          <button type="button" class="paths-icon-btn" data-action="stage-down" data-stage="${index}" ${index === last ? 'disabled' : ''} title="Move stage down">▼</button>
+          <button type="button" class="paths-icon-btn" data-action="stage-remove" data-stage="${index}" title="Remove stage">✕</button>
+        </div>
+
+        <ul class="path-courses">
+          ${stage.courses.map((id, position) => {
+            const course = data.coursesMap.get(id);
+            return `
+              <li>
+                <span class="path-course-title">${Utils.escapeHtml(course ? course.title : id)}</span>
+                <small>${course ? `${course.difficulty || ''} · ⏱ ${Utils.formatDuration(course.duration_hours)}` : 'Not in the catalog'}</small>
+                <button type="button" class="paths-icon-btn" data-action="course-up" data-stage="${index}" data-position="${position}" ${position === 0 ? 'disabled' : ''} title="Move up">▲</button>
+                <button type="button" class="paths-icon-btn" data-action="course-down" data-stage="${index}" data-position="${position}" ${position === stage.courses.length - 1 ? 'disabled' : ''} title="Move down">▼</button>
+                <button type="button" class="paths-icon-btn" data-action="course-remove" data-stage="${index}" data-position="${position}" title="Remove course">✕</button>
+              </li>
+            `;
+          }).join('') || '<li class="paths-empty">No course in this stage yet.</li>'}
+        </ul>
+
+        <div class="path-search">
+          <input type="search" data-search="${index}" placeholder="Add a course..." autocomplete="off" aria-label="Search courses to add to stage ${index + 1}">
+          <ul class="path-search-results" data-results="${index}"></ul>
+        </div>
+      </li>
+    `;
+  }
+
+  /**
+   * Search results for a stage; courses already in the path can't be added twice
+   */
+  async function renderSearch(index, query) {
+    const results = container.querySelector(`[data-results="${index}"]`);
+    if (!results) return;
+
+    if (!query) {
+      results.innerHTML = '';
+      return;
+    }
+
+    const hits = await DataLoader.searchRanked(query, { limit: SEARCH_LIMIT });
+    const used = new Map();
+    draft.stages.forEach((stage, stageIndex) => stage.courses.forEach(id => used.set(id, stageIndex)));
+
+    results.innerHTML = hits.length ? hits.map(hit => {
+      const stageIndex = used.get(hit.id);
+      return `
+        <li>
+          <button type="button" data-action="course-add" data-stage="${index}" data-course="${hit.id}" ${stageIndex !== undefined ? 'disabled' : ''}>
+            <span>${SearchEngine.highlight(hit.course.title, hit.matches.title)}</span>
+            <small>${stageIndex !== undefined ? `already in stage ${stageIndex + 1}` : `${hit.course.difficulty || ''} · ⏱ ${Utils.formatDuration(hit.course.duration_hours)}`}</small>
+          </button>
+        </li>
+      `;
+    }).join('') : '<li class="paths-empty">No course matches.</li>';
+  }
+
+  function move(list, from, to) {
+    if (to < 0 || to >= list.length) return;
+    const [item] = list.splice(from, 1);
+    list.splice(to, 0, item);
+  }
+
+  /**
+   * Apply an editor button to the draft
+   */
+  function applyAction(button) {
+    const stage = Number(button.dataset.stage);
+    const position = Number(button.dataset.position);
+    const courses = draft.stages[stage] && draft.stages[stage].courses;
+
+    switch (button.dataset.action) {
+      case 'icon':
+        draft.icon = button.dataset.icon;
+        break;
+      case 'add-stage':
+        draft.stages.push({ name: `Stage ${draft.stages.length + 1}`, courses: [] });
+        break;
+      case 'stage-up':
+        move(draft.stages, stage, stage - 1);
+        break;
+      case 'stage-down':
+        move(draft.stages, stage, stage + 1);
+        break;
+      case 'stage-remove':
+        if (courses.length && !confirm(`Remove the stage "${draft.stages[stage].name}" and its ${courses.length} course(s)?`)) return;
+        draft.stages.splice(stage, 1);
+        break;
+      case 'course-up':
+        move(courses, position, position - 1);
+        break;
+      case 'course-down':
+        move(courses, position, position + 1);
+        break;
+      case 'course-remove':
+        courses.splice(position, 1);
+        break;
+      case 'course-add':
+        courses.push(button.dataset.course);
+        break;
+      case 'cancel':
+        openDraft(null);
+        return;
+      default:
+        return;
+    }
+
+    renderEditor();
+    if (button.dataset.action === 'course-add') {
+      container.querySelector(`[data-search="${stage}"]`)?.focus();
+    }
+  }
+
+  function save() {
+    if (draft.stages.every(stage => stage.courses.length === 0)) {
+      message = 'Add at least one course before saving.';
+      renderEditor();
+      return;
+    }
+
+    try {
+      const saved = UserState.saveCustomPath(draft);
+      draft = null;
+      message = '';
+      TabNavigation.setState({ edit: '' }, { push: true, viewId: 'paths' });
+      // DataLoader picks the path up through the 'paths' event: reload the copy list too
+      render().then(() => Utils.focusElement(container.querySelector(`[data-path="${saved.id}"]`)?.closest('.path-card')));
+    } catch (error) {
+      message = error.message;
+      renderEditor();
+    }
+  }
+
+  function remove(pathId) {
+    const path = UserState.getCustomPaths()[pathId];
+    if (!path || !confirm(`Delete the path "${path.name}"? This cannot be undone.`)) return;
+
+    UserState.deleteCustomPath(pathId);
+    if (draft && draft.id === pathId) openDraft(null);
+    render();
+  }
+
+  /**
+   * Attach event listeners
+   */
+  function attachEventListeners() {
+    container.querySelector('.paths-controls').addEventListener('click', e => {
+      if (e.target.closest('[data-action="new"]')) openDraft(emptyPath());
+    });
+
+    document.getElementById('paths-copy').addEventListener('change', e => {
+      if (!e.target.value) return;
+      openDraft(copyOf(e.target.value));
+      e.target.value = '';
+    });
+
+    document.getElementById('paths-list').addEventListener('click', e => {
+      const button = e.target.closest('button[data-path]');
+      if (!button) return;
+      if (button.dataset.action === 'delete') {
+        remove(button.dataset.path);
+      } else {
+        openDraft({ id: button.dataset.path, ...UserState.getCustomPaths()[button.dataset.path] });
+      }
+    });
+  }
+
+  function attachEditorListeners() {
+    const form = document.getElementById('path-form');
+
+    form.addEventListener('input', e => {
+      const { field, stageName, search } = e.target.dataset;
+      if (field) {
+        draft[field] = e.target.value;
+        if (field === 'color') form.querySelectorAll('.path-stage').forEach(el => el.style.setProperty('--path-color', draft.color));
+      } else if (stageName !== undefined) {
+        draft.stages[Number(stageName)].name = e.target.value;
+      } else if (search !== undefined) {
+        debouncedSearch(Number(search), e.target.value.trim());
+      }
+    });
+
+    // Enter in a search box adds the first result instead of submitting the form
+    form.addEventListener('keydown', e => {
+      if (e.key !== 'Enter' || e.target.dataset.search === undefined) return;
+      e.preventDefault();
+      const first = form.querySelector(`[data-results="${e.target.dataset.search}"] button:not([disabled])`);
+      if (first) applyAction(first);
+    });
+
+    form.addEventListener('click', e => {
+      const button = e.target.closest('button[data-action]');
+      if (button && !button.disabled) applyAction(button);
+    });
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      save();
+    });
+  }
+
+  const debouncedSearch = Utils.debounce((index, query) => renderSearch(index, query), 200);
+
+  async function refresh() {
+    DataLoader.clearCache();
+    await render();
+  }
+
+  // Public API
+  return {
+    init,
+    render,
+    refresh,
+    destroy
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PathsView;
+}
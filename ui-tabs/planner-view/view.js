@@ -0,0 +1,303 @@
+/**
+ * Planner View Component
+ * Pick target courses and/or skills; LearningPlanner returns the shortest
+ * prerequisite-respecting plan, rendered here as a timeline.
+ * Targets live in the URL: #planner?courses=a,b&skills=x,y
+ * and are saved as the 'planner' plan in UserState (used when the URL has none).
+ */
+
+const PlannerView = (() => {
+  let container = null;
+  let unsubscribeLoad = null;
+  let data = null;
+  let skillNames = [];
+  let targets = { courses: [], skills: [] };
+  let skipCompleted = true;
+
+  const PLAN_ID = 'planner';
+
+  /**
+   * Initialize the view
+   */
+  async function init(containerElement) {
+    container = containerElement;
+    injectStyles();
+
+    // An imported backup or another profile replaces the targets held in the URL state
+    unsubscribeLoad = UserState.on('load', () => {
+      const plan = UserState.getPlan(PLAN_ID) || { courses: [], skills: [] };
+      TabNavigation.setState({ courses: plan.courses.join(','), skills: plan.skills.join(',') }, { viewId: 'planner' });
+    });
+  }
+
+  /**
+   * Drop the profile listener; the next visit initializes the view again
+   */
+  function destroy() {
+    unsubscribeLoad();
+    unsubscribeLoad = null;
+    container = null;
+  }
+
+  /**
+   * Inject component-specific styles
+   */
+  function injectStyles() {
+    if (document.getElementById('planner-view-styles')) return;
+
+    const link = document.createElement('link');
+    link.id = 'planner-view-styles';
+    link.rel = 'stylesheet';
+    link.href = 'ui-tabs/planner-view/styles.css';
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Render the planner
+   */
+  async function render() {
+    if (!container) return;
+
+    container.innerHTML = Utils.createLoadingSpinner('Loading planner...');
+
+    try {
+      data = await DataLoader.loadProcessedData();
+      skillNames = [...(await DataLoader.getAllSkills()).keys()].sort((a, b) => a.localeCompare(b));
+
+      const state = TabNavigation.getState('planner');
+      const saved = UserState.getPlan(PLAN_ID);
+      const fromUrl = Boolean(state.courses || state.skills) || !saved;
+      targets = {
+        courses: (fromUrl ? splitList(state.courses) : saved.courses).filter(id => data.coursesMap.has(id)),
+        skills: fromUrl ? splitList(state.skills) : saved.skills
+      };
+      if (!fromUrl) {
+        TabNavigation.setState({ courses: targets.courses.join(','), skills: targets.skills.join(',') }, { viewId: 'planner' });
+      }
+      skipCompleted = UserState.getPreferences('planner').skipCompleted !== false;
+
+      container.innerHTML = `
+        <div class="planner-container">
+          <div class="planner-header">
+            <h2>🧭 Learning Planner</h2>
+            <p>Choose the courses or skills you want. The planner adds the prerequisites you still need, in order.</p>
+          </div>
+
+          <form class="planner-form" id="planner-form">
+            <input type="text"
+                   id="planner-target"
+                   class="search-input"
+                   list="planner-options"
+                   placeholder="Add a course or skill..."
+                   autocomplete="off">
+            <datalist id="planner-options">
+              ${data.courses.map(c => `<option value="${Utils.escapeHtml(c.title)}">Course</option>`).join('')}
+              ${skillNames.map(s => `<option value="${Utils.escapeHtml(s)}">Skill</option>`).join('')}
+            </datalist>
+            <button type="submit" class="planner-add">Add target</button>
+            <label class="planner-skip">
+              <input type="checkbox" id="planner-skip-completed" ${skipCompleted ? 'checked' : ''}>
+              Skip courses I've completed (${ProgressStore.getCompleted().length})
+            </label>
+          </form>
+          <p class="planner-message" id="planner-message" role="status"></p>
+
+          <div class="planner-targets" id="planner-targets"></div>
+          <div class="planner-result" id="planner-result"></div>
+        </div>
+      `;
+
+      attachEventListeners();
+      await updatePlan();
+    } catch (error) {
+      console.error('Error rendering planner:', error);
+      container.innerHTML = Utils.createErrorMessage('Error', 'Failed to load the learning planner.');
+    }
+  }
+
+  function splitList(value) {
+    return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+  }
+
+  /**
+   * Attach event listeners
+   */
+  function attachEventListeners() {
+    const form = document.getElementById('planner-form');
+    const input = document.getElementById('planner-target');
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      addTarget(input.value);
+      input.value = '';
+    });
+
+    document.getElementById('planner-skip-completed').addEventListener('change', e => {
+      skipCompleted = e.target.checked;
+      UserState.setPreferences('planner', { skipCompleted });
+      updatePlan();
+    });
+
+    document.getElementById('planner-targets').addEventListener('click', e => {
+      const chip = e.target.closest('[data-remove]');
+      if (!chip) return;
+      const [type, value] = [chip.dataset.type, chip.dataset.remove];
+      targets[type] = targets[type].filter(t => t !== value);
+      saveTargets();
+      updatePlan();
+    });
+  }
+
+  /**
+   * Resolve typed text to a course (by title or id) or a skill and add it
+   */
+  function addTarget(text) {
+    const value = text.trim();
+    const message = document.getElementById('planner-message');
+    message.textContent = '';
+    if (!value) return;
+
+    const lower = value.toLowerCase();
+    const course = data.courses.find(c => c.title.toLowerCase() === lower || c.id === value);
+    const skill = skillNames.find(s => LearningPlanner.normalizeSkill(s) === LearningPlanner.normalizeSkill(value));
+
+    if (course) {
+      if (!targets.courses.includes(course.id)) targets.courses.push(course.id);
+    } else if (skill) {
+      if (!targets.skills.includes(skill)) targets.skills.push(skill);
+    } else {
+      message.textContent = `No course or skill named "${value}".`;
+      return;
+    }
+
+    saveTargets();
+    updatePlan();
+  }
+
+  function saveTargets() {
+    UserState.savePlan(PLAN_ID, targets);
+    TabNavigation.setState({
+      courses: targets.courses.join(','),
+      skills: targets.skills.join(',')
+    }, { push: true, viewId: 'planner' });
+  }
+
+  /**
+   * Recompute and render the plan for the current targets
+   */
+  async function updatePlan() {
+    renderTargets();
+
+    const result = document.getElementById('planner-result');
+    if (!result) return;
+
+    if (targets.courses.length === 0 && targets.skills.length === 0) {
+      result.innerHTML = `
+        <div class="planner-empty">
+          <p>Add a target above to build a plan — for example a course like
+          "Building and Evaluating Advanced RAG" or a skill like "Fine-tuning".</p>
+        </div>
+      `;
+      return;
+    }
+
+    const plan = await LearningPlanner.buildPlan({
+      courses: targets.courses,
+      skills: targets.skills,
+      completed: skipCompleted ? ProgressStore.getCompleted() : []
+    });
+    result.innerHTML = renderPlan(plan);
+  }
+
+  function renderTargets() {
+    const list = document.getElementById('planner-targets');
+    if (!list) return;
+
+    list.innerHTML = [
+      ...targets.courses.map(id => renderChip('courses', id, `🎓 ${data.coursesMap.get(id).title}`)),
+      ...targets.skills.map(skill => renderChip('skills', skill, `🛠 ${skill}`))
+    ].join('');
+  }
+
+  function renderChip(type, value, label) {
+    return `
+      <span class="planner-chip">
+        ${Utils.escapeHtml(label)}
+        <button type="button" data-type="${type}" data-remove="${Utils.escapeHtml(value)}" aria-label="Remove target">×</button>
+      </span>
+    `;
+  }
+
+  /**
+   * Render a plan as a vertical timeline
+   */
+  function renderPlan(plan) {
+    const warnings = [];
+    if (plan.unresolvedSkills.length) {
+      warnings.push(`No course teaches: ${plan.unresolvedSkills.map(Utils.escapeHtml).join(', ')}`);
+    }
+    if (plan.missing.length) {
+      warnings.push(`Unknown prerequisites ignored: ${plan.missing.map(Utils.escapeHtml).join(', ')}`);
+    }
+    if (plan.cycles.length) {
+      warnings.push(`Prerequisite cycle, order not guaranteed for: ${plan.cycles.map(Utils.escapeHtml).join(', ')}`);
+    }
+
+    return `
+      <div class="planner-summary">
+        <span><strong>${plan.steps.length}</strong> courses</span>
+        <span><strong>${Utils.formatDuration(plan.totalHours)}</strong> total</span>
+        ${plan.skipped.length ? `<span><strong>${plan.skipped.length}</strong> targets already completed</span>` : ''}
+      </div>
+
+      ${warnings.map(w => `<p class="planner-warning">⚠️ ${w}</p>`).join('')}
+
+      ${plan.steps.length ? `
+        <ol class="planner-timeline">
+          ${plan.steps.map((step, i) => renderStep(step, i + 1)).join('')}
+        </ol>
+      ` : '<p class="planner-empty">Nothing left to take — all targets are covered by completed courses. 🎉</p>'}
+    `;
+  }
+
+  function renderStep(step, num) {
+    const reason = {
+      target: '<span class="plan-reason target">🎯 Target</span>',
+      skill: `<span class="plan-reason skill">🛠 ${step.skills.map(Utils.escapeHtml).join(', ')}</span>`,
+      prerequisite: '<span class="plan-reason prerequisite">🔗 Prerequisite</span>'
+    }[step.reason];
+
+    return `
+      <li class="plan-step ${step.reason}">
+        <span class="plan-marker">${num}</span>
+        <div class="plan-card">
+          <a href="${Utils.getCourseDetailUrl(step.id)}" class="plan-title">${Utils.escapeHtml(step.title)}</a>
+          <div class="plan-meta">
+            ${reason}
+            <span class="difficulty-badge ${(step.difficulty || 'beginner').toLowerCase()}">${step.difficulty || 'N/A'}</span>
+            <span>⏱ ${Utils.formatDuration(step.hours)}</span>
+            <span class="plan-cumulative">Σ ${Utils.formatDuration(step.cumulativeHours)}</span>
+          </div>
+        </div>
+      </li>
+    `;
+  }
+
+  async function refresh() {
+    DataLoader.clearCache();
+    await render();
+  }
+
+  // Public API
+  return {
+    init,
+    render,
+    refresh,
+    destroy
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PlannerView;
+}
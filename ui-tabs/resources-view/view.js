@@ -0,0 +1,269 @@
+/**
+ * Resources View Component
+ * External learning resources (external-resources.json): gap topics that the
+ * courses don't cover, each with recommended links (videos, courses, papers...).
+ * Every link has a progress toggle, tracked in ProgressStore like a course.
+ * Settings live in the URL: #resources?path=researcher&type=video&topic=gap-advanced-math
+ */
+
+const ResourcesView = (() => {
+  let container = null;
+  let subscriptions = []; // store listeners, active while the view is shown
+  let data = null;
+
+  /**
+   * Initialize the view
+   */
+  async function init(containerElement) {
+    container = containerElement;
+    injectStyles();
+  }
+
+  /**
+   * Follow progress changes while the view is shown
+   */
+  function mount() {
+    subscriptions = [
+      ProgressStore.on('change', () => { if (data) updateContent(); }),
+      ProgressStore.on('reset', () => { if (data) updateContent(); })
+    ];
+  }
+
+  function unmount() {
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+  }
+
+  /**
+   * Inject component-specific styles
+   */
+  function injectStyles() {
+    if (document.getElementById('resources-view-styles')) return;
+
+    const link = document.createElement('link');
+    link.id = 'resources-view-styles';
+    link.rel = 'stylesheet';
+    link.href = 'ui-tabs/resources-view/styles.css';
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Render the resources view
+   */
+  async function render() {
+    if (!container) return;
+
+    container.innerHTML = Utils.createLoadingSpinner('Loading resources...');
+
+    try {
+      data = await DataLoader.loadProcessedData();
+      const settings = getSettings();
+      const pathIds = [...new Set(data.externalResources.flatMap(topic => topic.career_paths))].filter(id => data.paths[id]);
+
+      container.innerHTML = `
+        <div class="resources-container">
+          <div class="resources-header">
+            <h2>📎 External Resources</h2>
+            <p>Topics the courses don't fully cover, with hand-picked links. Tick them off like courses.</p>
+          </div>
+
+          <div class="resources-summary" id="resources-summary"></div>
+
+          <div class="resources-controls">
+            <select id="resources-path" class="filter-select" aria-label="Career path">
+              <option value="">All paths</option>
+              ${pathIds.map(id => `
+                <option value="${id}" ${id === settings.path ? 'selected' : ''}>${PathRegistry.label(id)}</option>
+              `).join('')}
+            </select>
+            <div class="resources-types" id="resources-types" role="group" aria-label="Resource type"></div>
+          </div>
+
+          <div class="resources-grid" id="resources-grid"></div>
+        </div>
+      `;
+
+      attachEventListeners();
+      updateContent();
+
+      if (settings.topic) {
+        container.querySelector(`[data-topic="${CSS.escape(settings.topic)}"]`)?.scrollIntoView({ block: 'center' });
+      }
+    } catch (error) {
+      console.error('Error rendering resources:', error);
+      container.innerHTML = Utils.createErrorMessage('Error', 'Failed to load external resources.');
+    }
+  }
+
+  /**
+   * Current settings from the URL state
+   */
+  function getSettings() {
+    const state = TabNavigation.getState('resources');
+    return {
+      path: data.paths[state.path] ? state.path : '',
+      type: state.type || '',
+      topic: state.topic || ''
+    };
+  }
+
+  /**
+   * Topics of the selected path, with their links filtered by type
+   */
+  function filterTopics(settings) {
+    const topics = settings.path ? ExternalResources.forPath(data.externalResources, settings.path) : data.externalResources;
+    return topics
+      .map(topic => ({
+        ...topic,
+        links: topic.recommended_resources.filter(link => !settings.type || link.type === settings.type)
+      }))
+      .filter(topic => topic.links.length > 0);
+  }
+
+  /**
+   * Redraw summary, type filter and cards
+   */
+  function updateContent() {
+    const grid = document.getElementById('resources-grid');
+    if (!grid) return;
+
+    const settings = getSettings();
+    const topics = filterTopics(settings);
+    const scope = settings.path ? ExternalResources.forPath(data.externalResources, settings.path) : data.externalResources;
+
+    renderSummary(topics);
+    renderTypes(scope, settings.type);
+
+    grid.innerHTML = topics.length
+      ? topics.map(topic => renderTopic(topic, topic.id === settings.topic)).join('')
+      : '<p class="resources-empty">No resource matches these filters.</p>';
+  }
+
+  function renderSummary(topics) {
+    const counts = ProgressStore.summarize(topics.flatMap(topic => topic.links.map(link => link.id)));
+    const percent = counts.total ? Math.round((counts.completed / counts.total) * 100) : 0;
+
+    document.getElementById('resources-summary').innerHTML = `
+      <span><strong>${topics.length}</strong> topic${topics.length === 1 ? '' : 's'}</span>
+      <span><strong>${counts.completed}</strong> of ${counts.total} resources done${counts.in_progress ? ` · ${counts.in_progress} in progress` : ''}</span>
+      <div class="resources-progress" title="${percent}% done"><span style="width: ${percent}%"></span></div>
+    `;
+  }
+
+  /**
+   * Type chips with counts for the topics in scope
+   */
+  function renderTypes(topics, activeType) {
+    const counts = {};
+    topics.forEach(topic => topic.recommended_resources.forEach(link => {
+      counts[link.type] = (counts[link.type] || 0) + 1;
+    }));
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+    document.getElementById('resources-types').innerHTML = `
+      <button type="button" class="type-chip ${activeType ? '' : 'active'}" data-type="" aria-pressed="${!activeType}">All <small>${total}</small></button>
+      ${Object.entries(counts).map(([type, count]) => {
+        const meta = ExternalResources.typeMeta(type);
+        return `
+          <button type="button" class="type-chip ${type === activeType ? 'active' : ''}" data-type="${Utils.escapeHtml(type)}" aria-pressed="${type === activeType}">
+            ${meta.icon} ${Utils.escapeHtml(meta.label)} <small>${count}</small>
+          </button>
+        `;
+      }).join('')}
+    `;
+  }
+
+  function renderTopic(topic, focused) {
+    const category = data.categories[topic.category] || { name: topic.category || 'General', icon: '📚' };
+    const { completed, total } = ExternalResources.progress(topic);
+
+    return `
+      <article class="resource-topic ${focused ? 'focused' : ''}" data-topic="${Utils.escapeHtml(topic.id)}">
+        <header>
+          <span class="resource-category">${category.icon || '📚'} ${Utils.escapeHtml(category.name)}</span>
+          <h3>${Utils.escapeHtml(topic.title)}</h3>
+          <p>${Utils.escapeHtml(topic.description || '')}</p>
+          <div class="resource-paths">
+            ${topic.career_paths.filter(id => data.paths[id]).map(id => `
+              <span class="resource-path" style="--path-color: ${PathRegistry.color(id)}">
+                ${PathRegistry.label(id)}
+              </span>
+            `).join('')}
+            <span class="resource-done">${completed}/${total} done</span>
+          </div>
+        </header>
+        <ul class="resource-links">
+          ${topic.links.map(link => {
+            const meta = ExternalResources.typeMeta(link.type);
+            return `
+              <li data-resource="${Utils.escapeHtml(link.id)}" data-progress="${ProgressStore.getStatus(link.id)}">
+                ${ProgressStore.renderToggle(link.id)}
+                <a href="${link.url}" target="_blank" rel="noopener">${Utils.escapeHtml(link.name)}</a>
+                <span class="resource-type" title="${Utils.escapeHtml(meta.label)}">${meta.icon} ${Utils.escapeHtml(meta.label)}</span>
+              </li>
+            `;
+          }).join('')}
+        </ul>
+      </article>
+    `;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  function attachEventListeners() {
+    document.getElementById('resources-path').addEventListener('change', e => {
+      TabNavigation.setState({ path: e.target.value, topic: '' }, { push: true, viewId: 'resources' });
+      updateContent();
+    });
+
+    document.getElementById('resources-types').addEventListener('click', e => {
+      const chip = e.target.closest('[data-type]');
+      if (!chip) return;
+      TabNavigation.setState({ type: chip.dataset.type }, { push: true, viewId: 'resources' });
+      updateContent();
+    });
+  }
+
+  /**
+   * Scroll to and highlight a recommended link; the path and type filters are
+   * cleared when they hide it
+   */
+  function focusResource(resourceId) {
+    if (!container || !data) return;
+    const topic = data.externalResources.find(t => t.recommended_resources.some(link => link.id === resourceId));
+    if (!topic) return;
+
+    const link = topic.recommended_resources.find(l => l.id === resourceId);
+    const settings = getSettings();
+    const values = { topic: topic.id };
+    if (settings.path && !topic.career_paths.includes(settings.path)) values.path = '';
+    if (settings.type && link.type !== settings.type) values.type = '';
+    TabNavigation.setState(values, { push: true, viewId: 'resources' });
+
+    const select = document.getElementById('resources-path');
+    if (select && values.path === '') select.value = '';
+    updateContent();
+    Utils.focusElement(container.querySelector(`[data-resource="${CSS.escape(resourceId)}"]`));
+  }
+
+  async function refresh() {
+    DataLoader.clearCache();
+    await render();
+  }
+
+  // Public API
+  return {
+    init,
+    mount,
+    render,
+    refresh,
+    focusResource,
+    unmount
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResourcesView;
+}
@@ -0,0 +1,324 @@
+/**
+ * Schedule View Component
+ * Week-by-week study calendar for a career path or the planner's targets,
+ * built by StudyScheduler and exportable as an .ics file.
+ * Settings live in the URL: #schedule?source=builder&hours=6&start=2025-01-06&blocked=2025-02-10
+ * and are saved as the 'schedule' preferences in UserState (used when the URL has none).
+ */
+
+const ScheduleView = (() => {
+  let container = null;
+  let unsubscribeLoad = null;
+  let data = null;
+  let schedule = null;
+
+  const PLANNER_SOURCE = 'planner';
+  const DEFAULT_HOURS = 5;
+
+  /**
+   * Initialize the view
+   */
+  async function init(containerElement) {
+    container = containerElement;
+    injectStyles();
+
+    // An imported backup or another profile replaces the settings held in the URL state
+    unsubscribeLoad = UserState.on('load', () => {
+      const { source = '', hours = '', start = '', blocked = [] } = UserState.getPreferences('schedule');
+      TabNavigation.setState({ source, hours, start, blocked: blocked.join(',') }, { viewId: 'schedule' });
+    });
+  }
+
+  /**
+   * Drop the profile listener; the next visit initializes the view again
+   */
+  function destroy() {
+    unsubscribeLoad();
+    unsubscribeLoad = null;
+    container = null;
+  }
+
+  /**
+   * Inject component-specific styles
+   */
+  function injectStyles() {
+    if (document.getElementById('schedule-view-styles')) return;
+
+    const link = document.createElement('link');
+    link.id = 'schedule-view-styles';
+    link.rel = 'stylesheet';
+    link.href = 'ui-tabs/schedule-view/styles.css';
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Today's local date as YYYY-MM-DD
+   */
+  function today() {
+    return new Date().toLocaleDateString('en-CA');
+  }
+
+  /**
+   * Career paths that can be scheduled (those with stages)
+   */
+  function schedulablePaths() {
+    return Object.entries(data.paths).filter(([, path]) => Array.isArray(path.stages) && path.stages.length);
+  }
+
+  /**
+   * Render the schedule builder
+   */
+  async function render() {
+    if (!container) return;
+
+    container.innerHTML = Utils.createLoadingSpinner('Loading schedule...');
+
+    try {
+      data = await DataLoader.loadProcessedData();
+      const settings = getSettings();
+
+      container.innerHTML = `
+        <div class="schedule-container">
+          <div class="schedule-header">
+            <h2>📅 Study Schedule</h2>
+            <p>Spread a career path or your planner targets over the weeks ahead.</p>
+          </div>
+
+          <form class="schedule-form" id="schedule-form">
+            <label>
+              <span>Plan</span>
+              <select id="schedule-source" class="filter-select">
+                ${schedulablePaths().map(([id]) => `
+                  <option value="${id}" ${settings.source === id ? 'selected' : ''}>${PathRegistry.label(id)}</option>
+                `).join('')}
+                <option value="${PLANNER_SOURCE}" ${settings.source === PLANNER_SOURCE ? 'selected' : ''}>🧭 My planner targets</option>
+              </select>
+            </label>
+            <label>
+              <span>Hours / week</span>
+              <input type="number" id="schedule-hours" class="search-input" min="1" max="60" step="0.5" value="${settings.hours}">
+            </label>
+            <label>
+              <span>Start date</span>
+              <input type="date" id="schedule-start" class="search-input" value="${settings.start}">
+            </label>
+            <label class="schedule-blocked">
+              <span>Blocked weeks (any date in the week, comma-separated)</span>
+              <input type="text" id="schedule-blocked" class="search-input" placeholder="2025-12-22, 2025-12-29" value="${Utils.escapeHtml(settings.blocked.join(', '))}">
+            </label>
+            <label class="schedule-skip">
+              <input type="checkbox" id="schedule-skip-completed" ${settings.skipCompleted ? 'checked' : ''}>
+              Skip completed courses
+            </label>
+            <button type="button" class="schedule-export" id="schedule-export">⬇️ Export .ics</button>
+          </form>
+
+          <div id="schedule-result"></div>
+        </div>
+      `;
+
+      attachEventListeners();
+      await updateSchedule();
+    } catch (error) {
+      console.error('Error rendering schedule:', error);
+      container.innerHTML = Utils.createErrorMessage('Error', 'Failed to build the study schedule.');
+    }
+  }
+
+  /**
+   * Read settings from the URL state, then saved preferences, then defaults
+   */
+  function getSettings() {
+    const state = TabNavigation.getState('schedule');
+    const saved = UserState.getPreferences('schedule');
+    const paths = schedulablePaths().map(([id]) => id);
+    const source = state.source || saved.source || UserState.getCareerPath();
+    const hours = parseFloat(state.hours || saved.hours);
+    const start = state.start || saved.start;
+    const blocked = state.blocked !== undefined ? state.blocked.split(',') : (saved.blocked || []);
+
+    return {
+      source: source === PLANNER_SOURCE || paths.includes(source) ? source : (paths.includes('builder') ? 'builder' : paths[0]),
+      hours: hours > 0 ? hours : DEFAULT_HOURS,
+      start: StudyScheduler.parseDate(start) ? start : today(),
+      blocked: blocked.map(d => d.trim()).filter(d => StudyScheduler.parseDate(d)),
+      skipCompleted: saved.skipCompleted !== false
+    };
+  }
+
+  /**
+   * Attach event listeners
+   */
+  function attachEventListeners() {
+    const form = document.getElementById('schedule-form');
+
+    form.addEventListener('change', () => {
+      const blocked = document.getElementById('schedule-blocked').value
+        .split(',')
+        .map(d => d.trim())
+        .filter(d => StudyScheduler.parseDate(d));
+
+      const settings = {
+        source: document.getElementById('schedule-source').value,
+        hours: document.getElementById('schedule-hours').value,
+        start: document.getElementById('schedule-start').value
+      };
+      TabNavigation.setState({ ...settings, blocked: blocked.join(',') }, { viewId: 'schedule' });
+      UserState.setPreferences('schedule', {
+        ...settings,
+        hours: parseFloat(settings.hours) || DEFAULT_HOURS,
+        blocked,
+        skipCompleted: document.getElementById('schedule-skip-completed').checked
+      });
+
+      updateSchedule();
+    });
+
+    form.addEventListener('submit', e => e.preventDefault());
+    document.getElementById('schedule-export').addEventListener('click', exportICS);
+  }
+
+  /**
+   * Items for the selected source: a career path in stage order,
+   * or the learning plan for the planner's targets
+   */
+  async function loadItems(source) {
+    if (source !== PLANNER_SOURCE) {
+      return { items: StudyScheduler.itemsFromPath(data.paths[source]) };
+    }
+
+    const state = TabNavigation.getState('planner');
+    const saved = UserState.getPlan('planner');
+    const fromUrl = Boolean(state.courses || state.skills) || !saved;
+    const courses = fromUrl ? (state.courses || '').split(',').filter(Boolean) : saved.courses;
+    const skills = fromUrl ? (state.skills || '').split(',').filter(Boolean) : saved.skills;
+    if (courses.length === 0 && skills.length === 0) {
+      return { items: [], message: 'The planner has no targets yet. Add some in the 🧭 Planner tab.' };
+    }
+
+    const plan = await LearningPlanner.buildPlan({ courses, skills, completed: ProgressStore.getCompleted() });
+    return { items: StudyScheduler.itemsFromPlan(plan) };
+  }
+
+  /**
+   * Rebuild and render the schedule from the current settings
+   */
+  async function updateSchedule() {
+    const result = document.getElementById('schedule-result');
+    if (!result) return;
+
+    const settings = getSettings();
+    const skipCompleted = document.getElementById('schedule-skip-completed').checked;
+    const { items, message } = await loadItems(settings.source);
+
+    schedule = StudyScheduler.createSchedule(items, {
+      hoursPerWeek: settings.hours,
+      startDate: settings.start,
+      blockedWeeks: settings.blocked,
+      completed: skipCompleted ? ProgressStore.getCompleted() : []
+    });
+
+    document.getElementById('schedule-export').disabled = schedule.courses.length === 0;
+
+    if (message || schedule.courses.length === 0) {
+      result.innerHTML = `<p class="schedule-empty">${message || 'Nothing left to schedule — every course is completed. 🎉'}</p>`;
+      return;
+    }
+
+    result.innerHTML = `
+      <div class="schedule-summary">
+        <span><strong>${schedule.courses.length}</strong> courses</span>
+        <span><strong>${Utils.formatDuration(schedule.totalHours)}</strong> of study</span>
+        <span><strong>${schedule.weeks.length}</strong> weeks</span>
+        <span>Projected finish: <strong>${formatDay(schedule.finishDate)}</strong></span>
+      </div>
+
+      ${schedule.unmetPrerequisites.length ? `
+        <p class="schedule-warning">
+          ⚠️ Prerequisites outside this plan:
+          ${schedule.unmetPrerequisites.map(u => {
+            const course = data.coursesMap.get(u.prerequisiteId);
+            return course
+              ? `<a href="${Utils.getCourseDetailUrl(course.id)}">${Utils.escapeHtml(course.title)}</a>`
+              : Utils.escapeHtml(u.prerequisiteId);
+          }).join(', ')}
+        </p>
+      ` : ''}
+
+      <ol class="schedule-weeks">
+        ${schedule.weeks.map(week => renderWeek(week, schedule.hoursPerWeek)).join('')}
+      </ol>
+    `;
+  }
+
+  function renderWeek(week, hoursPerWeek) {
+    return `
+      <li class="schedule-week ${week.blocked ? 'blocked' : ''}">
+        <div class="week-label">
+          <strong>Week ${week.index + 1}</strong>
+          <span>${formatDay(week.start)} – ${formatDay(week.end)}</span>
+        </div>
+        ${week.blocked ? '<div class="week-blocked">🚫 Blocked</div>' : `
+          <div class="week-load" title="${week.hours}h of ${hoursPerWeek}h">
+            <span style="width: ${Math.min(100, (week.hours / hoursPerWeek) * 100)}%"></span>
+          </div>
+          <ul class="week-sessions">
+            ${week.sessions.map(session => `
+              <li>
+                <a href="${Utils.getCourseDetailUrl(session.id)}">${Utils.escapeHtml(session.title)}</a>
+                ${session.stage ? `<span class="session-stage">${Utils.escapeHtml(session.stage)}</span>` : ''}
+                <span class="session-hours">${Utils.formatDuration(session.hours)}</span>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+      </li>
+    `;
+  }
+
+  function formatDay(dateString) {
+    return StudyScheduler.parseDate(dateString)
+      .toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  /**
+   * Download the current schedule as an iCalendar file
+   */
+  function exportICS() {
+    if (!schedule || schedule.courses.length === 0) return;
+
+    const source = document.getElementById('schedule-source');
+    const label = source.options[source.selectedIndex].text.trim();
+    const ics = StudyScheduler.toICS(schedule, {
+      calendarName: `AI Learning Roadmap – ${label}`,
+      courseUrl: id => data.coursesMap.get(id)?.url || ''
+    });
+
+    const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `study-schedule-${source.value}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+
+  async function refresh() {
+    DataLoader.clearCache();
+    await render();
+  }
+
+  // Public API
+  return {
+    init,
+    render,
+    refresh,
+    destroy
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScheduleView;
+}
@@ -0,0 +1,272 @@
+/**
+ * App Store Module (Shared)
+ * The global course selection shared by the views: career path, categories,
+ * difficulty, partner, duration range and whether completed courses are hidden.
+ *
+ * With "sync filters across views" on, a filter changed in one view (its URL
+ * state, see TabNavigation) becomes the selection of every view bound to it,
+ * and the filter menu edits the selection directly. Views are bound with
+ * bindView(viewId, { filterKey: stateKey }). Off, each view keeps its own
+ * filters. The selection and the option are saved with the profile's preferences.
+ */
+
+const AppStore = (() => {
+  const PREFERENCES_SCOPE = 'filters';
+
+  // Empty values mean "no filter"
+  const DEFAULT_FILTERS = {
+    path: '',
+    categories: [],
+    difficulty: '',
+    partner: '',
+    minHours: null,
+    maxHours: null,
+    hideCompleted: false
+  };
+
+  let filters = normalize();
+  let synced = false;
+  let bindings = {}; // viewId -> { filterKey: stateKey }
+  let listeners = {};
+  let initialized = false;
+
+  /**
+   * Load the saved selection and follow view state and profile changes
+   */
+  function init() {
+    if (initialized) return;
+    initialized = true;
+    load();
+    if (synced) push();
+
+    // A filter changed in the current view (an empty key was cleared), or a
+    // view was opened from a link (only the keys it names count)
+    document.addEventListener('viewStateChanged', e => pull(e.detail.view, e.detail.state));
+    document.addEventListener('viewChanged', e => {
+      pull(e.detail.view, TabNavigation.getState(e.detail.view), { present: true });
+    });
+
+    UserState.on('load', () => {
+      load();
+      if (synced) push();
+      emit('change', { filters: getFilters(), changed: Object.keys(DEFAULT_FILTERS), source: null });
+    });
+  }
+
+  function load() {
+    const saved = UserState.getPreferences(PREFERENCES_SCOPE);
+    synced = Boolean(saved.synced);
+    filters = normalize(saved.filters);
+  }
+
+  function persist() {
+    UserState.setPreferences(PREFERENCES_SCOPE, { synced, filters });
+  }
+
+  /**
+   * A complete filter set from partial values (URL strings or typed values)
+   */
+  function normalize(values = {}) {
+    const result = {};
+    Object.entries(DEFAULT_FILTERS).forEach(([key, fallback]) => {
+      const value = values[key];
+      if (Array.isArray(fallback)) {
+        const list = Array.isArray(value) ? value : String(value || '').split(',');
+        result[key] = [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+      } else if (typeof fallback === 'boolean') {
+        result[key] = value === true || value === 'true' || value === '1';
+      } else if (fallback === null) {
+        const number = parseFloat(value);
+        result[key] = Number.isFinite(number) && number >= 0 ? number : null;
+      } else {
+        result[key] = value === undefined || value === null ? '' : String(value);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * A filter value as a URL state value ('' removes the key)
+   */
+  function toStateValue(value) {
+    if (Array.isArray(value)) return value.join(',');
+    if (typeof value === 'boolean') return value ? '1' : '';
+    return value === null ? '' : String(value);
+  }
+
+  function getFilters() {
+    return { ...filters, categories: [...filters.categories] };
+  }
+
+  /**
+   * Change the selection; with sync on, bound views other than the source
+   * get the new values in their URL state
+   * @param {Object} partial - Filter values to change
+   * @param {Object} options - { source } id of the view (or control) that changed them
+   */
+  function setFilters(partial, options = {}) {
+    const { source = null } = options;
+    const next = normalize({ ...filters, ...partial });
+    const changed = Object.keys(DEFAULT_FILTERS)
+      .filter(key => toStateValue(filters[key]) !== toStateValue(next[key]));
+    if (!changed.length) return;
+
+    filters = next;
+    persist();
+    if (synced) push(source, changed);
+    emit('change', { filters: getFilters(), changed, source });
+  }
+
+  function resetFilters(options = {}) {
+    setFilters(DEFAULT_FILTERS, options);
+  }
+
+  function isSynced() {
+    return synced;
+  }
+
+  /**
+   * Turn "sync filters across views" on or off. Turning it on starts from the
+   * current view's filters and hands the selection to every bound view.
+   */
+  function setSynced(value) {
+    if (synced === Boolean(value)) return;
+    synced = Boolean(value);
+
+    if (synced) {
+      const current = TabNavigation.getCurrentView();
+      filters = normalize({ ...filters, ...fromState(current, TabNavigation.getState(current)) });
+      push();
+    }
+    persist();
+    emit('change', { filters: getFilters(), changed: Object.keys(DEFAULT_FILTERS), source: null });
+  }
+
+  /**
+   * Declare which URL state keys of a view hold shared filters. With sync on,
+   * the view gets the selection for the keys its URL state doesn't name yet
+   * (a link's own filters win, and are pulled in when the view is shown).
+   * @param {string} viewId
+   * @param {Object} keys - filterKey -> stateKey, e.g. { path: 'path', difficulty: 'level' }
+   */
+  function bindView(viewId, keys) {
+    bindings[viewId] = { ...keys };
+    if (!synced) return;
+
+    const state = TabNavigation.getState(viewId);
+    const missing = Object.keys(keys).filter(filterKey => !(keys[filterKey] in state));
+    pushTo(viewId, missing);
+  }
+
+  function unbindView(viewId) {
+    delete bindings[viewId];
+  }
+
+  /**
+   * The shared filters a view's URL state holds; a missing key means "no
+   * filter", or with present: true, that the state says nothing about it
+   */
+  function fromState(viewId, state, options = {}) {
+    const partial = {};
+    Object.entries(bindings[viewId] || {}).forEach(([filterKey, stateKey]) => {
+      if (options.present && !(stateKey in state)) return;
+      partial[filterKey] = state[stateKey] || '';
+    });
+    return partial;
+  }
+
+  /**
+   * Take the filters of a view's URL state into the selection (sync on only)
+   */
+  function pull(viewId, state, options = {}) {
+    if (!synced || !bindings[viewId]) return;
+    setFilters(fromState(viewId, state || {}, options), { source: viewId });
+  }
+
+  /**
+   * Write the selection into the URL state of the bound views
+   */
+  function push(source = null, keys = Object.keys(DEFAULT_FILTERS)) {
+    Object.keys(bindings).forEach(viewId => {
+      if (viewId !== source) pushTo(viewId, keys);
+    });
+  }
+
+  function pushTo(viewId, keys) {
+    const values = {};
+    Object.entries(bindings[viewId] || {}).forEach(([filterKey, stateKey]) => {
+      if (keys.includes(filterKey)) values[stateKey] = toStateValue(filters[filterKey]);
+    });
+    if (Object.keys(values).length) TabNavigation.setState(values, { viewId });
+  }
+
+  /**
+   * Whether a course passes the shared filters (always true with sync off)
+   * @param {Object} course
+   * @param {string[]|null} pathIds - Paths the course belongs to; null for views
+   *   that filter by their own (synced) path already
+   */
+  function matches(course, pathIds = null) {
+    if (!synced || !course) return true;
+    const hours = Number(course.duration_hours) || 0;
+
+    if (filters.path && pathIds && !pathIds.includes(filters.path)) return false;
+    if (filters.categories.length && !filters.categories.includes(course.category)) return false;
+    if (filters.difficulty && (course.difficulty || '').toLowerCase() !== filters.difficulty) return false;
+    if (filters.partner && course.partner !== filters.partner) return false;
+    if (filters.minHours !== null && hours < filters.minHours) return false;
+    if (filters.maxHours !== null && hours > filters.maxHours) return false;
+    if (filters.hideCompleted && ProgressStore.isCompleted(course.id)) return false;
+    return true;
+  }
+
+  /**
+   * Number of shared filters in effect (0 with sync off)
+   */
+  function countActive() {
+    if (!synced) return 0;
+    return Object.keys(DEFAULT_FILTERS).filter(key => toStateValue(filters[key]) !== '').length;
+  }
+
+  /**
+   * Subscribe to 'change' ({ filters, changed, source }): the selection or the
+   * sync option changed
+   */
+  function on(event, handler) {
+    (listeners[event] = listeners[event] || []).push(handler);
+    return () => {
+      listeners[event] = listeners[event].filter(h => h !== handler);
+    };
+  }
+
+  function emit(event, detail) {
+    (listeners[event] || []).forEach(handler => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`App store "${event}" listener failed:`, error);
+      }
+    });
+  }
+
+  // Public API
+  return {
+    DEFAULT_FILTERS,
+    init,
+    getFilters,
+    setFilters,
+    resetFilters,
+    isSynced,
+    setSynced,
+    bindView,
+    unbindView,
+    matches,
+    countActive,
+    on
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AppStore;
+}
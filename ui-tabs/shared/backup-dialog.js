@@ -0,0 +1,264 @@
+/**
+ * Backup Dialog Module (Shared)
+ * Overlay to download the user state (UserState.exportState) as a JSON file
+ * and to restore one: pick a file, choose merge or replace, review the diff, apply.
+ */
+
+const BackupDialog = (() => {
+  let overlay = null;
+  let pending = null; // validated document waiting to be applied
+  let courseTitles = new Map();
+
+  const MAX_DIFF_ITEMS = 50;
+
+  /**
+   * Create the overlay (once)
+   */
+  function init() {
+    if (overlay) return;
+
+    overlay = document.createElement('div');
+    overlay.className = 'backup-overlay hidden';
+    overlay.innerHTML = `
+      <div class="backup-dialog" role="dialog" aria-modal="true" aria-labelledby="backup-title">
+        <div class="backup-header">
+          <h2 id="backup-title">💾 Backup &amp; Restore</h2>
+          <button type="button" class="backup-close" data-action="close" aria-label="Close">×</button>
+        </div>
+
+        <section class="backup-section">
+          <h3>Export</h3>
+          <p class="backup-summary" id="backup-summary"></p>
+          <button type="button" class="backup-btn primary" data-action="export">⬇️ Download backup</button>
+        </section>
+
+        <section class="backup-section">
+          <h3>Import</h3>
+          <input type="file" id="backup-file" accept=".json,application/json">
+          <div class="backup-modes" role="radiogroup" aria-label="Import mode">
+            <label><input type="radio" name="backup-mode" value="merge" checked> Merge with my current progress</label>
+            <label><input type="radio" name="backup-mode" value="replace"> Replace everything</label>
+          </div>
+          <div class="backup-preview" id="backup-preview" aria-live="polite"></div>
+          <button type="button" class="backup-btn primary" data-action="apply" disabled>Apply import</button>
+        </section>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener('click', e => {
+      if (e.target === overlay) return close();
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'close') close();
+      if (action === 'export') download();
+      if (action === 'apply') apply();
+    });
+    overlay.addEventListener('keydown', e => {
+      if (e.key === 'Escape') close();
+    });
+    overlay.querySelector('#backup-file').addEventListener('change', e => readFile(e.target.files[0]));
+    overlay.querySelectorAll('input[name="backup-mode"]').forEach(radio => {
+      radio.addEventListener('change', renderPreview);
+    });
+  }
+
+  async function open() {
+    init();
+    pending = null;
+    overlay.querySelector('#backup-file').value = '';
+    overlay.querySelector('#backup-preview').innerHTML = '';
+    overlay.querySelector('[data-action="apply"]').disabled = true;
+    overlay.classList.remove('hidden');
+    overlay.querySelector('.backup-close').focus();
+
+    try {
+      const data = await DataLoader.loadProcessedData();
+      courseTitles = new Map([
+        ...data.courses.map(c => [c.id, c.title]),
+        ...data.externalResources.flatMap(topic => topic.recommended_resources.map(r => [r.id, `📎 ${r.name}`]))
+      ]);
+    } catch (error) {
+      console.warn('Backup dialog could not load course titles:', error);
+    }
+    renderSummary();
+  }
+
+  function close() {
+    if (overlay) overlay.classList.add('hidden');
+    pending = null;
+  }
+
+  function renderSummary() {
+    const state = UserState.exportState();
+    const counts = ProgressStore.summarize();
+    overlay.querySelector('#backup-summary').textContent =
+      `Profile "${UserState.getActiveProfile().name}": ${counts.total} tracked item${counts.total === 1 ? '' : 's'} (${counts.completed} completed), ` +
+      `${Object.keys(state.plans).length} saved plan(s), ${Object.keys(state.preferences).length} preference set(s).`;
+  }
+
+  /**
+   * Download the current state as a JSON file
+   */
+  function download() {
+    const json = JSON.stringify(UserState.exportState(), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    const profile = UserState.getActiveProfile().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    link.download = `roadmap-backup-${profile ? `${profile}-` : ''}${new Date().toLocaleDateString('en-CA')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Parse and validate the chosen file, then show the diff preview
+   */
+  async function readFile(file) {
+    pending = null;
+    if (!file) return renderPreview();
+
+    let doc;
+    try {
+      doc = JSON.parse(await file.text());
+    } catch (error) {
+      return renderErrors(['The file is not valid JSON.']);
+    }
+
+    const report = UserState.validate(doc, { courseIds: courseTitles.size ? new Set(courseTitles.keys()) : null });
+    if (!report.valid) return renderErrors(report.errors);
+
+    pending = { document: report.document, warnings: report.warnings };
+    renderPreview();
+  }
+
+  function getMode() {
+    return overlay.querySelector('input[name="backup-mode"]:checked').value;
+  }
+
+  function renderErrors(errors) {
+    overlay.querySelector('[data-action="apply"]').disabled = true;
+    overlay.querySelector('#backup-preview').innerHTML = `
+      <div class="backup-errors">
+        <strong>❗ This file can't be imported</strong>
+        <ul>${errors.slice(0, MAX_DIFF_ITEMS).map(e => `<li>${Utils.escapeHtml(e)}</li>`).join('')}</ul>
+      </div>
+    `;
+  }
+
+  function renderPreview() {
+    const preview = overlay.querySelector('#backup-preview');
+    const applyButton = overlay.querySelector('[data-action="apply"]');
+    if (!pending) {
+      preview.innerHTML = '';
+      applyButton.disabled = true;
+      return;
+    }
+
+    const diff = UserState.previewImport(pending.document, getMode());
+    const total = Object.values(diff)
+      .reduce((sum, d) => sum + d.added.length + d.changed.length + d.removed.length, 0);
+    applyButton.disabled = total === 0;
+
+    preview.innerHTML = `
+      <p class="backup-meta">
+        Exported ${pending.document.exportedAt ? new Date(pending.document.exportedAt).toLocaleString() : 'at an unknown date'}
+        · ${total === 0 ? 'no changes' : `${total} change${total === 1 ? '' : 's'}`}
+      </p>
+      ${pending.warnings.length ? `
+        <details class="backup-warnings">
+          <summary>⚠️ ${pending.warnings.length} warning${pending.warnings.length === 1 ? '' : 's'}</summary>
+          <ul>${pending.warnings.slice(0, MAX_DIFF_ITEMS).map(w => `<li>${Utils.escapeHtml(w)}</li>`).join('')}</ul>
+        </details>
+      ` : ''}
+      ${renderSectionDiff('Progress', diff.progress, describeProgress)}
+      ${renderSectionDiff('Plans', diff.plans, describePlan)}
+      ${renderSectionDiff('Preferences', diff.preferences, change => Utils.escapeHtml(change.key))}
+    `;
+  }
+
+  function renderSectionDiff(title, changes, describe) {
+    const rows = [
+      ...changes.added.map(c => ({ kind: 'added', sign: '+', c })),
+      ...changes.changed.map(c => ({ kind: 'changed', sign: '~', c })),
+      ...changes.removed.map(c => ({ kind: 'removed', sign: '−', c })),
+      ...changes.kept.map(c => ({ kind: 'kept', sign: '=', c }))
+    ];
+    if (rows.length === 0 && changes.unchanged === 0) return '';
+
+    return `
+      <div class="backup-diff">
+        <h4>
+          ${title}
+          <span class="backup-counts">
+            +${changes.added.length} · ~${changes.changed.length} · −${changes.removed.length}
+            ${changes.kept.length ? ` · ${changes.kept.length} newer locally` : ''}
+            ${changes.unchanged ? ` · ${changes.unchanged} unchanged` : ''}
+          </span>
+        </h4>
+        ${rows.length ? `
+          <ul>
+            ${rows.slice(0, MAX_DIFF_ITEMS).map(({ kind, sign, c }) => `
+              <li class="diff-${kind}"><span class="diff-sign">${sign}</span> ${describe(c)}</li>
+            `).join('')}
+          </ul>
+          ${rows.length > MAX_DIFF_ITEMS ? `<small>+${rows.length - MAX_DIFF_ITEMS} more...</small>` : ''}
+        ` : ''}
+      </div>
+    `;
+  }
+
+  function statusLabel(record) {
+    return record ? ProgressStore.STATUS_META[record.status]?.label || record.status : '—';
+  }
+
+  function describeProgress(change) {
+    const title = Utils.escapeHtml(courseTitles.get(change.key) || change.key);
+    const { before, after } = change;
+    const noteChanged = (before?.note || '') !== (after?.note || '');
+    const statusChanged = statusLabel(before) !== statusLabel(after);
+    const details = [];
+    if (statusChanged || !before || !after) details.push(`${statusLabel(before)} → ${statusLabel(after)}`);
+    if (noteChanged && before && after) details.push('note');
+    return `${title} <span class="diff-detail">${details.join(', ')}</span>`;
+  }
+
+  function describePlan(change) {
+    const plan = change.after || change.before;
+    return `${Utils.escapeHtml(change.key)} <span class="diff-detail">${plan.courses.length} courses, ${plan.skills.length} skills</span>`;
+  }
+
+  /**
+   * Apply the pending import
+   */
+  function apply() {
+    if (!pending) return;
+    const mode = getMode();
+    if (mode === 'replace' && !confirm('Replace all your progress, plans and preferences with this backup?')) return;
+
+    try {
+      UserState.importState(pending.document, { mode });
+      pending = null;
+      overlay.querySelector('#backup-file').value = '';
+      overlay.querySelector('[data-action="apply"]').disabled = true;
+      overlay.querySelector('#backup-preview').innerHTML = '<p class="backup-done">✅ Backup imported.</p>';
+      renderSummary();
+    } catch (error) {
+      console.error('Import failed:', error);
+      renderErrors(error.message.split('\n'));
+    }
+  }
+
+  // Public API
+  return {
+    init,
+    open,
+    close
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BackupDialog;
+}
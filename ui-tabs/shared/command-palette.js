@@ -0,0 +1,227 @@
+/**
+ * Command Palette Module (Shared)
+ * Global Ctrl+K / Cmd+K search overlay across all views.
+ * Results come from registered providers; selecting a result runs its action
+ * (typically switching tabs and focusing the item in that view).
+ */
+
+const CommandPalette = (() => {
+  let overlay = null;
+  let input = null;
+  let list = null;
+  let providers = [];
+  let results = [];
+  let activeIndex = 0;
+  let queryId = 0;
+  let initialized = false;
+
+  const MAX_RESULTS_PER_PROVIDER = 6;
+
+  /**
+   * Initialize the palette and its keyboard shortcut
+   */
+  function init() {
+    if (initialized) return;
+
+    overlay = document.createElement('div');
+    overlay.className = 'command-palette-overlay hidden';
+    overlay.innerHTML = `
+      <div class="command-palette" role="dialog" aria-modal="true" aria-label="Search everything">
+        <input type="text"
+               class="command-palette-input"
+               placeholder="Search courses, categories, paths, stages, resources..."
+               aria-label="Search"
+               autocomplete="off">
+        <ul class="command-palette-results" role="listbox"></ul>
+        <div class="command-palette-footer">
+          <span><kbd>↑</kbd><kbd>↓</kbd> navigate</span>
+          <span><kbd>Enter</kbd> open</span>
+          <span><kbd>Esc</kbd> close</span>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    input = overlay.querySelector('.command-palette-input');
+    list = overlay.querySelector('.command-palette-results');
+
+    input.addEventListener('input', Utils.debounce(() => update(input.value), 120));
+    input.addEventListener('keydown', handleKeydown);
+    overlay.addEventListener('click', e => {
+      if (e.target === overlay) close();
+    });
+    list.addEventListener('click', e => {
+      const item = e.target.closest('.command-palette-item');
+      if (item) select(Number(item.dataset.index));
+    });
+
+    document.addEventListener('keydown', e => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        isOpen() ? close() : open();
+      }
+    });
+
+    initialized = true;
+  }
+
+  /**
+   * Register a result provider.
+   * A provider is an async function (query) => [{ type, title, subtitle, icon, titleHtml, action }];
+   * everything but titleHtml is plain text
+   */
+  function registerProvider(name, provider) {
+    providers = providers.filter(p => p.name !== name);
+    providers.push({ name, provider });
+  }
+
+  function isOpen() {
+    return overlay && !overlay.classList.contains('hidden');
+  }
+
+  function open(initialQuery = '') {
+    if (!initialized) init();
+    overlay.classList.remove('hidden');
+    input.value = initialQuery;
+    input.focus();
+    update(initialQuery);
+  }
+
+  function close() {
+    if (!overlay) return;
+    overlay.classList.add('hidden');
+    results = [];
+    list.innerHTML = '';
+  }
+
+  /**
+   * Query all providers and render the grouped results
+   */
+  async function update(query) {
+    const currentQuery = ++queryId;
+    const trimmed = query.trim();
+
+    if (!trimmed) {
+      results = [];
+      list.innerHTML = '<li class="command-palette-empty">Type to search everything</li>';
+      return;
+    }
+
+    const groups = await Promise.all(providers.map(async ({ name, provider }) => {
+      try {
+        return (await provider(trimmed)).slice(0, MAX_RESULTS_PER_PROVIDER);
+      } catch (error) {
+        console.warn(`Command palette provider "${name}" failed:`, error);
+        return [];
+      }
+    }));
+
+    if (currentQuery !== queryId) return; // a newer query is running
+
+    results = groups.flat();
+    activeIndex = 0;
+    renderResults();
+  }
+
+  function renderResults() {
+    if (results.length === 0) {
+      list.innerHTML = '<li class="command-palette-empty">No matches</li>';
+      return;
+    }
+
+    let lastType = null;
+    list.innerHTML = results.map((result, index) => {
+      const header = result.type !== lastType
+        ? `<li class="command-palette-group" role="presentation">${Utils.escapeHtml(result.type)}</li>`
+        : '';
+      lastType = result.type;
+      return `${header}
+        <li class="command-palette-item ${index === activeIndex ? 'active' : ''}"
+            role="option"
+            aria-selected="${index === activeIndex}"
+            data-index="${index}">
+          <span class="command-palette-icon">${Utils.escapeHtml(result.icon || '•')}</span>
+          <span class="command-palette-text">
+            <span class="command-palette-title">${result.titleHtml || Utils.escapeHtml(result.title)}</span>
+            ${result.subtitle ? `<span class="command-palette-subtitle">${Utils.escapeHtml(result.subtitle)}</span>` : ''}
+          </span>
+        </li>
+      `;
+    }).join('');
+  }
+
+  function setActive(index) {
+    if (results.length === 0) return;
+    activeIndex = (index + results.length) % results.length;
+    list.querySelectorAll('.command-palette-item').forEach(item => {
+      const active = Number(item.dataset.index) === activeIndex;
+      item.classList.toggle('active', active);
+      item.setAttribute('aria-selected', active);
+      if (active) item.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  function handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActive(activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActive(activeIndex - 1);
+        break;
+      case 'Enter':
+        e.preventDefault();
+        select(activeIndex);
+        break;
+      case 'Escape':
+        close();
+        break;
+    }
+  }
+
+  async function select(index) {
+    const result = results[index];
+    if (!result) return;
+    close();
+    try {
+      await result.action();
+    } catch (error) {
+      console.error('Command palette action failed:', error);
+    }
+  }
+
+  /**
+   * Simple relevance score for short labels: every query token must
+   * prefix-match a word of the text. Returns 0 when it does not match.
+   */
+  function matchScore(query, text) {
+    const queryTokens = SearchEngine.tokenize(query);
+    const words = SearchEngine.tokenize(text);
+    if (queryTokens.length === 0 || words.length === 0) return 0;
+
+    let score = 0;
+    for (const token of queryTokens) {
+      if (words.includes(token)) score += 2;
+      else if (words.some(word => word.startsWith(token))) score += 1;
+      else return 0;
+    }
+    return score;
+  }
+
+  // Public API
+  return {
+    init,
+    open,
+    close,
+    isOpen,
+    registerProvider,
+    matchScore
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommandPalette;
+}
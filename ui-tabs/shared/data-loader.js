@@ -11,20 +11,43 @@ const DataLoader = (() => {
     courses: null,
     categories: null,
     paths: null,
+    careerPaths: null,
     externalResources: null,
     baseUrl: null,
-    processedData: null
+    processedData: null,
+    mergedCatalog: null,
+    searchIndex: null,
+    skillCatalog: null,
+    schema: null,
+    validationReport: null,
+    integrityReport: null
   };
 
+  // User-defined career paths, merged into loadCareerPaths()
+  let customPaths = {};
+
   // Configuration - paths relative to root (new normalized structure)
   const config = {
     coursesPath: './config-roadmap/courses.json',
     categoriesPath: './config-roadmap/categories.json',
     pathsPath: './config-roadmap/paths.json',
     externalResourcesPath: './config-roadmap/external-resources.json',
+    schemaPath: './config-roadmap/schema.json',
+    searchIndexPath: './config-roadmap/search-index.json',
+    skillAliasesPath: './config-roadmap/skill-aliases.json',
     // Legacy paths for backwards compatibility
     legacyCoursesPath: './config-roadmap/courses-index.json',
-    legacyCareerPathsPath: './config-roadmap/career-paths.json'
+    legacyCareerPathsPath: './config-roadmap/career-paths.json',
+    // Merge mode: union courses-index.json and courses.json by id
+    mergeSources: false,
+    // Generated data uses a different path vocabulary than the curated files
+    // (documented in the README, "Merging Course Sources")
+    pathIdMap: {
+      engineer: 'builder',
+      practitioner: 'enterprise'
+    },
+    // Values the generator writes when it has no real data
+    placeholderValues: ['No description']
   };
 
   /**
@@ -69,6 +92,42 @@ const DataLoader = (() => {
     }
   }
 
+  /**
+   * Give every recommended link of the external resources an id (tracked in
+   * ProgressStore like a course) and a type; files without them get
+   * `<topic id>-<n>` and 'link'
+   */
+  function hydrateExternalResources(topics) {
+    return (Array.isArray(topics) ? topics : []).map(topic => ({
+      ...topic,
+      career_paths: topic.career_paths || [],
+      recommended_resources: (topic.recommended_resources || []).map((resource, index) => ({
+        ...resource,
+        id: resource.id || `${topic.id}-${index + 1}`,
+        type: resource.type || 'link'
+      }))
+    }));
+  }
+
+  /**
+   * Normalize all course URLs of a courses file against its meta.base_url
+   */
+  function normalizeCourseUrls(data) {
+    try {
+      if (data.meta && data.meta.base_url && Array.isArray(data.courses)) {
+        const base = data.meta.base_url.replace(/\/$/, '');
+        data.courses.forEach(course => {
+          if (course.url && course.url.startsWith('/')) {
+            course.url = base + course.url;
+          }
+        });
+      }
+    } catch (err) {
+      console.warn('Could not normalize course URLs:', err);
+    }
+    return data;
+  }
+
   /**
    * Load courses data
    */
@@ -77,6 +136,11 @@ const DataLoader = (() => {
       return cache.courses;
     }
 
+    if (config.mergeSources) {
+      cache.courses = await loadMergedCatalog();
+      return cache.courses;
+    }
+
     // Use legacy file first as it has the complete course data (136 courses)
     const data = await fetchWithFallback(config.legacyCoursesPath, config.coursesPath);
     
@@ -86,23 +150,171 @@ const DataLoader = (() => {
     }
 
     // Normalize all course URLs at load time
-    try {
-      if (data.meta && data.meta.base_url && Array.isArray(data.courses)) {
-        const base = data.meta.base_url.replace(/\/$/, '');
-        data.courses.forEach(course => {
-          if (course.url && course.url.startsWith('/')) {
-            course.url = base + course.url;
-          }
-        });
-      }
-    } catch (err) {
-      console.warn('Could not normalize course URLs:', err);
-    }
+    normalizeCourseUrls(data);
 
     cache.courses = data;
     return cache.courses;
   }
 
+  /**
+   * True when a value carries information (generated data uses placeholders
+   * such as "No description" or "" for unknown values)
+   */
+  function hasValue(value) {
+    if (value === undefined || value === null) return false;
+    if (typeof value === 'string') {
+      return value.trim() !== '' && !config.placeholderValues.includes(value.trim());
+    }
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+  }
+
+  /**
+   * Compare two field values (arrays are compared as sets)
+   */
+  function sameValue(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every(v => b.includes(v));
+    }
+    return a === b;
+  }
+
+  /**
+   * Map generated path ids (engineer, practitioner) onto the curated vocabulary
+   */
+  function mapPathIds(pathIds) {
+    if (!Array.isArray(pathIds)) return pathIds;
+    const mapped = pathIds.map(id => config.pathIdMap[id] || id);
+    return [...new Set(mapped)];
+  }
+
+  /**
+   * Bring a generated course into the curated shape: map path ids and resolve
+   * prerequisites given as titles to course ids where possible
+   */
+  function normalizeGeneratedCourse(course, idsByTitle) {
+    const normalized = { ...course, career_paths: mapPathIds(course.career_paths) };
+    ['prerequisites', 'recommended_next'].forEach(field => {
+      if (Array.isArray(course[field])) {
+        normalized[field] = course[field].map(ref => idsByTitle.get(String(ref).toLowerCase()) || ref);
+      }
+    });
+    return normalized;
+  }
+
+  /**
+   * Load both course sources (curated courses-index.json and generated
+   * courses.json) and union them by id. Curated values win; generated values
+   * fill the gaps. Every merged course carries a `provenance` map
+   * (field -> 'legacy' | 'generated') and the result has a `mergeReport`
+   * listing field-level conflicts.
+   */
+  async function loadMergedCatalog() {
+    if (cache.mergedCatalog) {
+      return cache.mergedCatalog;
+    }
+
+    const [legacy, generated] = await Promise.all([
+      fetchJSON(config.legacyCoursesPath).catch(() => ({ courses: [] })),
+      fetchJSON(config.coursesPath).catch(() => ({ courses: [] }))
+    ]);
+    normalizeCourseUrls(legacy);
+    normalizeCourseUrls(generated);
+
+    const legacyCourses = legacy.courses || [];
+    const generatedCourses = generated.courses || [];
+    const idsByTitle = new Map();
+    [...legacyCourses, ...generatedCourses].forEach(c => {
+      if (c.title && !idsByTitle.has(c.title.toLowerCase())) idsByTitle.set(c.title.toLowerCase(), c.id);
+    });
+
+    const mergeReport = {
+      conflicts: [],
+      sources: { legacy: 0, generated: 0, both: 0 },
+      pathIdMap: { ...config.pathIdMap }
+    };
+    const merged = new Map();
+
+    legacyCourses.forEach(course => {
+      const provenance = {};
+      Object.keys(course).forEach(field => { provenance[field] = 'legacy'; });
+      merged.set(course.id, { ...course, provenance });
+    });
+
+    generatedCourses.forEach(raw => {
+      const course = normalizeGeneratedCourse(raw, idsByTitle);
+      const existing = merged.get(course.id);
+
+      if (!existing) {
+        const provenance = {};
+        Object.keys(course).forEach(field => { provenance[field] = 'generated'; });
+        merged.set(course.id, { ...course, provenance });
+        return;
+      }
+
+      Object.keys(course).forEach(field => {
+        if (field === 'id') return;
+        const ours = existing[field];
+        const theirs = course[field];
+        if (!hasValue(theirs)) return;
+
+        // Curated empty arrays are deliberate ("no prerequisites"), keep them
+        if (!hasValue(ours) && !Array.isArray(ours)) {
+          existing[field] = theirs;
+          existing.provenance[field] = 'generated';
+        } else if (!sameValue(ours, theirs)) {
+          mergeReport.conflicts.push({ id: course.id, field, legacy: ours, generated: theirs, chosen: 'legacy' });
+        }
+      });
+    });
+
+    merged.forEach(course => {
+      const sources = new Set(Object.values(course.provenance));
+      const key = sources.size > 1 ? 'both' : [...sources][0];
+      if (key) mergeReport.sources[key]++;
+    });
+
+    const meta = { ...(generated.meta || {}), ...(legacy.meta || {}) };
+    meta.total_courses = merged.size;
+    meta.merged = true;
+    if (meta.base_url) cache.baseUrl = meta.base_url;
+
+    cache.mergedCatalog = {
+      meta,
+      categories: legacy.categories,
+      career_paths: legacy.career_paths,
+      external_gaps: legacy.external_gaps,
+      courses: Array.from(merged.values()),
+      mergeReport
+    };
+    return cache.mergedCatalog;
+  }
+
+  /**
+   * Get the field-level conflicts found while merging the two course sources
+   */
+  async function getMergeReport() {
+    const catalog = await loadMergedCatalog();
+    return catalog.mergeReport;
+  }
+
+  /**
+   * Enable or disable merge mode. When enabled, loadCourses() (and every
+   * view) uses the merged catalog instead of a single source file.
+   */
+  function setMergeMode(enabled) {
+    if (config.mergeSources === !!enabled) return;
+    config.mergeSources = !!enabled;
+    clearCache();
+  }
+
+  /**
+   * Whether merge mode is enabled
+   */
+  function isMergeMode() {
+    return config.mergeSources;
+  }
+
   /**
    * Load categories data
    */
@@ -124,16 +336,92 @@ const DataLoader = (() => {
   }
 
   /**
-   * Load career paths data
+   * Load the career paths file as written (legacy "courses" lists, nested additional_paths)
+   */
+  async function loadCareerPathsFile() {
+    if (!cache.paths) {
+      // Use legacy career-paths.json first as it has the complete structured data
+      cache.paths = await fetchWithFallback(config.legacyCareerPathsPath, config.pathsPath);
+    }
+    return cache.paths;
+  }
+
+  /**
+   * Load career paths, all in the same shape (see normalizeCareerPaths),
+   * followed by the user's custom paths (see setCustomPaths), and fill PathRegistry
    */
   async function loadCareerPaths() {
-    if (cache.paths) {
-      return cache.paths;
+    if (!cache.careerPaths) {
+      cache.careerPaths = withCustomPaths(normalizeCareerPaths(await loadCareerPathsFile()));
+      PathRegistry.register(cache.careerPaths);
     }
+    return cache.careerPaths;
+  }
 
-    // Use legacy career-paths.json first as it has the complete structured data
-    cache.paths = await fetchWithFallback(config.legacyCareerPathsPath, config.pathsPath);
-    return cache.paths;
+  /**
+   * Every path as { name, description, color, icon, stages: [{ name, courses: [courseId] }], ... }:
+   * additional_paths become regular paths (flagged additional: true) and legacy
+   * "courses" lists become stages, grouped by each entry's stage field.
+   */
+  function normalizeCareerPaths(raw) {
+    const paths = {};
+    const add = (id, path, extra) => {
+      const { courses, ...rest } = path;
+      paths[id] = { ...rest, ...extra, stages: Array.isArray(path.stages) ? path.stages : stagesFromCourses(courses) };
+    };
+
+    Object.entries(raw || {}).forEach(([id, path]) => {
+      if (id !== 'additional_paths') add(id, path);
+    });
+    Object.entries((raw && raw.additional_paths) || {}).forEach(([id, path]) => {
+      if (!paths[id]) add(id, path, { additional: true });
+    });
+    return paths;
+  }
+
+  function stagesFromCourses(courses) {
+    const stages = new Map();
+    (courses || []).forEach(entry => {
+      const courseId = typeof entry === 'string' ? entry : entry && entry.id;
+      if (!courseId) return;
+      const name = (entry && entry.stage) || 'Courses';
+      if (!stages.has(name)) stages.set(name, { name, courses: [] });
+      stages.get(name).courses.push(courseId);
+    });
+    return [...stages.values()];
+  }
+
+  /**
+   * Paths followed by the custom paths whose ids they don't use
+   */
+  function withCustomPaths(paths) {
+    if (Object.keys(customPaths).length === 0) return paths;
+
+    const merged = { ...paths };
+    Object.entries(customPaths).forEach(([id, path]) => {
+      if (!merged[id]) merged[id] = path;
+    });
+    return merged;
+  }
+
+  /**
+   * Set the user-defined career paths (pathId -> path in the stages format).
+   * They are listed after the curated paths by every loader; ids of curated paths are ignored.
+   */
+  function setCustomPaths(paths) {
+    customPaths = { ...(paths || {}) };
+    cache.careerPaths = null;
+    cache.processedData = null;
+    cache.skillCatalog = null;
+    cache.validationReport = null;
+    cache.integrityReport = null;
+  }
+
+  /**
+   * Custom paths currently set
+   */
+  function getCustomPaths() {
+    return { ...customPaths };
   }
 
   /**
@@ -155,22 +443,76 @@ const DataLoader = (() => {
   }
 
   /**
-   * Load all data sources
+   * Load the data schema (entity definitions and field types)
+   */
+  async function loadSchema() {
+    if (cache.schema) {
+      return cache.schema;
+    }
+
+    cache.schema = await fetchJSON(config.schemaPath);
+    return cache.schema;
+  }
+
+  /**
+   * Validate all loaded data sources against schema.json.
+   * Returns a report: { valid, errors, warnings, offendingIds, checked }
+   */
+  async function validateData() {
+    if (cache.validationReport) {
+      return cache.validationReport;
+    }
+
+    const [schema, data] = await Promise.all([loadSchema(), loadAll()]);
+    cache.validationReport = DataValidator.validate(data, schema);
+
+    if (!cache.validationReport.valid) {
+      console.warn(`Data validation found ${cache.validationReport.errors.length} error(s)`, cache.validationReport);
+    }
+    return cache.validationReport;
+  }
+
+  /**
+   * Check referential integrity: dangling prerequisite / recommended_next / stage
+   * course ids, prerequisite cycles and courses that belong to no career path.
+   * Views drop dangling ids silently, so this is the place to find out what broke.
+   */
+  async function checkIntegrity() {
+    if (cache.integrityReport) {
+      return cache.integrityReport;
+    }
+
+    const data = await loadAll();
+    cache.integrityReport = DataValidator.checkIntegrity(data);
+    return cache.integrityReport;
+  }
+
+  /**
+   * Combined schema validation and integrity report
+   */
+  async function getDataReport() {
+    const [validation, integrity] = await Promise.all([validateData(), checkIntegrity()]);
+    return DataValidator.mergeReports(validation, integrity);
+  }
+
+  /**
+   * Load all data sources (career paths as written in the file, for validation)
    */
   async function loadAll() {
-    const [courses, categories, careerPaths, externalResources] = await Promise.all([
+    const [courses, categories, pathsFile, externalResources] = await Promise.all([
       loadCourses(),
       loadCategories(),
-      loadCareerPaths(),
+      loadCareerPathsFile(),
       loadExternalResources()
     ]);
-    return { courses, categories, careerPaths, externalResources };
+    return { courses, categories, careerPaths: withCustomPaths(pathsFile), externalResources };
   }
 
   /**
    * Load and process all data sources into a unified structure.
    * This is the recommended function for views to use.
-   * Returns a hydrated, ready-to-use data object.
+   * Returns a hydrated, ready-to-use data object; coursePaths maps a course id
+   * to the paths including it (its career_paths plus every path with it in a stage).
    */
   async function loadProcessedData() {
     if (cache.processedData) {
@@ -189,53 +531,25 @@ const DataLoader = (() => {
     const coursesArray = coursesData.courses;
 
     // Hydrate career paths with full course objects
+    // (loadCareerPaths already gave every path stages of course ids)
     const hydratedPaths = {};
+    const coursePaths = new Map(coursesArray.map(c => [c.id, (c.career_paths || []).filter(id => pathsData[id])]));
     for (const pathId in pathsData) {
-      // Skip non-path properties (like 'additional_paths')
-      if (pathId === 'additional_paths') {
-        hydratedPaths[pathId] = pathsData[pathId];
-        continue;
-      }
-      
       const path = pathsData[pathId];
-      hydratedPaths[pathId] = { ...path };
-
-      if (path.stages) {
-        // Path has stages format - hydrate course objects
-        hydratedPaths[pathId].stages = path.stages.map(stage => ({
+      hydratedPaths[pathId] = {
+        ...path,
+        stages: (path.stages || []).map(stage => ({
           ...stage,
           courses: (stage.courses || [])
             .map(courseId => coursesMap.get(courseId))
             .filter(Boolean)
-        }));
-      }
-      
-      // For legacy format with courses array (e.g., trunk)
-      // Convert to stages format for compatibility with views
-      if (path.courses && Array.isArray(path.courses) && !path.stages) {
-        // Group by stage property if available, otherwise single stage
-        const stageGroups = {};
-        path.courses.forEach(c => {
-          const stageId = typeof c === 'object' && c.stage ? c.stage : 'Courses';
-          if (!stageGroups[stageId]) {
-            stageGroups[stageId] = [];
-          }
-          const courseId = typeof c === 'string' ? c : c.id;
-          const courseObj = coursesMap.get(courseId);
-          if (courseObj) {
-            stageGroups[stageId].push(courseObj);
-          }
-        });
-        
-        hydratedPaths[pathId].stages = Object.entries(stageGroups).map(([name, courses]) => ({
-          name,
-          courses
-        }));
-        
-        hydratedPaths[pathId].coursesHydrated = path.courses
-          .map(c => typeof c === 'string' ? coursesMap.get(c) : coursesMap.get(c.id))
-          .filter(Boolean);
-      }
+        }))
+      };
+
+      hydratedPaths[pathId].stages.forEach(stage => stage.courses.forEach(course => {
+        const ids = coursePaths.get(course.id);
+        if (!ids.includes(pathId)) ids.push(pathId);
+      }));
     }
 
     // Calculate statistics
@@ -259,9 +573,7 @@ const DataLoader = (() => {
 
     // Calculate path stats
     for (const pathId in pathsData) {
-      stats.byPath[pathId] = coursesArray.filter(c => 
-        c.career_paths && c.career_paths.includes(pathId)
-      ).length;
+      stats.byPath[pathId] = coursesArray.filter(c => coursePaths.get(c.id).includes(pathId)).length;
     }
 
     // Calculate partner stats
@@ -276,7 +588,8 @@ const DataLoader = (() => {
       coursesMap,
       categories: categoriesData,
       paths: hydratedPaths,
-      externalResources: externalData,
+      coursePaths,
+      externalResources: hydrateExternalResources(externalData),
       meta: coursesData.meta || {},
       stats
     };
@@ -341,16 +654,41 @@ const DataLoader = (() => {
   }
 
   /**
-   * Search courses by title or description
+   * Build (once) the full-text search index from the loaded courses,
+   * enriched with config-roadmap/search-index.json when it is available
+   */
+  async function loadSearchIndex() {
+    if (cache.searchIndex) {
+      return cache.searchIndex;
+    }
+
+    const [data, searchIndexData] = await Promise.all([
+      loadCourses(),
+      fetchJSON(config.searchIndexPath).catch(() => {
+        console.warn('search-index.json unavailable, building search index on the fly');
+        return null;
+      })
+    ]);
+
+    cache.searchIndex = SearchEngine.buildIndex(data.courses, searchIndexData);
+    return cache.searchIndex;
+  }
+
+  /**
+   * Ranked full-text search.
+   * Returns [{ id, course, score, matches }] where matches holds highlight spans per field.
+   */
+  async function searchRanked(query, options = {}) {
+    const index = await loadSearchIndex();
+    return SearchEngine.search(index, query, options);
+  }
+
+  /**
+   * Search courses by title, skills, tags and description (ranked by relevance)
    */
   async function searchCourses(query) {
-    const data = await loadCourses();
-    const lowerQuery = query.toLowerCase();
-    return data.courses.filter(course =>
-      course.title.toLowerCase().includes(lowerQuery) ||
-      (course.description && course.description.toLowerCase().includes(lowerQuery)) ||
-      (course.tags && course.tags.some(tag => tag.includes(lowerQuery)))
-    );
+    const results = await searchRanked(query);
+    return results.map(result => result.course);
   }
 
   /**
@@ -489,6 +827,27 @@ const DataLoader = (() => {
     return skillsMap;
   }
 
+  /**
+   * Build (once) the normalized skill catalog: canonical skills with the courses
+   * teaching them and the paths needing them, merged with config-roadmap/skill-aliases.json
+   */
+  async function loadSkillCatalog() {
+    if (cache.skillCatalog) {
+      return cache.skillCatalog;
+    }
+
+    const [data, aliasData] = await Promise.all([
+      loadProcessedData(),
+      fetchJSON(config.skillAliasesPath).catch(() => {
+        console.warn('skill-aliases.json unavailable, skills are only merged by spelling');
+        return null;
+      })
+    ]);
+
+    cache.skillCatalog = SkillCatalog.build(data.courses, data.paths, aliasData && aliasData.aliases);
+    return cache.skillCatalog;
+  }
+
   /**
    * Get all unique partners
    */
@@ -522,9 +881,16 @@ const DataLoader = (() => {
     cache.courses = null;
     cache.categories = null;
     cache.paths = null;
+    cache.careerPaths = null;
     cache.externalResources = null;
     cache.baseUrl = null;
     cache.processedData = null;
+    cache.mergedCatalog = null;
+    cache.searchIndex = null;
+    cache.skillCatalog = null;
+    cache.schema = null;
+    cache.validationReport = null;
+    cache.integrityReport = null;
   }
 
   // Public API
@@ -536,6 +902,18 @@ const DataLoader = (() => {
     loadExternalResources,
     loadAll,
     loadProcessedData,
+    loadSchema,
+    loadMergedCatalog,
+    
+    // Merge mode
+    setMergeMode,
+    isMergeMode,
+    getMergeReport,
+    
+    // Validation
+    validateData,
+    checkIntegrity,
+    getDataReport,
     
     // Getters
     getBaseUrl,
@@ -544,17 +922,22 @@ const DataLoader = (() => {
     getCoursesByDifficulty,
     getCoursesByPartner,
     getCoursesByTag,
+    loadSearchIndex,
+    searchRanked,
     searchCourses,
     getCourseById,
     getCategories,
     getCareerPath,
     getAllCareerPaths,
+    setCustomPaths,
+    getCustomPaths,
     getPrerequisiteChain,
     getRecommendedNext,
     
     // Graph & analysis
     buildDependencyGraph,
     getAllSkills,
+    loadSkillCatalog,
     getAllPartners,
     getAllTags,
     
@@ -0,0 +1,472 @@
+/**
+ * Data Validator Module (Shared)
+ * Validates roadmap data against the entity definitions in config-roadmap/schema.json
+ * Produces a structured report (errors, warnings, offending ids) that views can surface
+ */
+
+const DataValidator = (() => {
+  // Maps schema entity names to human readable labels used in reports
+  const ENTITY_LABELS = {
+    course: 'Course',
+    category: 'Category',
+    career_path: 'Career path',
+    stage: 'Stage',
+    external_resource: 'External resource'
+  };
+
+  // Legacy shapes still accepted by DataLoader: a required field may be
+  // satisfied by an alternative field (reported as a warning instead)
+  const LEGACY_FIELD_ALIASES = {
+    career_path: { stages: 'courses' }
+  };
+
+  /**
+   * Parse a schema field type description into a checkable type.
+   * Examples: "string (kebab-case)", "enum: A | B", "array<string>", "number (decimal allowed)"
+   */
+  function parseFieldType(spec) {
+    if (typeof spec !== 'string') return { kind: 'any' };
+    const text = spec.trim();
+
+    if (text.startsWith('enum:')) {
+      const values = text.slice(5).split('|').map(v => v.trim()).filter(Boolean);
+      return { kind: 'enum', values };
+    }
+
+    const arrayMatch = /^array<(.+)>/.exec(text);
+    if (arrayMatch) {
+      return { kind: 'array', items: parseFieldType(arrayMatch[1]) };
+    }
+
+    if (text.startsWith('{')) return { kind: 'object' };
+
+    const kind = text.split(/[\s(]/)[0];
+    const hint = (/\(([^)]*)\)/.exec(text) || [])[1] || '';
+    if (['string', 'number', 'boolean', 'object'].includes(kind)) {
+      return { kind, hint };
+    }
+
+    // Named entity references such as array<stage> are validated separately
+    return { kind: 'entity', name: kind };
+  }
+
+  /**
+   * Check a value against a parsed type. Returns an error message or null.
+   */
+  function checkType(value, type) {
+    switch (type.kind) {
+      case 'string':
+        return typeof value === 'string' ? null : `expected string, got ${describe(value)}`;
+      case 'number':
+        return typeof value === 'number' && !isNaN(value) ? null : `expected number, got ${describe(value)}`;
+      case 'boolean':
+        return typeof value === 'boolean' ? null : `expected boolean, got ${describe(value)}`;
+      case 'object':
+        return value && typeof value === 'object' && !Array.isArray(value) ? null : `expected object, got ${describe(value)}`;
+      case 'enum':
+        return type.values.includes(value) ? null : `"${value}" is not one of ${type.values.join(', ')}`;
+      case 'array': {
+        if (!Array.isArray(value)) return `expected array, got ${describe(value)}`;
+        for (let i = 0; i < value.length; i++) {
+          const itemError = checkType(value[i], type.items);
+          if (itemError) return `item ${i}: ${itemError}`;
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check soft formatting hints (kebab-case ids, max lengths, hex colors).
+   * Returns a warning message or null.
+   */
+  function checkHint(value, type) {
+    if (typeof value !== 'string' || !type.hint) return null;
+
+    if (type.hint.includes('kebab-case') && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(value)) {
+      return `"${value}" is not kebab-case`;
+    }
+    const maxMatch = /max (\d+) chars/.exec(type.hint);
+    if (maxMatch && value.length > Number(maxMatch[1])) {
+      return `longer than ${maxMatch[1]} characters (${value.length})`;
+    }
+    if (type.hint.includes('hex color') && !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+      return `"${value}" is not a hex color`;
+    }
+    return null;
+  }
+
+  /**
+   * Short type description for error messages
+   */
+  function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Create an empty validation report
+   */
+  function createReport() {
+    return {
+      valid: true,
+      errors: [],
+      warnings: [],
+      offendingIds: {},
+      checked: {}
+    };
+  }
+
+  /**
+   * Record an issue in the report
+   */
+  function addIssue(report, severity, entity, id, field, message) {
+    const issue = { entity, id, field, message };
+    if (severity === 'error') {
+      report.errors.push(issue);
+      report.valid = false;
+    } else {
+      report.warnings.push(issue);
+    }
+
+    if (!report.offendingIds[entity]) report.offendingIds[entity] = [];
+    if (!report.offendingIds[entity].includes(id)) {
+      report.offendingIds[entity].push(id);
+    }
+  }
+
+  /**
+   * Validate one record against its entity definition
+   */
+  function validateRecord(report, schema, entity, record, id) {
+    const definition = schema.entities && schema.entities[entity];
+    if (!definition) return;
+
+    report.checked[entity] = (report.checked[entity] || 0) + 1;
+
+    if (!record || typeof record !== 'object') {
+      addIssue(report, 'error', entity, id, null, `${ENTITY_LABELS[entity] || entity} is not an object`);
+      return;
+    }
+
+    const fieldTypes = definition.field_types || {};
+    const aliases = LEGACY_FIELD_ALIASES[entity] || {};
+
+    (definition.required_fields || []).forEach(field => {
+      if (record[field] !== undefined && record[field] !== null && record[field] !== '') return;
+
+      const alias = aliases[field];
+      if (alias && record[alias] !== undefined) {
+        addIssue(report, 'warning', entity, id, field, `uses legacy "${alias}" instead of "${field}"`);
+        return;
+      }
+      addIssue(report, 'error', entity, id, field, `missing required field "${field}"`);
+    });
+
+    Object.keys(fieldTypes).forEach(field => {
+      const value = record[field];
+      if (value === undefined || value === null) return;
+
+      const type = parseFieldType(fieldTypes[field]);
+      const typeError = checkType(value, type);
+      if (typeError) {
+        addIssue(report, 'error', entity, id, field, `${field}: ${typeError}`);
+        return;
+      }
+
+      const hintWarning = checkHint(value, type);
+      if (hintWarning) {
+        addIssue(report, 'warning', entity, id, field, `${field}: ${hintWarning}`);
+      }
+    });
+  }
+
+  /**
+   * Validate the raw data sets loaded by DataLoader.
+   * @param {Object} data - { courses, categories, careerPaths, externalResources }
+   * @param {Object} schema - parsed schema.json
+   */
+  function validate(data, schema) {
+    const report = createReport();
+    if (!schema || !schema.entities) {
+      addIssue(report, 'error', 'schema', 'schema', null, 'schema.json has no entity definitions');
+      return report;
+    }
+
+    const courses = (data.courses && data.courses.courses) || data.courses || [];
+    const seenIds = new Set();
+    courses.forEach((course, index) => {
+      const id = (course && course.id) || `#${index}`;
+      if (seenIds.has(id)) {
+        addIssue(report, 'error', 'course', id, 'id', `duplicate course id "${id}"`);
+      }
+      seenIds.add(id);
+      validateRecord(report, schema, 'course', course, id);
+    });
+
+    const categories = data.categories || {};
+    Object.entries(categories).forEach(([id, category]) => {
+      validateRecord(report, schema, 'category', { id, ...category }, id);
+    });
+
+    // additional_paths are shown as regular paths, so they get the same checks
+    const careerPaths = data.careerPaths || {};
+    const pathEntries = [
+      ...Object.entries(careerPaths).filter(([id]) => id !== 'additional_paths'),
+      ...Object.entries(careerPaths.additional_paths || {})
+    ];
+    pathEntries.forEach(([id, path]) => {
+      validateRecord(report, schema, 'career_path', { id, ...path }, id);
+
+      (path.stages || []).forEach((stage, index) => {
+        validateRecord(report, schema, 'stage', stage, `${id}/${(stage && stage.name) || index}`);
+      });
+    });
+
+    const externalResources = Array.isArray(data.externalResources) ? data.externalResources : [];
+    externalResources.forEach((resource, index) => {
+      validateRecord(report, schema, 'external_resource', resource, (resource && resource.id) || `#${index}`);
+    });
+
+    return report;
+  }
+
+  /**
+   * Collect every course id referenced by a career path definition.
+   * Handles stages, the legacy trunk "courses" format and additional_paths.
+   * Returns [{ pathId, stage, courseId }]
+   */
+  function collectPathReferences(careerPaths) {
+    const refs = [];
+
+    function collect(pathId, path) {
+      if (!path || typeof path !== 'object') return;
+      (path.stages || []).forEach((stage, index) => {
+        (stage.courses || []).forEach(ref => {
+          refs.push({ pathId, stage: stage.name || `#${index}`, courseId: typeof ref === 'string' ? ref : ref && ref.id });
+        });
+      });
+      if (!path.stages && Array.isArray(path.courses)) {
+        path.courses.forEach(ref => {
+          const courseId = typeof ref === 'string' ? ref : ref && ref.id;
+          const stage = (ref && typeof ref === 'object' && ref.stage) || null;
+          refs.push({ pathId, stage, courseId });
+        });
+      }
+    }
+
+    Object.entries(careerPaths || {}).forEach(([pathId, path]) => {
+      if (pathId === 'additional_paths') {
+        Object.entries(path || {}).forEach(([extraId, extraPath]) => collect(extraId, extraPath));
+      } else {
+        collect(pathId, path);
+      }
+    });
+
+    return refs;
+  }
+
+  /**
+   * Find prerequisite cycles. Each cycle is returned once as an ordered list of ids
+   * (the first id repeated at the end), e.g. ['a', 'b', 'a'].
+   */
+  function findPrerequisiteCycles(courses) {
+    const byId = new Map(courses.map(c => [c.id, c]));
+    const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+    const stack = [];
+    const cycles = [];
+    const seen = new Set();
+
+    function visit(id) {
+      state.set(id, 1);
+      stack.push(id);
+
+      const course = byId.get(id);
+      (course.prerequisites || []).forEach(prereqId => {
+        if (!byId.has(prereqId)) return;
+        if (state.get(prereqId) === 1) {
+          const cycle = stack.slice(stack.indexOf(prereqId));
+          const key = [...cycle].sort().join('|');
+          if (!seen.has(key)) {
+            seen.add(key);
+            cycles.push([...cycle, prereqId]);
+          }
+        } else if (!state.get(prereqId)) {
+          visit(prereqId);
+        }
+      });
+
+      stack.pop();
+      state.set(id, 2);
+    }
+
+    courses.forEach(course => {
+      if (!state.get(course.id)) visit(course.id);
+    });
+
+    return cycles;
+  }
+
+  /**
+   * Check referential integrity between courses, categories and career paths.
+   * Returns a report with the same shape as validate() plus:
+   *   danglingReferences: [{ sourceType, sourceId, field, missingId }]
+   *   cycles: [[courseId, ...]]
+   *   unassignedCourses: [courseId]
+   */
+  function checkIntegrity(data) {
+    const report = createReport();
+    report.danglingReferences = [];
+    report.cycles = [];
+    report.unassignedCourses = [];
+
+    const courses = ((data.courses && data.courses.courses) || data.courses || []).filter(c => c && c.id);
+    const courseIds = new Set(courses.map(c => c.id));
+    const categoryIds = new Set(Object.keys(data.categories || {}));
+    const careerPaths = data.careerPaths || {};
+    const pathIds = new Set(Object.keys(careerPaths).filter(id => id !== 'additional_paths'));
+    Object.keys(careerPaths.additional_paths || {}).forEach(id => pathIds.add(id));
+
+    function dangling(sourceType, sourceId, field, missingId, targetLabel) {
+      report.danglingReferences.push({ sourceType, sourceId, field, missingId });
+      addIssue(report, 'error', sourceType, sourceId, field, `${field} references unknown ${targetLabel} "${missingId}"`);
+    }
+
+    courses.forEach(course => {
+      ['prerequisites', 'recommended_next'].forEach(field => {
+        (course[field] || []).forEach(refId => {
+          if (!courseIds.has(refId)) dangling('course', course.id, field, refId, 'course');
+        });
+      });
+      if (course.category && categoryIds.size && !categoryIds.has(course.category)) {
+        dangling('course', course.id, 'category', course.category, 'category');
+      }
+      (course.career_paths || []).forEach(pathId => {
+        if (!pathIds.has(pathId)) dangling('course', course.id, 'career_paths', pathId, 'career path');
+      });
+    });
+
+    const pathRefs = collectPathReferences(careerPaths);
+    pathRefs.forEach(ref => {
+      if (!ref.courseId || !courseIds.has(ref.courseId)) {
+        const sourceId = ref.stage ? `${ref.pathId}/${ref.stage}` : ref.pathId;
+        dangling('stage', sourceId, 'courses', ref.courseId, 'course');
+      }
+    });
+
+    const resources = Array.isArray(data.externalResources) ? data.externalResources : [];
+    resources.forEach(resource => {
+      (resource.career_paths || []).forEach(pathId => {
+        if (!pathIds.has(pathId)) dangling('external_resource', resource.id, 'career_paths', pathId, 'career path');
+      });
+    });
+
+    report.cycles = findPrerequisiteCycles(courses);
+    report.cycles.forEach(cycle => {
+      addIssue(report, 'error', 'course', cycle[0], 'prerequisites', `prerequisite cycle: ${cycle.join(' → ')}`);
+    });
+
+    const assigned = new Set(pathRefs.map(ref => ref.courseId));
+    report.unassignedCourses = courses.filter(c => !assigned.has(c.id)).map(c => c.id);
+    report.unassignedCourses.forEach(id => {
+      addIssue(report, 'warning', 'course', id, null, 'not part of any career path');
+    });
+
+    report.checked = {
+      course: courses.length,
+      career_path: pathIds.size,
+      external_resource: resources.length
+    };
+
+    return report;
+  }
+
+  /**
+   * Combine several reports into one (used to show schema and integrity issues together);
+   * the integrity lists (danglingReferences, cycles, unassignedCourses) are kept too
+   */
+  function mergeReports(...reports) {
+    const merged = createReport();
+    reports.filter(Boolean).forEach(report => {
+      merged.valid = merged.valid && report.valid;
+      merged.errors.push(...report.errors);
+      merged.warnings.push(...report.warnings);
+      ['danglingReferences', 'cycles', 'unassignedCourses'].forEach(key => {
+        if (report[key]) merged[key] = [...(merged[key] || []), ...report[key]];
+      });
+      Object.entries(report.offendingIds).forEach(([entity, ids]) => {
+        if (!merged.offendingIds[entity]) merged.offendingIds[entity] = [];
+        ids.forEach(id => {
+          if (!merged.offendingIds[entity].includes(id)) merged.offendingIds[entity].push(id);
+        });
+      });
+    });
+    return merged;
+  }
+
+  /**
+   * Total number of issues in a report
+   */
+  function countIssues(report) {
+    return report ? report.errors.length + report.warnings.length : 0;
+  }
+
+  /**
+   * Render a "data issues" banner for a report. Returns '' when there is nothing to show.
+   */
+  function renderBanner(report, options = {}) {
+    if (!countIssues(report)) return '';
+
+    const { maxItems = 100 } = options;
+    const issues = [
+      ...report.errors.map(i => ({ ...i, severity: 'error' })),
+      ...report.warnings.map(i => ({ ...i, severity: 'warning' }))
+    ];
+
+    return `
+      <div class="data-issues-banner ${report.valid ? 'has-warnings' : 'has-errors'}" role="status">
+        <details>
+          <summary>
+            <span class="data-issues-icon">${report.valid ? '⚠️' : '❗'}</span>
+            <span class="data-issues-summary">
+              Data issues: ${report.errors.length} error${report.errors.length === 1 ? '' : 's'},
+              ${report.warnings.length} warning${report.warnings.length === 1 ? '' : 's'}
+            </span>
+          </summary>
+          <ul class="data-issues-list">
+            ${issues.slice(0, maxItems).map(issue => `
+              <li class="data-issue ${issue.severity}">
+                <span class="data-issue-entity">${ENTITY_LABELS[issue.entity] || issue.entity}</span>
+                <code>${Utils.escapeHtml(String(issue.id))}</code>
+                <span class="data-issue-message">${Utils.escapeHtml(issue.message)}</span>
+              </li>
+            `).join('')}
+          </ul>
+          ${issues.length > maxItems ? `<small>+${issues.length - maxItems} more...</small>` : ''}
+        </details>
+        <button class="data-issues-dismiss" aria-label="Dismiss">×</button>
+      </div>
+    `;
+  }
+
+  // Public API
+  return {
+    parseFieldType,
+    checkType,
+    validate,
+    checkIntegrity,
+    collectPathReferences,
+    findPrerequisiteCycles,
+    mergeReports,
+    countIssues,
+    renderBanner
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataValidator;
+}
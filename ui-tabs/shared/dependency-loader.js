@@ -0,0 +1,120 @@
+/**
+ * Dependency Loader Module (Shared)
+ * Loads the third-party libraries of the chart views (D3, vis-network) from
+ * their local copies in vendor/, once, and only when a view asks for them.
+ * A load that fails or exceeds the timeout rejects, so the view can render a
+ * fallback; the next call tries again. App also loads the views listed in
+ * ui-tabs/views.json through it.
+ */
+
+const DependencyLoader = (() => {
+  const DEFAULT_TIMEOUT = 10000;
+
+  // name -> { global: window property set by the library, scripts: [url], styles: [url] }
+  const libraries = {
+    d3: {
+      global: 'd3',
+      scripts: ['vendor/d3/d3.v7.min.js']
+    },
+    'vis-network': {
+      global: 'vis',
+      scripts: ['vendor/vis-network/vis-network.min.js'],
+      styles: ['vendor/vis-network/vis-network.min.css']
+    }
+  };
+
+  const pending = new Map();
+
+  /**
+   * Add or replace a library definition
+   * @param {string} name
+   * @param {Object} spec - { global, scripts, styles }
+   */
+  function register(name, spec) {
+    libraries[name] = { scripts: [], styles: [], ...spec };
+    pending.delete(name);
+  }
+
+  function isLoaded(name) {
+    const library = libraries[name];
+    return Boolean(library && window[library.global]);
+  }
+
+  /**
+   * Load a library (its stylesheets, then its scripts in order)
+   * @param {string} name
+   * @param {Object} options - { timeout } in ms, per script
+   * @returns {Promise<*>} The library's global
+   */
+  function load(name, options = {}) {
+    const library = libraries[name];
+    if (!library) return Promise.reject(new Error(`Unknown library "${name}"`));
+    if (window[library.global]) return Promise.resolve(window[library.global]);
+
+    if (!pending.has(name)) {
+      const { timeout = DEFAULT_TIMEOUT } = options;
+      pending.set(name, loadLibrary(name, library, timeout).catch(error => {
+        pending.delete(name);
+        throw error;
+      }));
+    }
+    return pending.get(name);
+  }
+
+  async function loadLibrary(name, library, timeout) {
+    (library.styles || []).forEach(addStylesheet);
+    for (const src of library.scripts) {
+      await addScript(src, timeout);
+    }
+    if (!window[library.global]) {
+      throw new Error(`${name} loaded but did not define window.${library.global}`);
+    }
+    return window[library.global];
+  }
+
+  function addStylesheet(href) {
+    if (document.querySelector(`link[data-dependency="${href}"]`)) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    link.dataset.dependency = href;
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Append a script tag; rejects on a load error or after the timeout
+   * (the tag is removed so a retry starts clean)
+   */
+  function addScript(src, timeout) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      const fail = message => {
+        clearTimeout(timer);
+        script.remove();
+        reject(new Error(message));
+      };
+      const timer = setTimeout(() => fail(`Timed out loading ${src} after ${timeout} ms`), timeout);
+
+      script.src = src;
+      script.onload = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      script.onerror = () => fail(`Failed to load ${src}`);
+      document.head.appendChild(script);
+    });
+  }
+
+  // Public API
+  return {
+    DEFAULT_TIMEOUT,
+    register,
+    isLoaded,
+    load
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DependencyLoader;
+}
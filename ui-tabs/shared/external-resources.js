@@ -0,0 +1,105 @@
+/**
+ * External Resources Module (Shared)
+ * Helpers for the gap topics of external-resources.json (hydrated by
+ * DataLoader.loadProcessedData): resource types, the topics of a path, the stage
+ * a topic belongs to, progress (each link is tracked in ProgressStore by its id)
+ * and the stage badges shown in the Timeline and Kanban views.
+ */
+
+const ExternalResources = (() => {
+  const TYPE_META = {
+    video: { label: 'Video', icon: '🎬' },
+    course: { label: 'Course', icon: '🎓' },
+    book: { label: 'Book', icon: '📖' },
+    certification: { label: 'Certification', icon: '📜' },
+    practice: { label: 'Practice', icon: '🏋️' },
+    research: { label: 'Research', icon: '🔬' },
+    papers: { label: 'Papers', icon: '📄' },
+    link: { label: 'Link', icon: '🔗' }
+  };
+
+  function typeMeta(type) {
+    return TYPE_META[type] || { label: type, icon: TYPE_META.link.icon };
+  }
+
+  /**
+   * Topics recommended for a career path
+   */
+  function forPath(topics, pathId) {
+    return topics.filter(topic => topic.career_paths.includes(pathId));
+  }
+
+  /**
+   * Progress over a topic's links: { completed, inProgress, total }
+   */
+  function progress(topic) {
+    const counts = ProgressStore.summarize(topic.recommended_resources.map(r => r.id));
+    return { completed: counts.completed, inProgress: counts.in_progress, total: counts.total };
+  }
+
+  /**
+   * Stage a topic belongs to on a path: the stage with the most courses of the
+   * topic's category (the later one on ties), else the last stage
+   * @param {Array} stages - [{ courses: [course or id] }]
+   * @param {Function} categoryOf - course or id -> category id
+   */
+  function stageIndexFor(topic, stages, categoryOf) {
+    let best = stages.length - 1;
+    let bestCount = 0;
+    stages.forEach((stage, index) => {
+      const count = (stage.courses || []).filter(course => course && categoryOf(course) === topic.category).length;
+      if (count > 0 && count >= bestCount) {
+        best = index;
+        bestCount = count;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Topics of a path grouped by stage index
+   * @returns {Map} stageIndex -> [topic]
+   */
+  function byStage(topics, pathId, stages, categoryOf) {
+    const groups = new Map();
+    if (!stages || stages.length === 0) return groups;
+    forPath(topics, pathId).forEach(topic => {
+      const index = stageIndexFor(topic, stages, categoryOf);
+      if (!groups.has(index)) groups.set(index, []);
+      groups.get(index).push(topic);
+    });
+    return groups;
+  }
+
+  /**
+   * Badges linking to the Resources tab, one per topic
+   */
+  function renderBadges(topics, pathId) {
+    return (topics || []).map(topic => {
+      const { completed, total } = progress(topic);
+      return `
+        <a class="resource-badge ${total && completed === total ? 'done' : ''}"
+           href="${TabNavigation.buildHash('resources', { path: pathId, topic: topic.id })}"
+           title="External resources: ${Utils.escapeHtml(topic.title)} (${completed}/${total} done)">
+          📎 ${Utils.escapeHtml(topic.title)} <small>${completed}/${total}</small>
+        </a>
+      `;
+    }).join('');
+  }
+
+  // Public API
+  return {
+    TYPE_META,
+    typeMeta,
+    forPath,
+    progress,
+    stageIndexFor,
+    byStage,
+    renderBadges
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExternalResources;
+}
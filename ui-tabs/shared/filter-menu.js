@@ -0,0 +1,184 @@
+/**
+ * Filter Menu Module (Shared)
+ * Header menu for the filters shared by all views (see AppStore): the
+ * "sync filters across views" option, and with it on, the path, categories,
+ * level, partner, duration range and hide-completed selection.
+ */
+
+const FilterMenu = (() => {
+  const SOURCE = 'filter-menu';
+
+  let root = null;
+  let open = false;
+  let renderRequestId = 0;
+
+  /**
+   * Render the menu into a header element and keep it in sync
+   */
+  function init(element) {
+    if (!element || root) return;
+    root = element;
+    root.innerHTML = `
+      <div class="filter-menu">
+        <button type="button" class="header-icon-btn filter-menu-btn" aria-haspopup="dialog" aria-expanded="false" title="Filters shared by all views">
+          <span class="tab-icon">🎚️</span>
+          <span class="filter-menu-count hidden"></span>
+        </button>
+        <div class="filter-menu-panel hidden" role="dialog" aria-label="Shared filters"></div>
+      </div>
+    `;
+    updateCount();
+
+    root.addEventListener('click', handleClick);
+    root.addEventListener('change', handleChange);
+    document.addEventListener('click', e => {
+      if (open && !root.contains(e.target)) setOpen(false);
+    });
+    document.addEventListener('keydown', e => {
+      if (open && e.key === 'Escape') {
+        setOpen(false);
+        root.querySelector('.filter-menu-btn').focus();
+      }
+    });
+
+    AppStore.on('change', ({ source }) => {
+      updateCount();
+      // The menu's own edits are already on screen (re-rendering would drop focus)
+      if (open && source !== SOURCE) renderPanel();
+    });
+  }
+
+  function updateCount() {
+    const count = AppStore.countActive();
+    const badge = root.querySelector('.filter-menu-count');
+    badge.textContent = count;
+    badge.classList.toggle('hidden', count === 0);
+    root.querySelector('.filter-menu-btn').classList.toggle('active', AppStore.isSynced());
+  }
+
+  function setOpen(value) {
+    open = value;
+    root.querySelector('.filter-menu-panel').classList.toggle('hidden', !open);
+    root.querySelector('.filter-menu-btn').setAttribute('aria-expanded', open);
+    if (open) renderPanel();
+  }
+
+  /**
+   * Render the panel with the paths, categories and partners of the data
+   */
+  async function renderPanel() {
+    const panel = root.querySelector('.filter-menu-panel');
+    const requestId = ++renderRequestId;
+    let data;
+    try {
+      data = await DataLoader.loadProcessedData();
+    } catch (error) {
+      panel.innerHTML = '<p class="filter-menu-hint">Could not load the course data.</p>';
+      return;
+    }
+    if (requestId !== renderRequestId) return;
+
+    const synced = AppStore.isSynced();
+    const filters = AppStore.getFilters();
+    const partners = [...new Set(data.courses.map(course => course.partner).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+    const option = (value, label, selected) =>
+      `<option value="${Utils.escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+
+    panel.innerHTML = `
+      <label class="filter-menu-sync">
+        <input type="checkbox" data-action="sync" ${synced ? 'checked' : ''}>
+        <span>Sync filters across views</span>
+      </label>
+      <p class="filter-menu-hint">
+        ${synced
+          ? 'A path picked in one view applies to the others. The filters below narrow the courses of Index, Cards, Network, Sunburst, Kanban and Timeline.'
+          : 'Each view keeps its own filters.'}
+      </p>
+      <fieldset class="filter-menu-fields" ${synced ? '' : 'disabled'}>
+        <label>
+          <span>Path</span>
+          <select class="filter-select" data-filter="path">
+            ${option('', 'All Paths', filters.path)}
+            ${PathRegistry.sort(Object.keys(data.paths)).map(id => option(id, PathRegistry.label(id), filters.path)).join('')}
+          </select>
+        </label>
+        <label>
+          <span>Level</span>
+          <select class="filter-select" data-filter="difficulty">
+            ${option('', 'All Levels', filters.difficulty)}
+            ${option('beginner', 'Beginner', filters.difficulty)}
+            ${option('intermediate', 'Intermediate', filters.difficulty)}
+            ${option('advanced', 'Advanced', filters.difficulty)}
+          </select>
+        </label>
+        <label>
+          <span>Partner</span>
+          <select class="filter-select" data-filter="partner">
+            ${option('', 'All Partners', filters.partner)}
+            ${partners.map(partner => option(partner, Utils.escapeHtml(partner), filters.partner)).join('')}
+          </select>
+        </label>
+        <div class="filter-menu-row">
+          <span>Duration (h)</span>
+          <input type="number" min="0" step="0.5" class="filter-menu-hours" data-filter="minHours" placeholder="min" aria-label="Minimum hours" value="${filters.minHours ?? ''}">
+          <span>–</span>
+          <input type="number" min="0" step="0.5" class="filter-menu-hours" data-filter="maxHours" placeholder="max" aria-label="Maximum hours" value="${filters.maxHours ?? ''}">
+        </div>
+        <div class="filter-menu-label">Categories</div>
+        <div class="filter-menu-categories">
+          ${Object.entries(data.categories).map(([id, category]) => `
+            <label class="filter-menu-check">
+              <input type="checkbox" data-category="${Utils.escapeHtml(id)}" ${filters.categories.includes(id) ? 'checked' : ''}>
+              <span>${category.icon || '📁'} ${Utils.escapeHtml(category.name)}</span>
+            </label>
+          `).join('')}
+        </div>
+        <label class="filter-menu-check">
+          <input type="checkbox" data-filter="hideCompleted" ${filters.hideCompleted ? 'checked' : ''}>
+          <span>Hide completed courses</span>
+        </label>
+        <button type="button" class="backup-btn filter-menu-reset" data-action="reset" ${AppStore.countActive() ? '' : 'disabled'}>Clear filters</button>
+      </fieldset>
+    `;
+  }
+
+  function handleClick(e) {
+    if (e.target.closest('.filter-menu-btn')) {
+      setOpen(!open);
+      return;
+    }
+    if (e.target.closest('[data-action="reset"]')) {
+      AppStore.resetFilters();
+    }
+  }
+
+  function handleChange(e) {
+    const input = e.target;
+    if (input.dataset.action === 'sync') {
+      AppStore.setSynced(input.checked);
+    } else if (input.dataset.category !== undefined) {
+      const categories = [...root.querySelectorAll('[data-category]:checked')].map(box => box.dataset.category);
+      AppStore.setFilters({ categories }, { source: SOURCE });
+    } else if (input.dataset.filter) {
+      const value = input.type === 'checkbox' ? input.checked : input.value;
+      AppStore.setFilters({ [input.dataset.filter]: value }, { source: SOURCE });
+    }
+    updateReset();
+  }
+
+  function updateReset() {
+    const reset = root.querySelector('[data-action="reset"]');
+    if (reset) reset.disabled = AppStore.countActive() === 0;
+  }
+
+  // Public API
+  return {
+    init
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FilterMenu;
+}
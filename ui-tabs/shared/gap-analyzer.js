@@ -0,0 +1,193 @@
+/**
+ * Gap Analyzer Module (Shared)
+ * Compares the learner's progress to what a career path requires:
+ * the path's skills (from SkillCatalog) split into covered / in progress / missing,
+ * the remaining courses that close each gap (a greedy pick of the fewest courses
+ * and hours), external resources matching a gap, and the hours left.
+ * Reports export as Markdown or JSON.
+ */
+
+const GapAnalyzer = (() => {
+  const COMPLETED = 'completed';
+  const IN_PROGRESS = 'in_progress';
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Ids of the courses in a (processed) path, in stage order
+   */
+  function pathCourseIds(path) {
+    return [...new Set((path.stages || []).flatMap(stage => (stage.courses || []).filter(Boolean).map(c => c.id || c)))];
+  }
+
+  /**
+   * External resources whose title or description mention the skill
+   */
+  function matchResources(skill, resources) {
+    const names = [skill.name, ...skill.variants].map(SkillCatalog.normalizeKey).filter(name => name.length > 2);
+    return resources.filter(resource => {
+      const text = SkillCatalog.normalizeKey(`${resource.title} ${resource.description || ''}`);
+      return names.some(name => new RegExp(`(^|[^\\p{L}\\p{N}])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\p{L}\\p{N}])`, 'u').test(text));
+    });
+  }
+
+  /**
+   * Pick courses closing the missing skills: most skills closed first, then path
+   * courses, then fewest hours
+   */
+  function pickCourses(missing, candidates, inPath, hoursOf) {
+    const open = new Set(missing.map(gap => gap.id));
+    const picked = [];
+    const compare = (a, b) => (a.closes.length - b.closes.length) || (a.inPath - b.inPath) || (b.hours - a.hours);
+
+    while (open.size > 0) {
+      let best = null;
+      candidates.forEach(courseId => {
+        if (picked.some(p => p.id === courseId)) return;
+        const closes = missing.filter(gap => open.has(gap.id) && gap.courseIds.includes(courseId)).map(gap => gap.id);
+        if (closes.length === 0) return;
+        const candidate = { id: courseId, closes, hours: hoursOf(courseId), inPath: inPath.has(courseId) };
+        if (!best || compare(candidate, best) > 0) best = candidate;
+      });
+      if (!best) break;
+      best.closes.forEach(id => open.delete(id));
+      picked.push(best);
+    }
+
+    return picked;
+  }
+
+  /**
+   * Analyze one career path
+   * @param {Object} options
+   * @param {string} options.pathId
+   * @param {Object} options.path - processed path (stages with course objects)
+   * @param {Object} options.catalog - SkillCatalog.build() result
+   * @param {Map} options.coursesMap - id -> course
+   * @param {Array} options.externalResources - external-resources.json entries
+   * @param {Function} options.getStatus - courseId -> progress status
+   * @returns {Object} { pathId, pathName, generatedAt, skills: { covered, partial, missing }, coverage,
+   *   closingCourses, closingHours, remainingCourses, remainingHours, pathResources }
+   */
+  function analyze({ pathId, path, catalog, coursesMap, externalResources = [], getStatus }) {
+    const courseIds = pathCourseIds(path);
+    const inPath = new Set(courseIds);
+    const hoursOf = id => (coursesMap.get(id) || {}).duration_hours || 0;
+    const pathResources = externalResources.filter(r => (r.career_paths || []).includes(pathId));
+
+    const skills = { covered: [], partial: [], missing: [] };
+    catalog.skills
+      .filter(skill => skill.pathIds.includes(pathId))
+      .forEach(skill => {
+        const completed = skill.courseIds.filter(id => getStatus(id) === COMPLETED);
+        const inProgress = skill.courseIds.filter(id => getStatus(id) === IN_PROGRESS);
+        const remaining = skill.courseIds
+          .filter(id => getStatus(id) !== COMPLETED && coursesMap.has(id))
+          .sort((a, b) => (inPath.has(b) - inPath.has(a)) || hoursOf(a) - hoursOf(b));
+        const entry = {
+          id: skill.id,
+          name: skill.name,
+          courseIds: remaining,
+          completed,
+          inProgress,
+          resources: completed.length ? [] : matchResources(skill, externalResources).map(r => r.id)
+        };
+        const state = completed.length ? 'covered' : inProgress.length ? 'partial' : 'missing';
+        skills[state].push(entry);
+      });
+
+    // Unfinished courses (in progress included) close the gaps
+    const gaps = [...skills.partial, ...skills.missing];
+    const candidates = [...new Set(gaps.flatMap(gap => gap.courseIds))];
+    const closingCourses = pickCourses(gaps, candidates, inPath, hoursOf);
+    gaps.forEach(gap => {
+      gap.closedBy = (closingCourses.find(course => course.closes.includes(gap.id)) || {}).id || null;
+    });
+
+    const remainingCourses = courseIds.filter(id => getStatus(id) !== COMPLETED && getStatus(id) !== 'skipped');
+    const total = skills.covered.length + skills.partial.length + skills.missing.length;
+
+    return {
+      pathId,
+      pathName: path.name,
+      generatedAt: new Date().toISOString(),
+      skills,
+      coverage: total ? round(skills.covered.length / total) : 1,
+      closingCourses,
+      closingHours: round(closingCourses.reduce((sum, course) => sum + course.hours, 0)),
+      remainingCourses,
+      remainingHours: round(remainingCourses.reduce((sum, id) => sum + hoursOf(id), 0)),
+      pathResources: pathResources.map(r => r.id)
+    };
+  }
+
+  /**
+   * Render a report as Markdown
+   * @param {Object} report - analyze() result
+   * @param {Object} lookups - { coursesMap, resources (id -> resource), courseUrl(id) }
+   */
+  function toMarkdown(report, { coursesMap, resources = new Map(), courseUrl = () => '' }) {
+    const title = id => (coursesMap.get(id) || { title: id }).title;
+    const link = id => (courseUrl(id) ? `[${title(id)}](${courseUrl(id)})` : title(id));
+    const resourceLine = id => {
+      const resource = resources.get(id);
+      if (!resource) return `- ${id}`;
+      const items = (resource.recommended_resources || []).map(r => `[${r.name}](${r.url})`).join(', ');
+      return `- **${resource.title}**${items ? `: ${items}` : ''}`;
+    };
+    const gapLine = gap => {
+      const closer = gap.closedBy ? ` — close with ${link(gap.closedBy)}` : gap.courseIds.length ? '' : ' — no course teaches it';
+      const extra = gap.resources.length ? ` (see also: ${gap.resources.map(id => (resources.get(id) || { title: id }).title).join(', ')})` : '';
+      return `- ${gap.name}${gap.inProgress.length ? ' (in progress)' : ''}${closer}${extra}`;
+    };
+    const { covered, partial, missing } = report.skills;
+
+    return [
+      `# Skill gap analysis: ${report.pathName}`,
+      '',
+      `Generated ${report.generatedAt.slice(0, 10)}.`,
+      '',
+      `- Skills covered: ${covered.length} of ${covered.length + partial.length + missing.length} (${Math.round(report.coverage * 100)}%)`,
+      `- Hours to close the gaps: ${report.closingHours} (${report.closingCourses.length} courses)`,
+      `- Hours to finish the path: ${report.remainingHours} (${report.remainingCourses.length} courses)`,
+      '',
+      `## Missing skills (${missing.length})`,
+      '',
+      ...(missing.length ? missing.map(gapLine) : ['None.']),
+      '',
+      `## In progress (${partial.length})`,
+      '',
+      ...(partial.length ? partial.map(gapLine) : ['None.']),
+      '',
+      `## Covered (${covered.length})`,
+      '',
+      ...(covered.length ? covered.map(skill => `- ${skill.name}`) : ['None yet.']),
+      '',
+      '## Courses that close the gaps',
+      '',
+      ...(report.closingCourses.length
+        ? report.closingCourses.map((course, i) => `${i + 1}. ${link(course.id)} (${course.hours}h) — ${course.closes.length} skill${course.closes.length === 1 ? '' : 's'}${course.inPath ? '' : ', outside the path'}`)
+        : ['Nothing left to take.']),
+      '',
+      '## Beyond the courses',
+      '',
+      ...(report.pathResources.length ? report.pathResources.map(resourceLine) : ['No external resources listed for this path.']),
+      ''
+    ].join('\n');
+  }
+
+  // Public API
+  return {
+    pathCourseIds,
+    matchResources,
+    analyze,
+    toMarkdown
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GapAnalyzer;
+}
@@ -0,0 +1,237 @@
+/**
+ * Learning Planner Module (Shared)
+ * Answers "I want course Y or skill X — what should I take, and in what order?"
+ * Builds on DataLoader.buildDependencyGraph() and DataLoader.getAllSkills():
+ * collects the unmet prerequisites of every target, picks the cheapest course
+ * for each target skill, and orders the result topologically.
+ */
+
+const LearningPlanner = (() => {
+  const DIFFICULTY_RANK = { Beginner: 0, Intermediate: 1, Advanced: 2 };
+
+  /**
+   * Normalize a skill name for matching
+   */
+  function normalizeSkill(skill) {
+    return String(skill || '').trim().toLowerCase();
+  }
+
+  /**
+   * Index a dependency graph: node lookup and prerequisite lists
+   */
+  function indexGraph(graph) {
+    const nodes = new Map(graph.nodes.map(n => [n.id, n]));
+    const prerequisites = new Map(graph.nodes.map(n => [n.id, []]));
+    graph.edges
+      .filter(e => e.type === 'prerequisite')
+      .forEach(e => {
+        if (!prerequisites.has(e.target)) prerequisites.set(e.target, []);
+        prerequisites.get(e.target).push(e.source);
+      });
+    return { nodes, prerequisites };
+  }
+
+  /**
+   * Courses needed to take a course: itself plus its unmet prerequisites.
+   * Completed courses stop the walk (their prerequisites are assumed met).
+   * Unknown prerequisite ids are collected in `missing`.
+   */
+  function collectClosure(courseId, graphIndex, completed, missing = new Set()) {
+    const closure = new Set();
+    const stack = [courseId];
+
+    while (stack.length) {
+      const id = stack.pop();
+      if (closure.has(id) || completed.has(id)) continue;
+      if (!graphIndex.nodes.has(id)) {
+        missing.add(id);
+        continue;
+      }
+      closure.add(id);
+      (graphIndex.prerequisites.get(id) || []).forEach(p => stack.push(p));
+    }
+    return closure;
+  }
+
+  /**
+   * Hours still to spend on a set of courses, ignoring those already planned
+   */
+  function closureHours(closure, graphIndex, planned) {
+    let hours = 0;
+    closure.forEach(id => {
+      if (!planned.has(id)) hours += graphIndex.nodes.get(id).duration || 0;
+    });
+    return hours;
+  }
+
+  /**
+   * Topologically order the planned courses (Kahn's algorithm).
+   * Ties go to easier, then shorter courses. Courses caught in a
+   * prerequisite cycle are appended at the end and reported.
+   */
+  function orderPlan(planned, graphIndex) {
+    const inDegree = new Map();
+    const dependents = new Map();
+    planned.forEach(id => {
+      inDegree.set(id, 0);
+      dependents.set(id, []);
+    });
+    planned.forEach(id => {
+      (graphIndex.prerequisites.get(id) || []).forEach(p => {
+        if (!planned.has(p)) return;
+        inDegree.set(id, inDegree.get(id) + 1);
+        dependents.get(p).push(id);
+      });
+    });
+
+    const compare = (a, b) => {
+      const na = graphIndex.nodes.get(a);
+      const nb = graphIndex.nodes.get(b);
+      return (DIFFICULTY_RANK[na.difficulty] ?? 1) - (DIFFICULTY_RANK[nb.difficulty] ?? 1) ||
+        (na.duration || 0) - (nb.duration || 0) ||
+        a.localeCompare(b);
+    };
+
+    const ready = [...planned].filter(id => inDegree.get(id) === 0).sort(compare);
+    const ordered = [];
+    while (ready.length) {
+      const id = ready.shift();
+      ordered.push(id);
+      dependents.get(id).forEach(next => {
+        inDegree.set(next, inDegree.get(next) - 1);
+        if (inDegree.get(next) === 0) {
+          ready.push(next);
+          ready.sort(compare);
+        }
+      });
+    }
+
+    const cyclic = [...planned].filter(id => !ordered.includes(id)).sort(compare);
+    return { ordered: [...ordered, ...cyclic], cyclic };
+  }
+
+  /**
+   * Create a plan from an already-loaded dependency graph and skills map.
+   * @param {Object} graph - { nodes, edges } from DataLoader.buildDependencyGraph()
+   * @param {Map} skillsMap - skill -> [courseId] from DataLoader.getAllSkills()
+   * @param {Object} request - { courses: [id], skills: [name], completed: [id] | Set }
+   * @returns {Object} { steps, totalHours, skipped, unresolvedSkills, missing, cycles }
+   */
+  function createPlan(graph, skillsMap, request = {}) {
+    const graphIndex = indexGraph(graph);
+    const completed = new Set(request.completed || []);
+    const targetCourses = [...new Set(request.courses || [])];
+    const targetSkills = [...new Set(request.skills || [])].filter(skill => normalizeSkill(skill));
+
+    const planned = new Set();
+    const reasons = new Map(); // courseId -> { targets: Set, skills: Set }
+    const missing = new Set();
+    const skipped = new Set();
+    const unresolvedSkills = [];
+
+    const addReason = (id, key, value) => {
+      if (!reasons.has(id)) reasons.set(id, { targets: new Set(), skills: new Set() });
+      reasons.get(id)[key].add(value);
+    };
+
+    const addClosure = closure => closure.forEach(id => planned.add(id));
+
+    targetCourses.forEach(courseId => {
+      if (completed.has(courseId)) {
+        skipped.add(courseId);
+        return;
+      }
+      const closure = collectClosure(courseId, graphIndex, completed, missing);
+      addClosure(closure);
+      if (closure.has(courseId)) addReason(courseId, 'targets', courseId);
+    });
+
+    // Skills by normalized name
+    const teachers = new Map();
+    skillsMap.forEach((courseIds, skill) => {
+      const key = normalizeSkill(skill);
+      if (!teachers.has(key)) teachers.set(key, { name: skill, courseIds: new Set() });
+      courseIds.forEach(id => teachers.get(key).courseIds.add(id));
+    });
+
+    targetSkills.forEach(skill => {
+      const entry = teachers.get(normalizeSkill(skill));
+      const candidates = entry ? [...entry.courseIds].filter(id => graphIndex.nodes.has(id)) : [];
+      if (candidates.length === 0) {
+        unresolvedSkills.push(skill);
+        return;
+      }
+
+      const done = candidates.find(id => completed.has(id));
+      if (done) {
+        skipped.add(done);
+        return;
+      }
+
+      // Cheapest course for the skill, counting courses already in the plan as free
+      const best = candidates
+        .map(id => {
+          const unknown = new Set();
+          const closure = collectClosure(id, graphIndex, completed, unknown);
+          return { id, closure, unknown, hours: closureHours(closure, graphIndex, planned) };
+        })
+        .sort((a, b) => a.hours - b.hours || a.closure.size - b.closure.size || a.id.localeCompare(b.id))[0];
+
+      best.unknown.forEach(id => missing.add(id));
+      addClosure(best.closure);
+      addReason(best.id, 'skills', entry.name);
+    });
+
+    const { ordered, cyclic } = orderPlan(planned, graphIndex);
+
+    let cumulativeHours = 0;
+    const steps = ordered.map(id => {
+      const node = graphIndex.nodes.get(id);
+      const reason = reasons.get(id);
+      const hours = node.duration || 0;
+      cumulativeHours = Math.round((cumulativeHours + hours) * 100) / 100;
+      return {
+        id,
+        title: node.label,
+        difficulty: node.difficulty,
+        hours,
+        cumulativeHours,
+        reason: reason ? (reason.targets.size ? 'target' : 'skill') : 'prerequisite',
+        skills: reason ? [...reason.skills] : [],
+        prerequisites: (graphIndex.prerequisites.get(id) || []).filter(p => planned.has(p))
+      };
+    });
+
+    return {
+      steps,
+      totalHours: cumulativeHours,
+      skipped: [...skipped],
+      unresolvedSkills,
+      missing: [...missing],
+      cycles: cyclic
+    };
+  }
+
+  /**
+   * Load the dependency graph and skills, then create a plan
+   */
+  async function buildPlan(request = {}) {
+    const [graph, skillsMap] = await Promise.all([
+      DataLoader.buildDependencyGraph(),
+      DataLoader.getAllSkills()
+    ]);
+    return createPlan(graph, skillsMap, request);
+  }
+
+  // Public API
+  return {
+    normalizeSkill,
+    createPlan,
+    buildPlan
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LearningPlanner;
+}
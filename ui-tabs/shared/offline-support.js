@@ -0,0 +1,123 @@
+/**
+ * Offline Support Module (Shared)
+ * Registers the service worker (sw.js) that keeps the app, its data and the
+ * vendored libraries usable offline, and shows a prompt when the worker finds
+ * newer roadmap data or a new version of the app is waiting.
+ */
+
+const OfflineSupport = (() => {
+  const WORKER_URL = 'sw.js';
+
+  let banner = null;
+  let onRefresh = null;
+  let registration = null;
+  let reloading = false;
+
+  /**
+   * Register the service worker
+   * @param {Object} options
+   * @param {Function} options.onRefresh - Reloads the data when the user accepts newer data
+   */
+  async function init(options = {}) {
+    onRefresh = options.onRefresh || null;
+    if (!isSupported()) return null;
+
+    navigator.serviceWorker.addEventListener('message', event => {
+      if (event.data && event.data.type === 'data-updated') showPrompt('data');
+    });
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (reloading) location.reload();
+    });
+
+    try {
+      registration = await navigator.serviceWorker.register(WORKER_URL);
+      if (registration.waiting && navigator.serviceWorker.controller) showPrompt('app');
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          // The first install has no page to update; later ones wait for the user
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) showPrompt('app');
+        });
+      });
+      return registration;
+    } catch (error) {
+      console.warn('Offline mode unavailable:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Service workers need a secure context (https or localhost), not file://
+   */
+  function isSupported() {
+    return 'serviceWorker' in navigator && window.isSecureContext && location.protocol !== 'file:';
+  }
+
+  /**
+   * Show (or upgrade) the update prompt; a waiting app version wins over new data
+   * @param {'data'|'app'} kind
+   */
+  function showPrompt(kind) {
+    if (banner && banner.dataset.kind === 'app') return;
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = 'update-banner';
+      banner.addEventListener('click', handleClick);
+      const main = document.querySelector('.main-content');
+      (main || document.body).prepend(banner);
+    }
+
+    banner.dataset.kind = kind;
+    banner.innerHTML = `
+      <div class="update-banner" role="status">
+        <span class="update-banner-icon">🔄</span>
+        <span class="update-banner-text">
+          ${kind === 'app' ? 'A new version of the roadmap is available.' : 'New roadmap data is available.'}
+        </span>
+        <button type="button" class="update-banner-btn" data-action="apply">${kind === 'app' ? 'Reload' : 'Show new data'}</button>
+        <button type="button" class="data-issues-dismiss" data-action="dismiss" aria-label="Dismiss">×</button>
+      </div>
+    `;
+  }
+
+  function hidePrompt() {
+    if (banner) banner.remove();
+    banner = null;
+  }
+
+  async function handleClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const kind = banner.dataset.kind;
+    hidePrompt();
+    if (button.dataset.action === 'apply') await applyUpdate(kind);
+  }
+
+  /**
+   * Accept an update: activate the waiting app version (the page reloads once
+   * it takes over), or reload the data from the refreshed cache
+   */
+  async function applyUpdate(kind) {
+    if (kind === 'app' && registration && registration.waiting) {
+      reloading = true;
+      registration.waiting.postMessage({ type: 'skip-waiting' });
+      return;
+    }
+    if (onRefresh) await onRefresh();
+    else location.reload();
+  }
+
+  // Public API
+  return {
+    init,
+    isSupported,
+    showPrompt,
+    applyUpdate
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineSupport;
+}
@@ -0,0 +1,118 @@
+/**
+ * Path Registry Module (Shared)
+ * Display metadata of every career path — name, color, secondary color, icon
+ * and layout order — read from the career paths data (filled by
+ * DataLoader.loadCareerPaths, custom paths included). Views ask the registry
+ * instead of keeping their own maps, so a new path only needs a data entry.
+ */
+
+const PathRegistry = (() => {
+  const DEFAULT_COLOR = '#667eea';
+  const DEFAULT_ICON = '📚';
+  // How much lighter the secondary color is when the data doesn't give one
+  const SECONDARY_SHADE = 60;
+  // Colors go into style attributes unescaped: anything else falls back to the default
+  const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+  let entries = new Map();
+
+  /**
+   * Replace the registry with these paths; their key order is the layout order
+   * @param {Object} careerPaths - pathId -> { name, description, color, secondary_color, icon, ... }
+   */
+  function register(careerPaths) {
+    entries = new Map(Object.entries(careerPaths || {}).map(([id, path], order) => [id, describe(id, path, order)]));
+  }
+
+  function describe(id, path, order) {
+    const color = COLOR_PATTERN.test(path.color) ? path.color : DEFAULT_COLOR;
+    return {
+      id,
+      name: path.name || id,
+      description: path.description || '',
+      color,
+      secondaryColor: COLOR_PATTERN.test(path.secondary_color) ? path.secondary_color : Utils.adjustColor(color, SECONDARY_SHADE),
+      icon: path.icon || DEFAULT_ICON,
+      order,
+      additional: Boolean(path.additional),
+      custom: Boolean(path.custom)
+    };
+  }
+
+  /**
+   * Metadata of a path; unknown ids get the default color and icon
+   */
+  function get(pathId) {
+    return entries.get(pathId) || describe(pathId, {}, entries.size);
+  }
+
+  function has(pathId) {
+    return entries.has(pathId);
+  }
+
+  /**
+   * All registered paths in layout order
+   */
+  function list() {
+    return [...entries.values()];
+  }
+
+  /**
+   * Sort path ids by layout order (unknown ids last)
+   */
+  function sort(pathIds) {
+    return [...pathIds].sort((a, b) => get(a).order - get(b).order);
+  }
+
+  function name(pathId) {
+    return get(pathId).name;
+  }
+
+  function color(pathId) {
+    return get(pathId).color;
+  }
+
+  function secondaryColor(pathId) {
+    return get(pathId).secondaryColor;
+  }
+
+  /**
+   * Icon, escaped for HTML (custom paths take any text as icon)
+   */
+  function icon(pathId) {
+    return Utils.escapeHtml(get(pathId).icon);
+  }
+
+  function order(pathId) {
+    return get(pathId).order;
+  }
+
+  /**
+   * "<icon> <name>", escaped for HTML
+   */
+  function label(pathId) {
+    return `${icon(pathId)} ${Utils.escapeHtml(name(pathId))}`;
+  }
+
+  // Public API
+  return {
+    DEFAULT_COLOR,
+    DEFAULT_ICON,
+    register,
+    get,
+    has,
+    list,
+    sort,
+    name,
+    color,
+    secondaryColor,
+    icon,
+    order,
+    label
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PathRegistry;
+}
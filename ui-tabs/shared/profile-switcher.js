@@ -0,0 +1,113 @@
+/**
+ * Profile Switcher Module (Shared)
+ * Header menu listing the learner profiles stored in this browser:
+ * switch the active profile, create, rename or delete one (see UserState).
+ */
+
+const ProfileSwitcher = (() => {
+  let root = null;
+  let open = false;
+
+  /**
+   * Render the switcher into a header element and keep it in sync
+   */
+  function init(element) {
+    if (!element || root) return;
+    root = element;
+    render();
+
+    root.addEventListener('click', handleClick);
+    document.addEventListener('click', e => {
+      if (open && !root.contains(e.target)) setOpen(false);
+    });
+    document.addEventListener('keydown', e => {
+      if (open && e.key === 'Escape') {
+        setOpen(false);
+        root.querySelector('.profile-btn').focus();
+      }
+    });
+
+    UserState.on('profiles', render);
+  }
+
+  function render() {
+    const active = UserState.getActiveProfile();
+    const profiles = UserState.getProfiles();
+
+    root.innerHTML = `
+      <div class="profile-switcher">
+        <button type="button" class="profile-btn" aria-haspopup="menu" aria-expanded="${open}" title="Switch learner profile">
+          <span class="tab-icon">👤</span>
+          <span class="profile-name">${Utils.escapeHtml(active.name)}</span>
+          <span aria-hidden="true">▾</span>
+        </button>
+        <div class="profile-menu ${open ? '' : 'hidden'}" role="menu">
+          <div class="profile-menu-label">Profiles on this device</div>
+          ${profiles.map(profile => `
+            <button type="button"
+                    class="profile-item ${profile.id === active.id ? 'active' : ''}"
+                    role="menuitemradio"
+                    aria-checked="${profile.id === active.id}"
+                    data-profile="${Utils.escapeHtml(profile.id)}">
+              <span>${Utils.escapeHtml(profile.name)}</span>
+              ${profile.id === active.id ? '<span aria-hidden="true">✓</span>' : ''}
+            </button>
+          `).join('')}
+          <hr>
+          <button type="button" class="profile-item" role="menuitem" data-action="create">➕ New profile…</button>
+          <button type="button" class="profile-item" role="menuitem" data-action="rename">✏️ Rename “${Utils.escapeHtml(active.name)}”…</button>
+          <button type="button" class="profile-item danger" role="menuitem" data-action="delete" ${profiles.length === 1 ? 'disabled' : ''}>
+            🗑️ Delete “${Utils.escapeHtml(active.name)}”…
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  function setOpen(value) {
+    open = value;
+    root.querySelector('.profile-menu').classList.toggle('hidden', !open);
+    root.querySelector('.profile-btn').setAttribute('aria-expanded', open);
+  }
+
+  function handleClick(e) {
+    if (e.target.closest('.profile-btn')) {
+      setOpen(!open);
+      return;
+    }
+
+    const item = e.target.closest('.profile-item');
+    if (!item || item.disabled) return;
+
+    setOpen(false);
+    try {
+      if (item.dataset.profile) {
+        if (item.dataset.profile !== UserState.getActiveProfile().id) UserState.switchProfile(item.dataset.profile);
+      } else if (item.dataset.action === 'create') {
+        const name = prompt('Name of the new profile:');
+        if (name !== null) UserState.switchProfile(UserState.createProfile(name).id);
+      } else if (item.dataset.action === 'rename') {
+        const active = UserState.getActiveProfile();
+        const name = prompt('New name:', active.name);
+        if (name !== null) UserState.renameProfile(active.id, name);
+      } else if (item.dataset.action === 'delete') {
+        const active = UserState.getActiveProfile();
+        if (confirm(`Delete the profile "${active.name}" and all its progress? This cannot be undone.`)) {
+          UserState.deleteProfile(active.id);
+        }
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  // Public API
+  return {
+    init
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProfileSwitcher;
+}
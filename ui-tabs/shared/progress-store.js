@@ -0,0 +1,311 @@
+/**
+ * Progress Store Module (Shared)
+ * Single source of truth for the learner's course progress, persisted in localStorage.
+ * Each course has a status (not started, in progress, completed, skipped),
+ * timestamps and a free-text note. Views subscribe with on('change', handler)
+ * and render toggles with renderToggle(); bindToggles() wires them up once for the page.
+ *
+ * Replaces the Kanban-only `kanban-progress` set, which is migrated on first load.
+ * Each learner profile has its own storage key: UserState.switchProfile points the
+ * store at it through useStorageKey().
+ */
+
+const ProgressStore = (() => {
+  const STORAGE_KEY = 'roadmap-progress';
+  const LEGACY_KEY = 'kanban-progress';
+  const VERSION = 1;
+
+  const STATUS = {
+    NOT_STARTED: 'not_started',
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed',
+    SKIPPED: 'skipped'
+  };
+
+  const STATUS_META = {
+    not_started: { label: 'Not started', icon: '○' },
+    in_progress: { label: 'In progress', icon: '◐' },
+    completed: { label: 'Completed', icon: '✓' },
+    skipped: { label: 'Skipped', icon: '⤼' }
+  };
+
+  let storageKey = STORAGE_KEY;
+  let records = null; // courseId -> { status, startedAt, completedAt, updatedAt, note }
+  let listeners = {};
+  let togglesBound = false;
+
+  /**
+   * Load records from storage, migrating the legacy Kanban set if needed
+   */
+  function load() {
+    if (records) return records;
+    records = {};
+
+    try {
+      const saved = localStorage.getItem(storageKey);
+      if (saved) {
+        const parsed = JSON.parse(saved);
+        records = (parsed && parsed.courses) || {};
+        return records;
+      }
+
+      const legacy = storageKey === STORAGE_KEY && localStorage.getItem(LEGACY_KEY);
+      if (legacy) {
+        const now = new Date().toISOString();
+        JSON.parse(legacy).forEach(courseId => {
+          records[courseId] = { status: STATUS.COMPLETED, startedAt: null, completedAt: null, updatedAt: now, note: '' };
+        });
+        persist();
+      }
+    } catch (e) {
+      console.warn('Could not load progress:', e);
+    }
+    return records;
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify({ version: VERSION, courses: records }));
+    } catch (e) {
+      console.warn('Could not save progress:', e);
+    }
+  }
+
+  /**
+   * Read and write progress under another key (another learner profile).
+   * Listeners get a 'reset' event when the key changes.
+   */
+  function useStorageKey(key = STORAGE_KEY) {
+    if (key === storageKey && records) return;
+    storageKey = key;
+    records = null;
+    emit('reset', { courseIds: null });
+  }
+
+  /**
+   * Subscribe to store events: 'change' ({ courseId, record, previous }) and 'reset'
+   */
+  function on(event, handler) {
+    (listeners[event] = listeners[event] || []).push(handler);
+    return () => off(event, handler);
+  }
+
+  function off(event, handler) {
+    listeners[event] = (listeners[event] || []).filter(h => h !== handler);
+  }
+
+  function emit(event, detail) {
+    (listeners[event] || []).forEach(handler => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`Progress "${event}" listener failed:`, error);
+      }
+    });
+  }
+
+  function defaultRecord() {
+    return { status: STATUS.NOT_STARTED, startedAt: null, completedAt: null, updatedAt: null, note: '' };
+  }
+
+  /**
+   * Progress record of a course (a default record when untouched)
+   */
+  function get(courseId) {
+    return { ...defaultRecord(), ...(load()[courseId] || {}) };
+  }
+
+  function getStatus(courseId) {
+    return get(courseId).status;
+  }
+
+  function isCompleted(courseId) {
+    return getStatus(courseId) === STATUS.COMPLETED;
+  }
+
+  /**
+   * Ids of courses with the given status (completed by default)
+   */
+  function getIdsByStatus(status = STATUS.COMPLETED) {
+    return Object.keys(load()).filter(id => records[id].status === status);
+  }
+
+  function getCompleted() {
+    return getIdsByStatus(STATUS.COMPLETED);
+  }
+
+  /**
+   * All records that differ from the default
+   */
+  function getAll() {
+    return JSON.parse(JSON.stringify(load()));
+  }
+
+  /**
+   * Count statuses over a set of course ids (all tracked courses by default)
+   */
+  function summarize(courseIds) {
+    const ids = courseIds || Object.keys(load());
+    const counts = { not_started: 0, in_progress: 0, completed: 0, skipped: 0, total: ids.length };
+    ids.forEach(id => { counts[getStatus(id)]++; });
+    return counts;
+  }
+
+  /**
+   * Write a record and notify listeners
+   */
+  function update(courseId, changes) {
+    load();
+    const previous = get(courseId);
+    const now = new Date().toISOString();
+    const record = { ...previous, ...changes, updatedAt: now };
+
+    if (changes.status && changes.status !== previous.status) {
+      if (changes.status === STATUS.IN_PROGRESS || changes.status === STATUS.COMPLETED) {
+        record.startedAt = previous.startedAt || now;
+      }
+      record.completedAt = changes.status === STATUS.COMPLETED ? now : null;
+    }
+
+    if (record.status === STATUS.NOT_STARTED && !record.note) {
+      delete records[courseId];
+    } else {
+      records[courseId] = record;
+    }
+    persist();
+    emit('change', { courseId, record: get(courseId), previous });
+    return get(courseId);
+  }
+
+  function setStatus(courseId, status) {
+    if (!STATUS_META[status]) throw new Error(`Unknown progress status "${status}"`);
+    return update(courseId, { status });
+  }
+
+  function setNote(courseId, note) {
+    return update(courseId, { note: String(note || '') });
+  }
+
+  /**
+   * Flip a course between completed and not started
+   */
+  function toggleComplete(courseId) {
+    return setStatus(courseId, isCompleted(courseId) ? STATUS.NOT_STARTED : STATUS.COMPLETED);
+  }
+
+  /**
+   * Remove progress for the given courses (everything when omitted)
+   */
+  function reset(courseIds) {
+    load();
+    (courseIds || Object.keys(records)).forEach(id => delete records[id]);
+    persist();
+    emit('reset', { courseIds: courseIds || null });
+  }
+
+  /**
+   * Replace every record at once (used when importing a backup)
+   */
+  function replaceAll(courses) {
+    records = JSON.parse(JSON.stringify(courses || {}));
+    persist();
+    emit('reset', { courseIds: null });
+  }
+
+  /**
+   * Completion toggle button for a course. Any element rendered with this
+   * stays in sync once bindToggles() has run.
+   */
+  function renderToggle(courseId, options = {}) {
+    const { status } = get(courseId);
+    const meta = STATUS_META[status];
+    return `
+      <button type="button"
+              class="progress-toggle status-${status} ${options.className || ''}"
+              data-progress-toggle="${courseId}"
+              title="${meta.label} — click to ${status === STATUS.COMPLETED ? 'unmark' : 'mark as completed'}"
+              aria-pressed="${status === STATUS.COMPLETED}">
+        ${meta.icon}${options.label ? ` <span>${meta.label}</span>` : ''}
+      </button>
+    `;
+  }
+
+  /**
+   * Set data-progress="<status>" on elements so views can style them
+   * (e.g. `.course-card[data-progress="completed"]`)
+   */
+  function markElements(elements, getCourseId) {
+    elements.forEach(element => {
+      const courseId = getCourseId(element);
+      if (courseId) element.dataset.progress = getStatus(courseId);
+    });
+  }
+
+  /**
+   * Refresh every rendered toggle of a course
+   */
+  function syncToggles(courseId) {
+    const selector = courseId ? `[data-progress-toggle="${courseId}"]` : '[data-progress-toggle]';
+    document.querySelectorAll(selector).forEach(button => {
+      const withLabel = Boolean(button.querySelector('span'));
+      const extra = [...button.classList].filter(c => c !== 'progress-toggle' && !c.startsWith('status-')).join(' ');
+      button.outerHTML = renderToggle(button.dataset.progressToggle, { label: withLabel, className: extra });
+    });
+  }
+
+  /**
+   * Handle clicks on toggles anywhere in the page and keep them in sync
+   * with changes made elsewhere (other views, other browser tabs)
+   */
+  function bindToggles() {
+    if (togglesBound) return;
+    togglesBound = true;
+
+    document.addEventListener('click', e => {
+      const button = e.target.closest('[data-progress-toggle]');
+      if (!button) return;
+      e.preventDefault();
+      e.stopPropagation();
+      toggleComplete(button.dataset.progressToggle);
+    }, true);
+
+    on('change', ({ courseId }) => syncToggles(courseId));
+    on('reset', () => syncToggles());
+
+    window.addEventListener('storage', e => {
+      if (e.key !== storageKey) return;
+      records = null;
+      emit('reset', { courseIds: null });
+    });
+  }
+
+  // Public API
+  return {
+    STORAGE_KEY,
+    STATUS,
+    STATUS_META,
+    useStorageKey,
+    get,
+    getStatus,
+    isCompleted,
+    getIdsByStatus,
+    getCompleted,
+    getAll,
+    summarize,
+    setStatus,
+    setNote,
+    toggleComplete,
+    reset,
+    replaceAll,
+    on,
+    off,
+    renderToggle,
+    markElements,
+    bindToggles
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProgressStore;
+}
@@ -0,0 +1,281 @@
+/**
+ * Search Engine Module (Shared)
+ * Tokenized inverted index over courses with field weighting,
+ * prefix and typo-tolerant matching, scores and highlight spans.
+ * Built from config-roadmap/search-index.json merged with the loaded courses.
+ */
+
+const SearchEngine = (() => {
+  // Field weights: title > skills > tags > description
+  const FIELD_WEIGHTS = {
+    title: 10,
+    skills: 6,
+    tags: 4,
+    description: 1
+  };
+
+  // Match quality multipliers
+  const MATCH_FACTORS = {
+    exact: 1,
+    prefix: 0.7,
+    typo: 0.4
+  };
+
+  const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'with', 'by', 'is', 'or']);
+
+  /**
+   * Split text into lowercase tokens with their character offsets
+   */
+  function tokenizeWithOffsets(text) {
+    const tokens = [];
+    if (!text) return tokens;
+    const regex = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = regex.exec(String(text))) !== null) {
+      tokens.push({ token: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+  }
+
+  /**
+   * Split text into lowercase search tokens (stop words removed)
+   */
+  function tokenize(text) {
+    return tokenizeWithOffsets(text)
+      .map(t => t.token)
+      .filter(t => !STOP_WORDS.has(t));
+  }
+
+  /**
+   * Edit distance (Levenshtein plus adjacent transpositions) with an early exit
+   * once maxDistance is exceeded
+   */
+  function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) return maxDistance + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Allowed typos for a query token of the given length
+   */
+  function allowedTypos(length) {
+    if (length >= 8) return 2;
+    if (length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * Build a search document for a course, enriched with search-index.json data
+   */
+  function buildDocument(course, indexEntry = {}) {
+    const description = course.description && course.description !== 'No description'
+      ? course.description
+      : (indexEntry.description !== 'No description' ? indexEntry.description : '');
+
+    return {
+      id: course.id,
+      course,
+      fields: {
+        title: course.title || indexEntry.title || '',
+        skills: [...new Set([...(course.skills_gained || []), ...(indexEntry.skills || [])])],
+        tags: [...new Set([...(course.tags || []), ...(indexEntry.tags || [])])],
+        description: description || ''
+      }
+    };
+  }
+
+  /**
+   * Build an inverted index.
+   * @param {Array} courses - course objects
+   * @param {Object} searchIndex - optional contents of search-index.json ({ index: { id: entry } })
+   */
+  function buildIndex(courses, searchIndex) {
+    const entries = (searchIndex && searchIndex.index) || {};
+    const documents = new Map();
+    const postings = new Map(); // token -> Map(docId -> { field -> term frequency })
+
+    (courses || []).forEach(course => {
+      if (!course || !course.id) return;
+      const doc = buildDocument(course, entries[course.id]);
+      documents.set(doc.id, doc);
+
+      Object.keys(FIELD_WEIGHTS).forEach(field => {
+        const value = doc.fields[field];
+        const text = Array.isArray(value) ? value.join(' ') : value;
+        tokenize(text).forEach(token => {
+          if (!postings.has(token)) postings.set(token, new Map());
+          const docs = postings.get(token);
+          if (!docs.has(doc.id)) docs.set(doc.id, {});
+          const fields = docs.get(doc.id);
+          fields[field] = (fields[field] || 0) + 1;
+        });
+      });
+    });
+
+    return {
+      documents,
+      postings,
+      vocabulary: Array.from(postings.keys()).sort()
+    };
+  }
+
+  /**
+   * Find index tokens matching a query token, with their match factor
+   */
+  function expandToken(index, queryToken) {
+    const matches = new Map();
+    const maxTypos = allowedTypos(queryToken.length);
+
+    index.vocabulary.forEach(token => {
+      if (token === queryToken) {
+        matches.set(token, MATCH_FACTORS.exact);
+      } else if (queryToken.length >= 2 && token.startsWith(queryToken)) {
+        matches.set(token, MATCH_FACTORS.prefix);
+      } else if (maxTypos > 0) {
+        if (editDistance(queryToken, token, maxTypos) <= maxTypos) {
+          matches.set(token, MATCH_FACTORS.typo);
+        } else if (token.length > queryToken.length + 1 &&
+                   Math.min(
+                     editDistance(queryToken, token.slice(0, queryToken.length), maxTypos),
+                     editDistance(queryToken, token.slice(0, queryToken.length + 1), maxTypos)
+                   ) <= maxTypos) {
+          // Typo in a partially typed word
+          matches.set(token, MATCH_FACTORS.typo / 2);
+        }
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Compute highlight spans ([start, end]) of matched tokens in a text
+   */
+  function findSpans(text, matchedTokens) {
+    return tokenizeWithOffsets(text)
+      .filter(t => matchedTokens.has(t.token))
+      .map(t => [t.start, t.end]);
+  }
+
+  /**
+   * Search the index.
+   * Every query token must match (exactly, by prefix or with a typo).
+   * Returns [{ id, course, score, matches }] sorted by score, where matches holds
+   * [[start, end]] spans for title/description and [{ item, spans }] for skills/tags.
+   */
+  function search(index, query, options = {}) {
+    const { limit = 50 } = options;
+    const queryTokens = tokenize(query);
+    if (!index || queryTokens.length === 0) return [];
+
+    const scores = new Map();
+    const matchedTokens = new Map(); // docId -> Set(index tokens)
+    let candidates = null;
+
+    queryTokens.forEach(queryToken => {
+      const tokenScores = new Map();
+
+      expandToken(index, queryToken).forEach((factor, token) => {
+        index.postings.get(token).forEach((fields, docId) => {
+          let tokenScore = 0;
+          Object.entries(fields).forEach(([field, tf]) => {
+            tokenScore += FIELD_WEIGHTS[field] * factor * (1 + Math.log(tf));
+          });
+          tokenScores.set(docId, Math.max(tokenScores.get(docId) || 0, tokenScore));
+
+          if (!matchedTokens.has(docId)) matchedTokens.set(docId, new Set());
+          matchedTokens.get(docId).add(token);
+        });
+      });
+
+      const docIds = new Set(tokenScores.keys());
+      candidates = candidates === null ? docIds : new Set([...candidates].filter(id => docIds.has(id)));
+      tokenScores.forEach((score, docId) => scores.set(docId, (scores.get(docId) || 0) + score));
+    });
+
+    const phrase = queryTokens.join(' ');
+
+    return [...(candidates || [])]
+      .map(docId => {
+        const doc = index.documents.get(docId);
+        const tokens = matchedTokens.get(docId);
+        const matches = {};
+
+        Object.keys(FIELD_WEIGHTS).forEach(field => {
+          const value = doc.fields[field];
+          if (Array.isArray(value)) {
+            const hits = value
+              .map((item, i) => ({ item: i, spans: findSpans(item, tokens) }))
+              .filter(hit => hit.spans.length > 0);
+            if (hits.length) matches[field] = hits;
+          } else {
+            const spans = findSpans(value, tokens);
+            if (spans.length) matches[field] = spans;
+          }
+        });
+
+        // Bonus for the whole query appearing in the title
+        const titleBonus = doc.fields.title.toLowerCase().includes(phrase) ? FIELD_WEIGHTS.title : 0;
+
+        return {
+          id: docId,
+          course: doc.course,
+          score: Math.round((scores.get(docId) + titleBonus) * 100) / 100,
+          matches
+        };
+      })
+      .sort((a, b) => b.score - a.score || (a.course.order || 999) - (b.course.order || 999))
+      .slice(0, limit);
+  }
+
+  /**
+   * Wrap highlight spans of a text in <mark> elements (text is HTML-escaped)
+   */
+  function highlight(text, spans) {
+    if (!text) return '';
+    if (!spans || spans.length === 0) return Utils.escapeHtml(text);
+
+    let html = '';
+    let cursor = 0;
+    [...spans].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+      if (start < cursor) return;
+      html += Utils.escapeHtml(text.slice(cursor, start));
+      html += `<mark class="search-hit">${Utils.escapeHtml(text.slice(start, end))}</mark>`;
+      cursor = end;
+    });
+    return html + Utils.escapeHtml(text.slice(cursor));
+  }
+
+  // Public API
+  return {
+    FIELD_WEIGHTS,
+    tokenize,
+    editDistance,
+    buildIndex,
+    search,
+    highlight
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchEngine;
+}
@@ -0,0 +1,145 @@
+/**
+ * Skill Catalog Module (Shared)
+ * Normalizes the free-text skills_gained of courses into canonical skills:
+ * case, hyphens and spacing are ignored, and near-duplicates are merged with the
+ * alias table from config-roadmap/skill-aliases.json ("Python basics" -> "Python").
+ * Each skill knows the courses that teach it and the career paths that need it.
+ * Built by DataLoader.loadSkillCatalog().
+ */
+
+const SkillCatalog = (() => {
+  /**
+   * Comparison key of a skill name: lowercase, hyphens/underscores as spaces, single spaces
+   */
+  function normalizeKey(name) {
+    return String(name || '').toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+  }
+
+  /**
+   * URL-friendly id of a canonical skill name
+   */
+  function slugify(name) {
+    return normalizeKey(name).replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Build a function mapping a raw skill name to its canonical name
+   * (null when the alias table doesn't know it)
+   * @param {Object} aliases - { canonicalName: [variant, ...] }
+   */
+  function createNormalizer(aliases = {}) {
+    const canonical = new Map();
+    Object.entries(aliases || {}).forEach(([name, variants]) => {
+      canonical.set(normalizeKey(name), name);
+      (variants || []).forEach(variant => canonical.set(normalizeKey(variant), name));
+    });
+    return raw => canonical.get(normalizeKey(raw)) || null;
+  }
+
+  /**
+   * Build the catalog
+   * @param {Array} courses - course objects with skills_gained
+   * @param {Object} paths - hydrated career paths (stages with course objects)
+   * @param {Object} aliases - alias table, see createNormalizer()
+   * @returns {{ skills: Array, byId: Map, idOf: Function }}
+   *   skills: [{ id, name, variants, courseIds, pathIds }] sorted by number of courses
+   */
+  function build(courses, paths = {}, aliases = {}) {
+    const toCanonical = createNormalizer(aliases);
+    const byKey = new Map(); // normalized canonical key -> skill
+    const spellings = new Map(); // skill -> Map(raw spelling -> count)
+
+    courses.forEach(course => {
+      (course.skills_gained || []).forEach(raw => {
+        if (!raw || !String(raw).trim()) return;
+        const canonicalName = toCanonical(raw);
+        const key = normalizeKey(canonicalName || raw);
+        let skill = byKey.get(key);
+        if (!skill) {
+          skill = { id: slugify(canonicalName || raw), name: canonicalName, variants: [], courseIds: [], pathIds: [] };
+          byKey.set(key, skill);
+          spellings.set(skill, new Map());
+        }
+        const counts = spellings.get(skill);
+        counts.set(raw, (counts.get(raw) || 0) + 1);
+        if (!skill.courseIds.includes(course.id)) skill.courseIds.push(course.id);
+      });
+    });
+
+    // Without an alias entry the most used spelling names the skill
+    spellings.forEach((counts, skill) => {
+      const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+      if (!skill.name) skill.name = ranked[0][0];
+      skill.variants = ranked.map(([raw]) => raw).filter(raw => raw !== skill.name);
+    });
+
+    // A path needs every skill taught by one of its stage courses
+    Object.entries(paths || {}).forEach(([pathId, path]) => {
+      if (!path || !Array.isArray(path.stages)) return;
+      const courseIds = new Set(path.stages.flatMap(stage => (stage.courses || []).filter(Boolean).map(c => c.id || c)));
+      byKey.forEach(skill => {
+        if (skill.courseIds.some(id => courseIds.has(id))) skill.pathIds.push(pathId);
+      });
+    });
+
+    const skills = [...byKey.values()]
+      .sort((a, b) => b.courseIds.length - a.courseIds.length || a.name.localeCompare(b.name));
+    const byId = new Map(skills.map(skill => [skill.id, skill]));
+
+    return {
+      skills,
+      byId,
+      idOf: raw => {
+        const skill = byKey.get(normalizeKey(toCanonical(raw) || raw));
+        return skill ? skill.id : null;
+      }
+    };
+  }
+
+  /**
+   * Skills taught by the same courses as the given one, most shared courses first
+   */
+  function related(catalog, skillId, limit = 8) {
+    const skill = catalog.byId.get(skillId);
+    if (!skill) return [];
+    const courseIds = new Set(skill.courseIds);
+    return catalog.skills
+      .filter(other => other !== skill)
+      .map(other => ({ skill: other, shared: other.courseIds.filter(id => courseIds.has(id)).length }))
+      .filter(entry => entry.shared > 0)
+      .sort((a, b) => b.shared - a.shared || a.skill.name.localeCompare(b.skill.name))
+      .slice(0, limit);
+  }
+
+  /**
+   * Learner coverage of a skill: covered once any teaching course is completed,
+   * partial while one is in progress
+   * @param {Function} getStatus - courseId -> progress status (ProgressStore.getStatus)
+   */
+  function coverage(skill, getStatus) {
+    const statuses = skill.courseIds.map(getStatus);
+    const completed = statuses.filter(s => s === 'completed').length;
+    const inProgress = statuses.filter(s => s === 'in_progress').length;
+    return {
+      completed,
+      inProgress,
+      total: statuses.length,
+      state: completed > 0 ? 'covered' : inProgress > 0 ? 'partial' : 'missing'
+    };
+  }
+
+  // Public API
+  return {
+    normalizeKey,
+    slugify,
+    createNormalizer,
+    build,
+    related,
+    coverage
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SkillCatalog;
+}
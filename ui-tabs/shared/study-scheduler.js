@@ -0,0 +1,291 @@
+/**
+ * Study Scheduler Module (Shared)
+ * Turns an ordered list of courses into a week-by-week calendar:
+ * an hours-per-week budget, a start date and blocked weeks (holidays, crunch time).
+ * Courses keep their stage order, and a course never precedes its prerequisites.
+ * Schedules export to iCalendar (.ics).
+ *
+ * Dates are plain 'YYYY-MM-DD' strings; arithmetic is done in UTC to avoid DST shifts.
+ */
+
+const StudyScheduler = (() => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // Courses without a duration still get a slot (and a calendar event)
+  const MIN_COURSE_HOURS = 0.5;
+
+  function parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    if (!match) return null;
+    return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  }
+
+  function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  function addDays(dateString, days) {
+    return formatDate(new Date(parseDate(dateString).getTime() + days * DAY_MS));
+  }
+
+  /**
+   * Week number (0-based, counted from the start date) that contains a date
+   */
+  function weekIndexOf(startDate, dateString) {
+    const start = parseDate(startDate);
+    const date = parseDate(dateString);
+    if (!start || !date) return -1;
+    return Math.floor((date - start) / (7 * DAY_MS));
+  }
+
+  /**
+   * Flatten a (processed) career path into schedule items, in stage order
+   */
+  function itemsFromPath(path) {
+    const items = [];
+    const seen = new Set();
+    (path.stages || []).forEach((stage, stageIndex) => {
+      (stage.courses || []).forEach(course => {
+        if (!course || seen.has(course.id)) return;
+        seen.add(course.id);
+        items.push({
+          id: course.id,
+          title: course.title,
+          hours: course.duration_hours || 0,
+          stage: stage.name,
+          stageIndex,
+          prerequisites: course.prerequisites || []
+        });
+      });
+    });
+    return items;
+  }
+
+  /**
+   * Schedule items from a LearningPlanner plan (already in prerequisite order)
+   */
+  function itemsFromPlan(plan) {
+    return plan.steps.map((step, index) => ({
+      id: step.id,
+      title: step.title,
+      hours: step.hours,
+      stage: null,
+      stageIndex: index,
+      prerequisites: step.prerequisites
+    }));
+  }
+
+  /**
+   * Keep the given order, except that a course moves after any of its
+   * prerequisites that appear later in the list (stable topological sort)
+   */
+  function orderItems(items) {
+    const ids = new Set(items.map(item => item.id));
+    const placed = new Set();
+    const ordered = [];
+    let remaining = [...items];
+
+    while (remaining.length) {
+      const index = remaining.findIndex(item =>
+        item.prerequisites.every(p => !ids.has(p) || placed.has(p))
+      );
+      // A prerequisite cycle: take the next item as is
+      const next = remaining[index === -1 ? 0 : index];
+      ordered.push(next);
+      placed.add(next.id);
+      remaining = remaining.filter(item => item !== next);
+    }
+    return ordered;
+  }
+
+  /**
+   * Build a week-by-week schedule.
+   * @param {Array} items - [{ id, title, hours, stage, prerequisites }]; items
+   *   with no hours are planned as MIN_COURSE_HOURS
+   * @param {Object} options - { hoursPerWeek, startDate, blockedWeeks: ['YYYY-MM-DD'], completed: [id] }
+   * @returns {Object} { weeks, courses, totalHours, finishDate, unmetPrerequisites }
+   *   weeks: [{ index, start, end, blocked, hours, sessions: [{ id, title, hours, stage }] }]
+   *   courses: [{ id, title, stage, hours, startDate, endDate }]
+   */
+  function createSchedule(items, options = {}) {
+    const hoursPerWeek = Math.max(0.5, Number(options.hoursPerWeek) || 5);
+    const startDate = parseDate(options.startDate) ? options.startDate : formatDate(new Date());
+    const completed = new Set(options.completed || []);
+    const blocked = new Set((options.blockedWeeks || [])
+      .map(date => weekIndexOf(startDate, date))
+      .filter(index => index >= 0));
+
+    const allIds = new Set(items.map(item => item.id));
+    const pending = orderItems(items.filter(item => !completed.has(item.id)))
+      .map(item => ({ ...item, hours: Math.max(MIN_COURSE_HOURS, Number(item.hours) || 0) }));
+    const unmetPrerequisites = [];
+    pending.forEach(item => {
+      item.prerequisites
+        .filter(p => !allIds.has(p) && !completed.has(p))
+        .forEach(p => unmetPrerequisites.push({ courseId: item.id, prerequisiteId: p }));
+    });
+
+    const weeks = [];
+    const courses = [];
+    let weekIndex = 0;
+    let capacity = 0;
+    let week = null;
+
+    const openWeek = () => {
+      week = {
+        index: weekIndex,
+        start: addDays(startDate, weekIndex * 7),
+        end: addDays(startDate, weekIndex * 7 + 6),
+        blocked: blocked.has(weekIndex),
+        hours: 0,
+        sessions: []
+      };
+      weeks.push(week);
+      capacity = week.blocked ? 0 : hoursPerWeek;
+      weekIndex++;
+    };
+
+    pending.forEach(item => {
+      let remaining = item.hours;
+      let courseStart = null;
+
+      do {
+        if (!week || capacity <= 0) openWeek();
+        if (week.blocked) continue;
+
+        const hours = Math.min(remaining, capacity);
+        week.sessions.push({ id: item.id, title: item.title, stage: item.stage, hours: round(hours) });
+        week.hours = round(week.hours + hours);
+        capacity = round(capacity - hours);
+        remaining = round(remaining - hours);
+        if (!courseStart) courseStart = week.start;
+      } while (remaining > 0);
+
+      courses.push({
+        id: item.id,
+        title: item.title,
+        stage: item.stage,
+        hours: item.hours,
+        startDate: courseStart || (week ? week.start : startDate),
+        endDate: week ? week.end : startDate
+      });
+    });
+
+    const totalHours = round(pending.reduce((sum, item) => sum + item.hours, 0));
+
+    return {
+      startDate,
+      hoursPerWeek,
+      weeks,
+      courses,
+      totalHours,
+      finishDate: courses.length ? courses[courses.length - 1].endDate : null,
+      unmetPrerequisites
+    };
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Escape text for an iCalendar property value
+   */
+  function escapeICS(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * UTF-8 length of one character (code point)
+   */
+  function byteLength(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    return code < 0x10000 ? 3 : 4;
+  }
+
+  /**
+   * Fold long content lines at 75 octets (RFC 5545), never inside a character
+   */
+  function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+      const length = byteLength(char);
+      if (size + length > 75) {
+        parts.push(current);
+        current = ' ';
+        size = 1;
+      }
+      current += char;
+      size += length;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+  }
+
+  /**
+   * Export a schedule as an iCalendar document: one all-day event per
+   * course per week it is studied
+   */
+  function toICS(schedule, options = {}) {
+    const { calendarName = 'AI Learning Roadmap', courseUrl = () => '' } = options;
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const compact = date => date.replace(/-/g, '');
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//AI Learning Roadmap//Study Schedule//EN',
+      'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:${escapeICS(calendarName)}`
+    ];
+
+    schedule.weeks.forEach(week => {
+      week.sessions.forEach(session => {
+        const url = courseUrl(session.id);
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:${session.id}-w${week.index}@ai-learning-roadmap`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;VALUE=DATE:${compact(week.start)}`,
+          `DTEND;VALUE=DATE:${compact(addDays(week.end, 1))}`,
+          `SUMMARY:${escapeICS(`Study: ${session.title} (${session.hours}h)`)}`,
+          `DESCRIPTION:${escapeICS([
+            session.stage ? `Stage: ${session.stage}` : '',
+            `Planned hours this week: ${session.hours}`,
+            url
+          ].filter(Boolean).join('\n'))}`,
+          ...(url ? [`URL:${url}`] : []),
+          'TRANSP:TRANSPARENT',
+          'END:VEVENT'
+        );
+      });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  // Public API
+  return {
+    parseDate,
+    formatDate,
+    addDays,
+    weekIndexOf,
+    itemsFromPath,
+    itemsFromPlan,
+    createSchedule,
+    toICS
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StudyScheduler;
+}
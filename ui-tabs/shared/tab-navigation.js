@@ -1,13 +1,22 @@
 /**
  * Tab Navigation Module (Shared)
  * Handles tab switching and view management
+ *
+ * URL state protocol: #<view>[/<id>]?key=value&key=value
+ * e.g. #network?path=builder&focus=building-advanced-rag&q=agents
+ *      #course/building-advanced-rag (the segment is exposed as state.id)
+ * Views read their state with getState() and write it with setState().
  */
 
 const TabNavigation = (() => {
+  // The view of a URL without a hash
+  const DEFAULT_VIEW = 'index';
+
   // State
-  let currentTab = 'index';
+  let currentTab = DEFAULT_VIEW;
   let views = {};
   let renderers = {};
+  let viewStates = {};
   let initialized = false;
 
   /**
@@ -16,8 +25,6 @@ const TabNavigation = (() => {
   function init() {
     if (initialized) return;
 
-    // Get all tab buttons
-    const tabButtons = document.querySelectorAll('.tab-btn');
     const viewContainers = document.querySelectorAll('.view-container');
 
     // Store references to views
@@ -25,25 +32,29 @@ const TabNavigation = (() => {
       views[container.dataset.view] = container;
     });
 
-    // Add click handlers to tabs
-    tabButtons.forEach(btn => {
-      btn.addEventListener('click', () => {
-        const viewId = btn.dataset.tab;
-        switchTo(viewId);
+    // One click handler for all tabs, including those added later by addTab()
+    const nav = document.querySelector('.tab-navigation');
+    if (nav) {
+      nav.addEventListener('click', e => {
+        const btn = e.target.closest('.tab-btn');
+        if (btn) switchTo(btn.dataset.tab);
       });
-    });
+    }
 
-    // Handle browser back/forward
-    window.addEventListener('popstate', (event) => {
-      if (event.state && event.state.view) {
-        switchTo(event.state.view, false);
+    // Handle browser back/forward (and pasted links): restore tab and view state.
+    // The entry without a hash (the first page load) is the default view.
+    window.addEventListener('popstate', () => {
+      const { view, params } = parseHash();
+      const target = view || DEFAULT_VIEW;
+      if (views[target]) {
+        switchTo(target, false, params);
       }
     });
 
     // Check URL hash on load
-    const hash = window.location.hash.slice(1);
-    if (hash && views[hash]) {
-      switchTo(hash, false);
+    const { view, params } = parseHash();
+    if (view && views[view]) {
+      switchTo(view, false, params);
     }
 
     initialized = true;
@@ -51,16 +62,24 @@ const TabNavigation = (() => {
 
   /**
    * Switch to a specific view
+   * Returns a promise that resolves once the view's renderer has finished,
+   * so callers can focus an item in the freshly rendered view
    */
-  function switchTo(viewId, pushState = true) {
+  function switchTo(viewId, pushState = true, state = null) {
     if (!views[viewId]) {
       console.warn(`View "${viewId}" not found`);
-      return;
+      return Promise.resolve();
+    }
+
+    if (state) {
+      viewStates[viewId] = cleanState(state);
     }
 
     // Update active tab button
     document.querySelectorAll('.tab-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.tab === viewId);
+      const selected = btn.dataset.tab === viewId;
+      btn.classList.toggle('active', selected);
+      btn.setAttribute('aria-selected', String(selected));
     });
 
     // Update active view container
@@ -70,21 +89,100 @@ const TabNavigation = (() => {
 
     // Update URL hash
     if (pushState) {
-      history.pushState({ view: viewId }, '', `#${viewId}`);
+      history.pushState({ view: viewId }, '', buildHash(viewId, viewStates[viewId]));
     }
 
     // Update current tab
     currentTab = viewId;
 
-    // Call registered renderer
-    if (renderers[viewId]) {
-      renderers[viewId]();
-    }
+    // Call registered renderer with the view's URL state
+    const rendered = renderers[viewId] ? Promise.resolve(renderers[viewId](getState(viewId))) : Promise.resolve();
 
     // Emit custom event for view renderers
     document.dispatchEvent(new CustomEvent('viewChanged', {
       detail: { view: viewId }
     }));
+
+    return rendered;
+  }
+
+  /**
+   * Parse a location hash into { view, params }
+   */
+  function parseHash(hash = window.location.hash) {
+    const raw = hash.replace(/^#/, '');
+    const queryStart = raw.indexOf('?');
+    const route = queryStart === -1 ? raw : raw.slice(0, queryStart);
+    const slash = route.indexOf('/');
+    const view = decodeURIComponent(slash === -1 ? route : route.slice(0, slash));
+    const params = {};
+    if (slash !== -1 && route.length > slash + 1) {
+      params.id = decodeURIComponent(route.slice(slash + 1));
+    }
+    if (queryStart !== -1) {
+      new URLSearchParams(raw.slice(queryStart + 1)).forEach((value, key) => {
+        params[key] = value;
+      });
+    }
+    return { view, params };
+  }
+
+  /**
+   * Build a location hash from a view id and its state
+   */
+  function buildHash(viewId, state = {}) {
+    const { id, ...rest } = cleanState(state);
+    const query = new URLSearchParams(rest).toString();
+    return `#${viewId}${id ? `/${encodeURIComponent(id)}` : ''}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Drop empty values so they don't clutter the URL
+   */
+  function cleanState(state) {
+    const cleaned = {};
+    Object.entries(state || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        cleaned[key] = String(value);
+      }
+    });
+    return cleaned;
+  }
+
+  /**
+   * Get the URL state of a view (defaults to the current view)
+   */
+  function getState(viewId = currentTab) {
+    return { ...(viewStates[viewId] || {}) };
+  }
+
+  /**
+   * Merge values into the current view's URL state and update the hash.
+   * Empty values remove the key. Use { push: true } for discrete changes
+   * (selecting a path, focusing a course) so back/forward can step through them;
+   * the default replaces the history entry (e.g. while typing a search).
+   */
+  function setState(partial, options = {}) {
+    const { push = false, viewId = currentTab } = options;
+    const next = cleanState({ ...viewStates[viewId], ...partial });
+    const unchanged = JSON.stringify(next) === JSON.stringify(viewStates[viewId] || {});
+    viewStates[viewId] = next;
+
+    if (viewId !== currentTab || unchanged) return;
+
+    const method = push ? 'pushState' : 'replaceState';
+    history[method]({ view: viewId }, '', buildHash(viewId, next));
+
+    document.dispatchEvent(new CustomEvent('viewStateChanged', {
+      detail: { view: viewId, state: { ...next } }
+    }));
+  }
+
+  /**
+   * Build a shareable link to a view with the given state
+   */
+  function getShareUrl(viewId = currentTab, state = viewStates[viewId]) {
+    return `${location.origin}${location.pathname}${buildHash(viewId, state)}`;
   }
 
   /**
@@ -95,48 +193,83 @@ const TabNavigation = (() => {
   }
 
   /**
-   * Register a view renderer
+   * Register a view renderer, called with the view's state on every switch
    */
   function registerRenderer(viewId, renderer) {
     renderers[viewId] = renderer;
   }
 
   /**
-   * Add a new tab dynamically
+   * Add a view dynamically: its container (reused when the page already has
+   * one) and, when a label is given, its tab button
+   * @returns {HTMLElement|null} The view container
    */
   function addTab(id, label, icon) {
+    const main = document.querySelector('.main-content');
+    let container = views[id] || document.getElementById(`view-${id}`);
+    if (!container) {
+      if (!main) return null;
+      container = document.createElement('section');
+      container.id = `view-${id}`;
+      container.className = 'view-container';
+      container.dataset.view = id;
+      container.dataset.added = 'true';
+      container.setAttribute('role', 'tabpanel');
+      if (label) container.setAttribute('aria-label', label);
+      main.appendChild(container);
+    }
+    views[id] = container;
+
     const nav = document.querySelector('.tab-navigation');
-    if (!nav) return;
-
-    const btn = document.createElement('button');
-    btn.className = 'tab-btn';
-    btn.dataset.tab = id;
-    btn.innerHTML = `
-      <span class="tab-icon">${icon}</span>
-      <span>${label}</span>
-    `;
-    btn.addEventListener('click', () => switchTo(id));
-    nav.appendChild(btn);
+    if (label && nav && !nav.querySelector(`.tab-btn[data-tab="${id}"]`)) {
+      const btn = document.createElement('button');
+      btn.className = 'tab-btn';
+      btn.dataset.tab = id;
+      btn.setAttribute('role', 'tab');
+      btn.setAttribute('aria-selected', 'false');
+      btn.innerHTML = `
+        <span class="tab-icon"></span>
+        <span></span>
+      `;
+      btn.children[0].textContent = icon || '';
+      btn.children[1].textContent = label;
+      nav.appendChild(btn);
+    }
+    return container;
   }
 
   /**
-   * Remove a tab
+   * Remove a tab (and the container addTab created for it)
    */
   function removeTab(id) {
     const btn = document.querySelector(`.tab-btn[data-tab="${id}"]`);
     if (btn) btn.remove();
+    if (views[id] && views[id].dataset.added === 'true') views[id].remove();
     delete views[id];
     delete renderers[id];
   }
 
+  /**
+   * Whether a view container is registered
+   */
+  function hasView(viewId) {
+    return Boolean(views[viewId]);
+  }
+
   // Public API
   return {
     init,
     switchTo,
     getCurrentView,
+    getState,
+    setState,
+    parseHash,
+    buildHash,
+    getShareUrl,
     registerRenderer,
     addTab,
-    removeTab
+    removeTab,
+    hasView
   };
 })();
 
@@ -0,0 +1,611 @@
+/**
+ * User State Module (Shared)
+ * Everything the learner owns, as opposed to the roadmap data: course progress
+ * and notes (ProgressStore), chosen career path, saved plans and view preferences.
+ * Exports it as a versioned JSON document and imports one back, either merged
+ * into the current state or replacing it, with a diff preview before applying.
+ *
+ * State belongs to the active learner profile. Profiles are stored locally;
+ * the default profile keeps the original storage keys, others suffix them with ":<profileId>".
+ * Views re-read their state on the 'load' event (after an import or a profile switch).
+ * Custom career paths are part of the state (see saveCustomPath).
+ */
+
+const UserState = (() => {
+  const STORAGE_KEY = 'roadmap-user-state';
+  const PROFILES_KEY = 'roadmap-profiles';
+  const DEFAULT_PROFILE = { id: 'default', name: 'Me' };
+  const FORMAT = 'ai-learning-roadmap/user-state';
+  const VERSION = 1;
+  const CUSTOM_PATHS_SCOPE = 'customPaths';
+  // Custom path ids and colors end up in HTML attributes: only these shapes are accepted
+  const PATH_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+  const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+  // Preferences holding one entry per path id, merged entry by entry on a merge
+  // import: scope -> key of the per-path map inside the scope (null: the scope itself)
+  const PER_PATH_PREFERENCES = { [CUSTOM_PATHS_SCOPE]: null, kanban: 'order' };
+
+  // Same field description format as config-roadmap/schema.json (checked with DataValidator)
+  const SCHEMA = {
+    document: {
+      required_fields: ['format', 'version', 'progress'],
+      field_types: {
+        format: 'string',
+        version: 'number',
+        exportedAt: 'string (ISO date)',
+        profile: 'object ({ name } of the exported profile)',
+        progress: 'object (courseId -> progress record)',
+        plans: 'object (planId -> plan)',
+        preferences: 'object (scope -> values)'
+      }
+    },
+    progress: {
+      required_fields: ['status'],
+      field_types: {
+        status: 'enum: not_started | in_progress | completed | skipped',
+        startedAt: 'string (ISO date)',
+        completedAt: 'string (ISO date)',
+        updatedAt: 'string (ISO date)',
+        note: 'string'
+      }
+    },
+    plan: {
+      required_fields: ['courses', 'skills'],
+      field_types: {
+        courses: 'array<string> (references course.id)',
+        skills: 'array<string>',
+        updatedAt: 'string (ISO date)'
+      }
+    },
+    customPath: {
+      required_fields: ['name', 'stages'],
+      field_types: {
+        name: 'string',
+        description: 'string',
+        color: 'string (hex color, e.g. #667eea)',
+        icon: 'string',
+        stages: 'array<object> ({ name, courses: [courseId] })',
+        custom: 'boolean',
+        updatedAt: 'string (ISO date)'
+      }
+    },
+    customPathStage: {
+      required_fields: ['name', 'courses'],
+      field_types: {
+        name: 'string',
+        courses: 'array<string> (references course.id)'
+      }
+    }
+  };
+
+  // version -> function upgrading a document from that version to the next one
+  const MIGRATIONS = {};
+
+  let state = null; // { plans, preferences }
+  let profiles = null; // { active, list: [{ id, name, createdAt }] }
+  let listeners = {};
+
+  /**
+   * Load the profile list and point the stores at the active profile
+   */
+  function init() {
+    loadProfiles();
+    ProgressStore.useStorageKey(storageKey(ProgressStore.STORAGE_KEY));
+  }
+
+  function loadProfiles() {
+    if (profiles) return profiles;
+    profiles = { active: DEFAULT_PROFILE.id, list: [{ ...DEFAULT_PROFILE, createdAt: null }] };
+    try {
+      const saved = JSON.parse(localStorage.getItem(PROFILES_KEY) || 'null');
+      if (saved && Array.isArray(saved.list) && saved.list.length) {
+        profiles = saved;
+        if (!profiles.list.some(p => p.id === profiles.active)) profiles.active = profiles.list[0].id;
+      }
+    } catch (e) {
+      console.warn('Could not load profiles:', e);
+    }
+    return profiles;
+  }
+
+  function persistProfiles() {
+    try {
+      localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    } catch (e) {
+      console.warn('Could not save profiles:', e);
+    }
+  }
+
+  /**
+   * Storage key of a data set for a profile (the active one by default)
+   */
+  function storageKey(baseKey, profileId = loadProfiles().active) {
+    return profileId === DEFAULT_PROFILE.id ? baseKey : `${baseKey}:${profileId}`;
+  }
+
+  function getProfiles() {
+    return clone(loadProfiles().list);
+  }
+
+  function getActiveProfile() {
+    const { active, list } = loadProfiles();
+    return clone(list.find(p => p.id === active));
+  }
+
+  function checkProfileName(name, exceptId) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Profile name is required');
+    if (loadProfiles().list.some(p => p.id !== exceptId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`A profile named "${trimmed}" already exists`);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Create an empty profile (does not switch to it)
+   */
+  function createProfile(name) {
+    const profile = {
+      id: `p-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: checkProfileName(name),
+      createdAt: new Date().toISOString()
+    };
+    loadProfiles().list.push(profile);
+    persistProfiles();
+    emit('profiles', { profiles: getProfiles() });
+    return clone(profile);
+  }
+
+  function renameProfile(profileId, name) {
+    const profile = loadProfiles().list.find(p => p.id === profileId);
+    if (!profile) throw new Error(`Unknown profile "${profileId}"`);
+    profile.name = checkProfileName(name, profileId);
+    persistProfiles();
+    emit('profiles', { profiles: getProfiles() });
+  }
+
+  /**
+   * Delete a profile and its stored data. The last profile cannot be deleted.
+   */
+  function deleteProfile(profileId) {
+    const list = loadProfiles().list;
+    if (!list.some(p => p.id === profileId)) throw new Error(`Unknown profile "${profileId}"`);
+    if (list.length === 1) throw new Error('The last profile cannot be deleted');
+
+    [STORAGE_KEY, ProgressStore.STORAGE_KEY].forEach(key => {
+      try {
+        localStorage.removeItem(storageKey(key, profileId));
+      } catch (e) {
+        console.warn('Could not remove profile data:', e);
+      }
+    });
+    profiles.list = list.filter(p => p.id !== profileId);
+    persistProfiles();
+
+    if (profiles.active === profileId) {
+      switchProfile(profiles.list[0].id);
+    } else {
+      emit('profiles', { profiles: getProfiles() });
+    }
+  }
+
+  /**
+   * Make a profile active: progress, plans and preferences now come from it
+   */
+  function switchProfile(profileId) {
+    const profile = loadProfiles().list.find(p => p.id === profileId);
+    if (!profile) throw new Error(`Unknown profile "${profileId}"`);
+
+    profiles.active = profileId;
+    persistProfiles();
+    state = null;
+    ProgressStore.useStorageKey(storageKey(ProgressStore.STORAGE_KEY));
+
+    emit('profiles', { profiles: getProfiles() });
+    emit('load', { reason: 'profile', profile: clone(profile) });
+  }
+
+  function load() {
+    if (state) return state;
+    state = { plans: {}, preferences: {} };
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey(STORAGE_KEY)) || 'null');
+      if (saved) {
+        state.plans = saved.plans || {};
+        state.preferences = saved.preferences || {};
+      }
+    } catch (e) {
+      console.warn('Could not load user state:', e);
+    }
+    return state;
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(storageKey(STORAGE_KEY), JSON.stringify({ version: VERSION, ...state }));
+    } catch (e) {
+      console.warn('Could not save user state:', e);
+    }
+  }
+
+  /**
+   * Subscribe to events:
+   * 'load' ({ reason: 'import' | 'profile', ... }) - the whole state was replaced
+   * 'profiles' ({ profiles }) - profiles were added, renamed, deleted or switched
+   * 'paths' ({ paths }) - a custom career path was saved or deleted
+   */
+  function on(event, handler) {
+    (listeners[event] = listeners[event] || []).push(handler);
+    return () => {
+      listeners[event] = listeners[event].filter(h => h !== handler);
+    };
+  }
+
+  function emit(event, detail) {
+    (listeners[event] || []).forEach(handler => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`User state "${event}" listener failed:`, error);
+      }
+    });
+  }
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * A saved plan ({ courses, skills }), or null
+   */
+  function getPlan(planId) {
+    const plan = load().plans[planId];
+    return plan ? clone(plan) : null;
+  }
+
+  function savePlan(planId, plan) {
+    load().plans[planId] = {
+      courses: [...(plan.courses || [])],
+      skills: [...(plan.skills || [])],
+      updatedAt: new Date().toISOString()
+    };
+    persist();
+  }
+
+  /**
+   * The profile's chosen career path (null when none was chosen)
+   */
+  function getCareerPath() {
+    return getPreferences('profile').careerPath || null;
+  }
+
+  function setCareerPath(pathId) {
+    setPreferences('profile', { careerPath: pathId });
+  }
+
+  /**
+   * Saved preferences of a view or feature ({} when none)
+   */
+  function getPreferences(scope) {
+    return clone(load().preferences[scope] || {});
+  }
+
+  function setPreferences(scope, values) {
+    const preferences = load().preferences;
+    preferences[scope] = { ...(preferences[scope] || {}), ...values };
+    persist();
+  }
+
+  /**
+   * User-defined career paths (pathId -> path in the career-paths.json stages format).
+   * Kept in the 'customPaths' preferences scope so they travel with export/import.
+   */
+  function getCustomPaths() {
+    return getPreferences(CUSTOM_PATHS_SCOPE);
+  }
+
+  /**
+   * Create or update a custom path. A path without an id gets a new "custom-<slug>" id.
+   * @param {Object} path - { id?, name, description, color, icon, stages: [{ name, courses: [courseId] }] }
+   * @returns {Object} the saved path, with its id
+   */
+  function saveCustomPath(path) {
+    const name = String(path.name || '').trim();
+    if (!name) throw new Error('Path name is required');
+    if (path.id && !PATH_ID_PATTERN.test(path.id)) throw new Error(`Invalid path id "${path.id}"`);
+    const color = path.color || '#667eea';
+    if (!COLOR_PATTERN.test(color)) throw new Error(`Invalid color "${color}" (expected a hex color such as #667eea)`);
+
+    const preferences = load().preferences;
+    const paths = preferences[CUSTOM_PATHS_SCOPE] = preferences[CUSTOM_PATHS_SCOPE] || {};
+    let id = path.id;
+    if (!id) {
+      const base = `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'path'}`;
+      id = base;
+      for (let n = 2; paths[id]; n++) id = `${base}-${n}`;
+    }
+
+    const saved = {
+      name,
+      description: String(path.description || '').trim() || 'Custom career path',
+      color,
+      icon: String(path.icon || '').trim() || '🧩',
+      stages: (path.stages || []).map((stage, index) => ({
+        name: String(stage.name || '').trim() || `Stage ${index + 1}`,
+        courses: [...new Set(stage.courses || [])]
+      })),
+      custom: true,
+      updatedAt: new Date().toISOString()
+    };
+    paths[id] = saved;
+    persist();
+    emit('paths', { paths: getCustomPaths() });
+    return { id, ...clone(saved) };
+  }
+
+  function deleteCustomPath(pathId) {
+    const paths = load().preferences[CUSTOM_PATHS_SCOPE] || {};
+    if (!paths[pathId]) throw new Error(`Unknown custom path "${pathId}"`);
+    delete paths[pathId];
+    if (getCareerPath() === pathId) setCareerPath(null);
+    persist();
+    emit('paths', { paths: getCustomPaths() });
+  }
+
+  /**
+   * The full user state as a portable document
+   */
+  function exportState() {
+    load();
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: { name: getActiveProfile().name },
+      progress: ProgressStore.getAll(),
+      plans: clone(state.plans),
+      preferences: clone(state.preferences)
+    };
+  }
+
+  /**
+   * Check one record against a SCHEMA entry, collecting error messages
+   */
+  function checkRecord(entity, record, label, errors) {
+    const definition = SCHEMA[entity];
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      errors.push(`${label}: expected object`);
+      return;
+    }
+
+    definition.required_fields.forEach(field => {
+      if (record[field] === undefined || record[field] === null) {
+        errors.push(`${label}: missing required field "${field}"`);
+      }
+    });
+
+    Object.entries(definition.field_types).forEach(([field, spec]) => {
+      const value = record[field];
+      if (value === undefined || value === null) return;
+      const error = DataValidator.checkType(value, DataValidator.parseFieldType(spec));
+      if (error) errors.push(`${label}: ${field}: ${error}`);
+    });
+  }
+
+  /**
+   * Bring an older document up to the current version
+   */
+  function migrate(doc) {
+    let current = clone(doc);
+    while (current.version < VERSION) {
+      const upgrade = MIGRATIONS[current.version];
+      if (!upgrade) throw new Error(`No migration from version ${current.version}`);
+      current = { ...upgrade(current), version: current.version + 1 };
+    }
+    return current;
+  }
+
+  /**
+   * Validate a parsed document.
+   * @param {Object} doc - parsed JSON
+   * @param {Object} options - { courseIds: Set } to warn about unknown courses
+   * @returns {Object} { valid, errors: [string], warnings: [string], document } (document is migrated when valid)
+   */
+  function validate(doc, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const result = () => ({ valid: errors.length === 0, errors, warnings, document: errors.length ? null : migrate(doc) });
+
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      errors.push('Not a user state document');
+      return result();
+    }
+    if (doc.format !== FORMAT) {
+      errors.push(`Unknown format "${doc.format}" (expected "${FORMAT}")`);
+      return result();
+    }
+    if (typeof doc.version !== 'number' || doc.version > VERSION) {
+      errors.push(`Unsupported version ${doc.version} (this app reads up to version ${VERSION})`);
+      return result();
+    }
+
+    checkRecord('document', doc, 'Document', errors);
+    if (doc.profile && doc.profile.name !== undefined && doc.profile.name !== null) {
+      const error = DataValidator.checkType(doc.profile.name, { kind: 'string' });
+      if (error) errors.push(`Document: profile.name: ${error}`);
+    }
+    if (errors.length) return result();
+
+    Object.entries(doc.progress).forEach(([courseId, record]) => {
+      checkRecord('progress', record, `Progress "${courseId}"`, errors);
+      if (options.courseIds && !options.courseIds.has(courseId)) {
+        warnings.push(`Progress "${courseId}": unknown course`);
+      }
+    });
+
+    Object.entries(doc.plans || {}).forEach(([planId, plan]) => {
+      checkRecord('plan', plan, `Plan "${planId}"`, errors);
+      (Array.isArray(plan && plan.courses) ? plan.courses : []).forEach(courseId => {
+        if (options.courseIds && !options.courseIds.has(courseId)) {
+          warnings.push(`Plan "${planId}": unknown course "${courseId}"`);
+        }
+      });
+    });
+
+    Object.entries(doc.preferences || {}).forEach(([scope, values]) => {
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        errors.push(`Preferences "${scope}": expected object`);
+      } else if (scope === CUSTOM_PATHS_SCOPE) {
+        Object.entries(values).forEach(([pathId, path]) => checkCustomPath(pathId, path, errors));
+      }
+    });
+
+    return result();
+  }
+
+  /**
+   * Check an imported custom path: the schema, plus the id and color shapes
+   */
+  function checkCustomPath(pathId, path, errors) {
+    const label = `Custom path "${pathId}"`;
+    if (!PATH_ID_PATTERN.test(pathId)) errors.push(`${label}: invalid id (lowercase letters, digits and dashes only)`);
+
+    const before = errors.length;
+    checkRecord('customPath', path, label, errors);
+    if (errors.length > before) return;
+
+    if (path.color !== undefined && !COLOR_PATTERN.test(path.color)) {
+      errors.push(`${label}: color: "${path.color}" is not a hex color`);
+    }
+    path.stages.forEach((stage, index) => checkRecord('customPathStage', stage, `${label} stage ${index + 1}`, errors));
+  }
+
+  /**
+   * Work out the state after importing a (validated) document and what changes.
+   * Merge keeps local entries the document does not mention (custom paths and
+   * Kanban orders per path id); for progress the most recently updated record wins. Replace makes the state equal to the document.
+   * @returns {Object} { next: { progress, plans, preferences }, diff }
+   *   diff[section]: { added, changed, removed, kept: [{ key, before, after }], unchanged: number }
+   */
+  function resolve(doc, mode = 'merge') {
+    const current = exportState();
+    const next = {};
+    const diff = {};
+
+    ['progress', 'plans', 'preferences'].forEach(section => {
+      const local = current[section] || {};
+      const incoming = doc[section] || {};
+      const result = mode === 'replace' ? {} : clone(local);
+      const changes = { added: [], changed: [], removed: [], kept: [], unchanged: 0 };
+
+      Object.entries(incoming).forEach(([key, value]) => {
+        const before = local[key];
+        const after = mode === 'merge' && section === 'preferences' && before !== undefined
+          ? mergePerPath(key, before, value)
+          : value;
+        if (before === undefined) {
+          changes.added.push({ key, before: null, after });
+          result[key] = clone(after);
+        } else if (JSON.stringify(before) === JSON.stringify(after)) {
+          changes.unchanged++;
+          result[key] = clone(after);
+        } else if (mode === 'merge' && section === 'progress' && isNewer(before, after)) {
+          changes.kept.push({ key, before, after });
+        } else {
+          changes.changed.push({ key, before, after });
+          result[key] = clone(after);
+        }
+      });
+
+      if (mode === 'replace') {
+        Object.keys(local)
+          .filter(key => incoming[key] === undefined)
+          .forEach(key => changes.removed.push({ key, before: local[key], after: null }));
+      }
+
+      next[section] = result;
+      diff[section] = changes;
+    });
+
+    return { next, diff };
+  }
+
+  /**
+   * A preferences scope after a merge import: path entries (custom paths,
+   * Kanban orders) the document does not name stay as they are
+   */
+  function mergePerPath(scope, before, after) {
+    if (!(scope in PER_PATH_PREFERENCES)) return after;
+    const key = PER_PATH_PREFERENCES[scope];
+    if (key === null) return { ...before, ...after };
+    if (after[key] === undefined) return { ...before, ...after };
+    return { ...before, ...after, [key]: { ...(before[key] || {}), ...after[key] } };
+  }
+
+  function isNewer(a, b) {
+    return Boolean(a.updatedAt && b.updatedAt && a.updatedAt > b.updatedAt);
+  }
+
+  /**
+   * Diff preview for importing a document (nothing is changed)
+   */
+  function previewImport(doc, mode = 'merge') {
+    return resolve(doc, mode).diff;
+  }
+
+  /**
+   * Apply a document. Throws when it does not validate.
+   * @param {Object} doc - parsed JSON
+   * @param {Object} options - { mode: 'merge' | 'replace' }
+   * @returns {Object} the applied diff
+   */
+  function importState(doc, options = {}) {
+    const { mode = 'merge' } = options;
+    const report = validate(doc);
+    if (!report.valid) throw new Error(report.errors.join('\n'));
+
+    const { next, diff } = resolve(report.document, mode);
+    load();
+    state.plans = next.plans;
+    state.preferences = next.preferences;
+    persist();
+    ProgressStore.replaceAll(next.progress);
+
+    emit('load', { reason: 'import', mode, diff });
+    return diff;
+  }
+
+  // Public API
+  return {
+    FORMAT,
+    VERSION,
+    SCHEMA,
+    init,
+    storageKey,
+    getProfiles,
+    getActiveProfile,
+    createProfile,
+    renameProfile,
+    deleteProfile,
+    switchProfile,
+    getCareerPath,
+    setCareerPath,
+    getPlan,
+    savePlan,
+    getPreferences,
+    setPreferences,
+    getCustomPaths,
+    saveCustomPath,
+    deleteCustomPath,
+    exportState,
+    validate,
+    previewImport,
+    importState,
+    on
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UserState;
+}
@@ -41,6 +41,14 @@ const Utils = (() => {
     return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
   }
 
+  /**
+   * Escape HTML special characters
+   */
+  function escapeHtml(str) {
+    if (str === null || str === undefined) return '';
+    return String(str).replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
+  }
+
   /**
    * Adjust color brightness
    */
@@ -69,26 +77,6 @@ const Utils = (() => {
     return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  /**
-   * Path colors for career paths
-   */
-  const PATH_COLORS = {
-    trunk: '#4CAF50',
-    builder: '#2196F3',
-    researcher: '#9C27B0',
-    enterprise: '#FF9800'
-  };
-
-  /**
-   * Path icons
-   */
-  const PATH_ICONS = {
-    trunk: '🌳',
-    builder: '🔧',
-    researcher: '🔬',
-    enterprise: '🏢'
-  };
-
   /**
    * Difficulty colors
    */
@@ -98,20 +86,6 @@ const Utils = (() => {
     advanced: '#f44336'
   };
 
-  /**
-   * Get path color
-   */
-  function getPathColor(pathId) {
-    return PATH_COLORS[pathId] || '#2196F3';
-  }
-
-  /**
-   * Get path icon
-   */
-  function getPathIcon(pathId) {
-    return PATH_ICONS[pathId] || '📚';
-  }
-
   /**
    * Get difficulty color
    */
@@ -143,6 +117,27 @@ const Utils = (() => {
     `;
   }
 
+  /**
+   * Scroll an element into view and briefly highlight it
+   * (used when a view is asked to focus an item, e.g. from the command palette)
+   */
+  function focusElement(element) {
+    if (!element) return;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.classList.remove('focus-flash');
+    // Restart the animation when the same element is focused twice
+    void element.offsetWidth;
+    element.classList.add('focus-flash');
+    setTimeout(() => element.classList.remove('focus-flash'), 2000);
+  }
+
+  /**
+   * Hash route of a course's detail page (#course/<id>)
+   */
+  function getCourseDetailUrl(courseId) {
+    return `#course/${encodeURIComponent(courseId)}`;
+  }
+
   /**
    * Format duration
    */
@@ -218,17 +213,16 @@ const Utils = (() => {
     debounce,
     throttle,
     truncate,
+    escapeHtml,
     adjustColor,
     hexToRgba,
     generateId,
-    PATH_COLORS,
-    PATH_ICONS,
     DIFFICULTY_COLORS,
-    getPathColor,
-    getPathIcon,
     getDifficultyColor,
     createLoadingSpinner,
     createErrorMessage,
+    focusElement,
+    getCourseDetailUrl,
     formatDuration,
     sortCourses,
     groupCourses,
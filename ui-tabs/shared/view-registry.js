@@ -0,0 +1,156 @@
+/**
+ * View Registry Module (Shared)
+ * Drives the lifecycle of the tab views. A view module implements:
+ *   init(container)  - once, on the first visit (required)
+ *   mount()          - when its tab is shown: subscribe to stores, add
+ *                      document/window listeners
+ *   render(state)    - draw the view for its URL state (required)
+ *   update(state)    - the URL state changed while the view stays visible
+ *                      (defaults to render)
+ *   unmount()        - when another tab is shown: undo mount()
+ *   destroy()        - drop everything init() set up; the next visit inits again
+ * Only init and render are required. state is the view's TabNavigation state.
+ */
+
+const ViewRegistry = (() => {
+  // viewId -> { id, module, container, ready (init promise), initialized, mounted }
+  const entries = new Map();
+  let activeId = null;
+
+  /**
+   * Whether a module implements the required init() and render()
+   */
+  function isViewModule(module) {
+    return Boolean(module) && typeof module.init === 'function' && typeof module.render === 'function';
+  }
+
+  /**
+   * Register a view module and the element it renders into (not initialized yet)
+   */
+  function register(id, module, container) {
+    if (!isViewModule(module)) {
+      throw new Error(`View "${id}" must implement init() and render()`);
+    }
+    entries.set(id, { id, module, container, ready: null, initialized: false, mounted: false });
+  }
+
+  /**
+   * Show a view: init it on the first visit, unmount the view shown before,
+   * then mount and render it, or update it when it is already shown
+   */
+  async function show(id, state = {}) {
+    const entry = entries.get(id);
+    if (!entry) return;
+
+    if (activeId && activeId !== id) hide(activeId);
+    activeId = id;
+
+    if (!entry.initialized) {
+      // Shared by overlapping visits; a failed init is tried again next time
+      entry.ready = entry.ready || Promise.resolve(entry.module.init(entry.container)).catch(error => {
+        entry.ready = null;
+        throw error;
+      });
+      await entry.ready;
+      entry.initialized = true;
+    }
+    // Another tab may have been shown while init() was running
+    if (activeId !== id) return;
+
+    if (entry.mounted) {
+      await (entry.module.update || entry.module.render)(state);
+      return;
+    }
+    if (entry.module.mount) entry.module.mount();
+    entry.mounted = true;
+    await entry.module.render(state);
+  }
+
+  /**
+   * Unmount a view (its DOM stays, its listeners go)
+   */
+  function hide(id) {
+    const entry = entries.get(id);
+    if (!entry || !entry.mounted) return;
+
+    if (entry.module.unmount) entry.module.unmount();
+    entry.mounted = false;
+    if (activeId === id) activeId = null;
+  }
+
+  /**
+   * Unmount and destroy a view; it is initialized again on its next visit
+   */
+  function destroy(id) {
+    const entry = entries.get(id);
+    if (!entry || !entry.initialized) return;
+
+    hide(id);
+    if (entry.module.destroy) entry.module.destroy();
+    entry.ready = null;
+    entry.initialized = false;
+  }
+
+  /**
+   * Destroy and forget a view
+   */
+  function unregister(id) {
+    destroy(id);
+    entries.delete(id);
+  }
+
+  /**
+   * The module of an initialized view (null before its first visit)
+   */
+  function get(id) {
+    const entry = entries.get(id);
+    return entry && entry.initialized ? entry.module : null;
+  }
+
+  function has(id) {
+    return entries.has(id);
+  }
+
+  function isInitialized(id) {
+    return Boolean(entries.get(id)?.initialized);
+  }
+
+  function getActive() {
+    return activeId;
+  }
+
+  /**
+   * Ids of all registered views
+   */
+  function list() {
+    return [...entries.keys()];
+  }
+
+  /**
+   * Ids of the views initialized so far
+   */
+  function listInitialized() {
+    return [...entries.values()].filter(entry => entry.initialized).map(entry => entry.id);
+  }
+
+  // Public API
+  return {
+    isViewModule,
+    register,
+    show,
+    hide,
+    destroy,
+    unregister,
+    get,
+    has,
+    isInitialized,
+    getActive,
+    list,
+    listInitialized
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ViewRegistry;
+}
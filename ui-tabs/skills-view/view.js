@@ -0,0 +1,345 @@
+/**
+ * Skills View Component
+ * Every skill from the courses' skills_gained, normalized by SkillCatalog
+ * (near-duplicate spellings merged via config-roadmap/skill-aliases.json):
+ * the courses teaching it, the career paths needing it, related skills and
+ * the learner's coverage from ProgressStore.
+ * Settings live in the URL: #skills?q=rag&path=builder&show=missing&skill=python
+ */
+
+const SkillsView = (() => {
+  let container = null;
+  let subscriptions = []; // store listeners, active while the view is shown
+  let data = null;
+  let catalog = null;
+
+  const COVERAGE_META = {
+    covered: { label: 'Covered', icon: '✓' },
+    partial: { label: 'In progress', icon: '◐' },
+    missing: { label: 'Not covered', icon: '○' }
+  };
+
+  /**
+   * Initialize the view
+   */
+  async function init(containerElement) {
+    container = containerElement;
+    injectStyles();
+  }
+
+  /**
+   * Follow progress changes while the view is shown
+   */
+  function mount() {
+    subscriptions = [
+      ProgressStore.on('change', () => { if (catalog) updateContent(); }),
+      ProgressStore.on('reset', () => { if (catalog) updateContent(); })
+    ];
+  }
+
+  function unmount() {
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+  }
+
+  /**
+   * Inject component-specific styles
+   */
+  function injectStyles() {
+    if (document.getElementById('skills-view-styles')) return;
+
+    const link = document.createElement('link');
+    link.id = 'skills-view-styles';
+    link.rel = 'stylesheet';
+    link.href = 'ui-tabs/skills-view/styles.css';
+    document.head.appendChild(link);
+  }
+
+  /**
+   * Render the skills explorer
+   */
+  async function render() {
+    if (!container) return;
+
+    container.innerHTML = Utils.createLoadingSpinner('Loading skills...');
+
+    try {
+      [data, catalog] = await Promise.all([DataLoader.loadProcessedData(), DataLoader.loadSkillCatalog()]);
+      const state = getSettings();
+
+      container.innerHTML = `
+        <div class="skills-container">
+          <div class="skills-header">
+            <h2>🛠 Skills</h2>
+            <p>What each skill is taught by, which career paths need it, and how much of it you've covered.</p>
+          </div>
+
+          <div class="skills-summary" id="skills-summary"></div>
+
+          <div class="skills-controls">
+            <input type="search"
+                   id="skills-search"
+                   class="search-input"
+                   placeholder="Filter skills..."
+                   value="${Utils.escapeHtml(state.q)}"
+                   autocomplete="off">
+            <select id="skills-path" class="filter-select" aria-label="Career path">
+              <option value="">All paths</option>
+              ${stagedPaths().map(([id]) => `
+                <option value="${id}" ${id === state.path ? 'selected' : ''}>${PathRegistry.label(id)}</option>
+              `).join('')}
+            </select>
+            <select id="skills-show" class="filter-select" aria-label="Coverage">
+              <option value="">Any coverage</option>
+              ${Object.entries(COVERAGE_META).map(([id, meta]) => `
+                <option value="${id}" ${id === state.show ? 'selected' : ''}>${meta.icon} ${meta.label}</option>
+              `).join('')}
+            </select>
+          </div>
+
+          <div class="skills-layout">
+            <ul class="skills-list" id="skills-list" role="listbox" aria-label="Skills"></ul>
+            <aside class="skills-detail" id="skills-detail" aria-live="polite"></aside>
+          </div>
+
+          <details class="skills-aliases">
+            <summary>Merged spellings</summary>
+            ${renderAliases()}
+          </details>
+        </div>
+      `;
+
+      attachEventListeners();
+      updateContent();
+    } catch (error) {
+      console.error('Error rendering skills:', error);
+      container.innerHTML = Utils.createErrorMessage('Error', 'Failed to load skills.');
+    }
+  }
+
+  /**
+   * Career paths with stages
+   */
+  function stagedPaths() {
+    return Object.entries(data.paths).filter(([, path]) => Array.isArray(path.stages) && path.stages.length);
+  }
+
+  /**
+   * Current settings from the URL state
+   */
+  function getSettings() {
+    const state = TabNavigation.getState('skills');
+    return {
+      q: state.q || '',
+      path: data.paths[state.path] ? state.path : '',
+      show: COVERAGE_META[state.show] ? state.show : '',
+      skill: catalog.byId.has(state.skill) ? state.skill : ''
+    };
+  }
+
+  function coverageOf(skill) {
+    return SkillCatalog.coverage(skill, ProgressStore.getStatus);
+  }
+
+  /**
+   * Skills matching the current filters
+   */
+  function filterSkills(settings) {
+    const query = SkillCatalog.normalizeKey(settings.q);
+    return catalog.skills.filter(skill => {
+      if (settings.path && !skill.pathIds.includes(settings.path)) return false;
+      if (settings.show && coverageOf(skill).state !== settings.show) return false;
+      if (!query) return true;
+      return [skill.name, ...skill.variants].some(name => SkillCatalog.normalizeKey(name).includes(query));
+    });
+  }
+
+  /**
+   * Redraw summary, list and detail for the current settings and progress
+   */
+  function updateContent() {
+    const list = document.getElementById('skills-list');
+    if (!list) return;
+
+    const settings = getSettings();
+    const skills = filterSkills(settings);
+
+    renderSummary(settings);
+
+    list.innerHTML = skills.length ? skills.map(skill => renderSkillRow(skill, skill.id === settings.skill)).join('') : `
+      <li class="skills-empty">No skill matches these filters.</li>
+    `;
+
+    document.getElementById('skills-detail').innerHTML = settings.skill
+      ? renderDetail(catalog.byId.get(settings.skill))
+      : '<p class="skills-empty">Select a skill to see the courses teaching it and the paths needing it.</p>';
+  }
+
+  function renderSummary(settings) {
+    const scope = settings.path ? catalog.skills.filter(s => s.pathIds.includes(settings.path)) : catalog.skills;
+    const counts = { covered: 0, partial: 0, missing: 0 };
+    scope.forEach(skill => { counts[coverageOf(skill).state]++; });
+    const spellings = catalog.skills.reduce((sum, skill) => sum + 1 + skill.variants.length, 0);
+    const percent = scope.length ? Math.round((counts.covered / scope.length) * 100) : 0;
+    const path = settings.path ? data.paths[settings.path] : null;
+
+    document.getElementById('skills-summary').innerHTML = `
+      <span><strong>${catalog.skills.length}</strong> skills (from ${spellings} spellings)</span>
+      <span><strong>${percent}%</strong> covered${path ? ` on ${Utils.escapeHtml(path.name)}` : ''}</span>
+      <span>${COVERAGE_META.covered.icon} ${counts.covered} · ${COVERAGE_META.partial.icon} ${counts.partial} · ${COVERAGE_META.missing.icon} ${counts.missing}</span>
+      ${path ? `<a href="${TabNavigation.buildHash('gaps', { path: settings.path })}">🎯 Gap analysis</a>` : ''}
+      <div class="skills-progress" title="${counts.covered} of ${scope.length} skills covered">
+        <span style="width: ${percent}%"></span>
+      </div>
+    `;
+  }
+
+  function renderSkillRow(skill, selected) {
+    const coverage = coverageOf(skill);
+    return `
+      <li>
+        <button type="button"
+                class="skill-row coverage-${coverage.state} ${selected ? 'selected' : ''}"
+                role="option"
+                aria-selected="${selected}"
+                data-skill="${skill.id}">
+          <span class="skill-coverage" title="${COVERAGE_META[coverage.state].label}">${COVERAGE_META[coverage.state].icon}</span>
+          <span class="skill-name">
+            ${Utils.escapeHtml(skill.name)}
+            ${skill.variants.length ? `<small title="${Utils.escapeHtml(skill.variants.join(', '))}">+${skill.variants.length} spelling${skill.variants.length === 1 ? '' : 's'}</small>` : ''}
+          </span>
+          <span class="skill-paths">${skill.pathIds.map(id => `<span title="${Utils.escapeHtml(data.paths[id].name)}">${PathRegistry.icon(id)}</span>`).join('')}</span>
+          <span class="skill-count" title="Courses teaching it">${skill.courseIds.length}</span>
+        </button>
+      </li>
+    `;
+  }
+
+  /**
+   * Courses, paths and related skills of one skill
+   */
+  function renderDetail(skill) {
+    const coverage = coverageOf(skill);
+    const courses = skill.courseIds.map(id => data.coursesMap.get(id)).filter(Boolean);
+    const related = SkillCatalog.related(catalog, skill.id);
+
+    return `
+      <h3>${Utils.escapeHtml(skill.name)}</h3>
+      ${skill.variants.length ? `<p class="skill-variants">Also written: ${skill.variants.map(Utils.escapeHtml).join(', ')}</p>` : ''}
+      <p class="skill-coverage-line coverage-${coverage.state}">
+        ${COVERAGE_META[coverage.state].icon} ${COVERAGE_META[coverage.state].label}
+        — ${coverage.completed} of ${coverage.total} course${coverage.total === 1 ? '' : 's'} completed${coverage.inProgress ? `, ${coverage.inProgress} in progress` : ''}
+      </p>
+
+      <h4>Taught by</h4>
+      <ul class="skill-courses">
+        ${courses.map(course => `
+          <li>
+            ${ProgressStore.renderToggle(course.id)}
+            <a href="${Utils.getCourseDetailUrl(course.id)}">${Utils.escapeHtml(course.title)}</a>
+            <span class="difficulty-badge ${(course.difficulty || 'beginner').toLowerCase()}">${course.difficulty || 'N/A'}</span>
+            <small>⏱ ${Utils.formatDuration(course.duration_hours)}</small>
+          </li>
+        `).join('')}
+      </ul>
+
+      <h4>Needed by</h4>
+      ${skill.pathIds.length ? `
+        <ul class="skill-path-list">
+          ${skill.pathIds.map(pathId => renderPathNeed(skill, pathId)).join('')}
+        </ul>
+      ` : '<p class="skills-empty">No career path includes a course teaching this skill.</p>'}
+
+      ${related.length ? `
+        <h4>Often learned with</h4>
+        <div class="skill-related">
+          ${related.map(({ skill: other, shared }) => `
+            <button type="button" class="skill-chip" data-skill="${other.id}" title="${shared} shared course${shared === 1 ? '' : 's'}">
+              ${Utils.escapeHtml(other.name)}
+            </button>
+          `).join('')}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  function renderPathNeed(skill, pathId) {
+    const path = data.paths[pathId];
+    const stages = path.stages
+      .filter(stage => (stage.courses || []).some(course => course && skill.courseIds.includes(course.id)))
+      .map(stage => Utils.escapeHtml(stage.name));
+    return `
+      <li>
+        <span style="color: ${PathRegistry.color(pathId)}">${PathRegistry.label(pathId)}</span>
+        <small>${stages.join(' · ')}</small>
+      </li>
+    `;
+  }
+
+  /**
+   * Table of the skills whose spellings were merged
+   */
+  function renderAliases() {
+    const merged = catalog.skills.filter(skill => skill.variants.length);
+    if (merged.length === 0) return '<p class="skills-empty">No spellings were merged.</p>';
+
+    return `
+      <p class="skills-empty">Case, hyphens and spacing are ignored; other variants come from <code>config-roadmap/skill-aliases.json</code>.</p>
+      <table class="skills-alias-table">
+        <thead><tr><th>Skill</th><th>Merged spellings</th></tr></thead>
+        <tbody>
+          ${merged.map(skill => `
+            <tr>
+              <td>${Utils.escapeHtml(skill.name)}</td>
+              <td>${skill.variants.map(Utils.escapeHtml).join(', ')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  function attachEventListeners() {
+    const update = (partial, push) => {
+      TabNavigation.setState(partial, { push, viewId: 'skills' });
+      updateContent();
+    };
+
+    document.getElementById('skills-search').addEventListener('input', Utils.debounce(e => {
+      update({ q: e.target.value.trim() }, false);
+    }, 200));
+    document.getElementById('skills-path').addEventListener('change', e => update({ path: e.target.value }, true));
+    document.getElementById('skills-show').addEventListener('change', e => update({ show: e.target.value }, true));
+
+    container.querySelector('.skills-layout').addEventListener('click', e => {
+      const target = e.target.closest('[data-skill]');
+      if (!target) return;
+      update({ skill: target.dataset.skill }, true);
+      if (target.classList.contains('skill-chip')) {
+        container.querySelector(`.skill-row[data-skill="${target.dataset.skill}"]`)?.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  async function refresh() {
+    DataLoader.clearCache();
+    await render();
+  }
+
+  // Public API
+  return {
+    init,
+    mount,
+    render,
+    refresh,
+    unmount
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SkillsView;
+}
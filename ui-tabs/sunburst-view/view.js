@@ -6,36 +6,48 @@
 
 const SunburstView = (() => {
   let container = null;
+  let subscriptions = []; // store listeners, active while the view is shown
   let data = null;
   let svg = null;
   let width = 800;
   let height = 800;
   let radius = 0;
+  let root = null;
+  let arc = null;
+  let arcPaths = null;
+  let arcLabels = null;
+  let focusedNode = null;
 
   const colors = {
-    root: '#667eea',
-    trunk: '#4CAF50',
-    builder: '#2196F3',
-    researcher: '#9C27B0',
-    enterprise: '#FF9800'
+    root: '#667eea'
   };
 
   async function init(containerElement) {
     container = containerElement;
-    await loadD3();
     injectStyles();
   }
 
-  async function loadD3() {
-    if (window.d3) return;
-    
-    return new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      script.src = 'https://d3js.org/d3.v7.min.js';
-      script.onload = resolve;
-      script.onerror = reject;
-      document.head.appendChild(script);
-    });
+  /**
+   * Follow progress changes while the view is shown
+   */
+  function mount() {
+    subscriptions = [
+      ProgressStore.on('change', markProgress),
+      ProgressStore.on('reset', markProgress)
+    ];
+  }
+
+  function unmount() {
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+  }
+
+  /**
+   * Reflect course progress on the course arcs (styled via [data-progress])
+   */
+  function markProgress() {
+    if (!arcPaths) return;
+    arcPaths.attr('data-progress', d => d.data.course ? ProgressStore.getStatus(d.data.course.id) : null);
   }
 
   function injectStyles() {
@@ -58,9 +70,16 @@ const SunburstView = (() => {
     `;
 
     try {
-      await loadD3();
       data = await DataLoader.loadProcessedData();
+      try {
+        await DependencyLoader.load('d3');
+      } catch (error) {
+        console.warn('SunburstView: D3 unavailable, showing an outline instead:', error);
+        renderOutline();
+        return;
+      }
       renderSunburst();
+      restoreState();
     } catch (error) {
       console.error('SunburstView render error:', error);
       container.innerHTML = `
@@ -72,6 +91,13 @@ const SunburstView = (() => {
     }
   }
 
+  /**
+   * Career paths drawn as rings (curated and custom paths with stages)
+   */
+  function stagedPathIds() {
+    return Object.keys(data.paths).filter(pathId => Array.isArray(data.paths[pathId].stages) && data.paths[pathId].stages.length);
+  }
+
   function buildHierarchy() {
     const { paths, courses } = data;
     
@@ -88,7 +114,7 @@ const SunburstView = (() => {
       const pathNode = {
         name: path.name,
         pathId: pathId,
-        color: path.color || colors[pathId],
+        color: PathRegistry.color(pathId),
         children: []
       };
 
@@ -110,6 +136,8 @@ const SunburstView = (() => {
               courseObj = courseRef;
             }
 
+            if (courseObj && !AppStore.matches(courseObj)) return; // hidden by the shared filters
+
             if (courseObj) {
               stageNode.children.push({
                 name: courseObj.title || courseRef,
@@ -154,7 +182,7 @@ const SunburstView = (() => {
       <div class="sunburst-container">
         <div class="sunburst-header">
           <h2>🌞 Career Path Sunburst</h2>
-          <p class="sunburst-subtitle">Click segments to zoom in • Click center to zoom out</p>
+          <p class="sunburst-subtitle">Click segments to zoom in • Click a course to open it (ℹ️ in the breadcrumb for details) • Shift+click to mark it completed • Click center to zoom out</p>
         </div>
         <div class="sunburst-wrapper">
           <div id="sunburst-chart"></div>
@@ -164,10 +192,9 @@ const SunburstView = (() => {
           <label>Highlight Path:</label>
           <select id="sunburst-path-filter" onchange="SunburstView.filterByPath(this.value)">
             <option value="all">All Paths</option>
-            <option value="trunk">🌳 Common Core</option>
-            <option value="builder">🔧 Builder</option>
-            <option value="researcher">🔬 Researcher</option>
-            <option value="enterprise">🏢 Enterprise</option>
+            ${stagedPathIds().map(pathId => `
+              <option value="${pathId}">${PathRegistry.label(pathId)}</option>
+            `).join('')}
           </select>
           <button id="sunburst-zoom-reset" onclick="SunburstView.resetZoom()">🔄 Reset Zoom</button>
         </div>
@@ -179,7 +206,7 @@ const SunburstView = (() => {
     const chartContainer = container.querySelector('#sunburst-chart');
     
     // Create D3 partition layout
-    const root = d3.hierarchy(hierarchyData)
+    root = d3.hierarchy(hierarchyData)
       .sum(d => d.value || 0)
       .sort((a, b) => b.value - a.value);
 
@@ -187,8 +214,10 @@ const SunburstView = (() => {
       .size([2 * Math.PI, radius]);
 
     partition(root);
+    root.each(d => { d.current = { x0: d.x0, x1: d.x1, y0: d.y0, y1: d.y1 }; });
+    focusedNode = root;
 
-    const arc = d3.arc()
+    arc = d3.arc()
       .startAngle(d => d.x0)
       .endAngle(d => d.x1)
       .padAngle(d => Math.min((d.x1 - d.x0) / 2, 0.005))
@@ -204,58 +233,111 @@ const SunburstView = (() => {
       .style('font', '12px sans-serif');
 
     // Add arcs
-    const paths = svg.append('g')
+    arcPaths = svg.append('g')
       .selectAll('path')
       .data(root.descendants().filter(d => d.depth))
       .join('path')
       .attr('fill', d => getColor(d))
       .attr('fill-opacity', d => arcOpacity(d))
-      .attr('d', arc)
+      .attr('d', d => arc(d.current))
+      .attr('data-progress', d => d.data.course ? ProgressStore.getStatus(d.data.course.id) : null)
       .style('cursor', 'pointer')
       .on('mouseover', handleMouseOver)
       .on('mouseout', handleMouseOut)
       .on('click', handleClick);
 
     // Add labels for larger segments
-    const labels = svg.append('g')
+    arcLabels = svg.append('g')
       .attr('pointer-events', 'none')
       .attr('text-anchor', 'middle')
       .selectAll('text')
-      .data(root.descendants().filter(d => d.depth && (d.x1 - d.x0) > 0.04))
+      .data(root.descendants().filter(d => d.depth))
       .join('text')
-      .attr('transform', d => labelTransform(d))
+      .attr('transform', d => labelTransform(d.current))
+      .attr('fill-opacity', d => +labelVisible(d.current))
       .attr('dy', '0.35em')
       .attr('fill', d => d.depth > 1 ? '#fff' : '#333')
       .attr('font-size', d => d.depth === 1 ? '12px' : (d.depth === 2 ? '10px' : '9px'))
       .attr('font-weight', d => d.depth === 1 ? '600' : '400')
-      .text(d => truncateLabel(d.data.name, d.x1 - d.x0));
+      .text(d => truncateLabel(d.data.name, d.current.x1 - d.current.x0));
 
-    // Center circle
+    // Center circle (click to zoom out one level)
     svg.append('circle')
       .attr('r', radius * 0.15)
       .attr('fill', colors.root)
       .attr('cursor', 'pointer')
-      .on('click', () => zoomTo(root));
+      .on('click', () => zoomTo(focusedNode && focusedNode.parent ? focusedNode.parent : root));
 
     svg.append('text')
       .attr('text-anchor', 'middle')
       .attr('dy', '0.35em')
       .attr('fill', 'white')
       .attr('font-weight', 'bold')
+      .attr('pointer-events', 'none')
       .text('🤖 AI');
 
     renderLegend();
   }
 
+  /**
+   * Fallback without D3: the same paths -> stages -> courses as nested lists
+   */
+  function renderOutline() {
+    root = null;
+    arcPaths = null;
+    const { path } = TabNavigation.getState('sunburst');
+
+    container.innerHTML = `
+      <div class="sunburst-container">
+        <div class="sunburst-header">
+          <h2>🌞 Career Path Sunburst</h2>
+          <p class="sunburst-fallback-notice">
+            The chart library could not be loaded, so the paths are shown as an outline.
+            <button type="button" onclick="SunburstView.refresh()">Retry</button>
+          </p>
+        </div>
+        <div class="sunburst-outline">
+          ${buildHierarchy().children.map(pathNode => `
+            <details class="sunburst-outline-path" data-path="${pathNode.pathId}" style="--path-color: ${pathNode.color}" ${!path || path === pathNode.pathId ? 'open' : ''}>
+              <summary>${PathRegistry.label(pathNode.pathId)}</summary>
+              ${pathNode.children.map(stageNode => `
+                <h4>${Utils.escapeHtml(stageNode.name)}</h4>
+                <ul>
+                  ${stageNode.children.map(courseNode => courseNode.course ? `
+                    <li data-course="${courseNode.course.id}">
+                      ${ProgressStore.renderToggle(courseNode.course.id)}
+                      <a href="${Utils.getCourseDetailUrl(courseNode.course.id)}">${Utils.escapeHtml(courseNode.name)}</a>
+                      <small>⏱ ${Utils.formatDuration(courseNode.value)}</small>
+                    </li>
+                  ` : `<li>${Utils.escapeHtml(courseNode.name)}</li>`).join('')}
+                </ul>
+              `).join('')}
+            </details>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Open and scroll to an element of the outline
+   */
+  function focusOutline(selector) {
+    const element = container.querySelector(selector);
+    if (!element) return;
+    const details = element.closest('details');
+    if (details) details.open = true;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.classList.add('sunburst-focused');
+  }
+
   function getColor(d) {
     // Find the path ancestor
     let node = d;
     while (node.depth > 1) node = node.parent;
     
     if (node.depth === 1 && node.data.pathId) {
-      // prefer configured path color when available from processed data
-      const configured = (data.paths && data.paths[node.data.pathId] && data.paths[node.data.pathId].color) || colors[node.data.pathId];
-      return configured || colors.root;
+      return PathRegistry.color(node.data.pathId);
     }
     return colors.root;
   }
@@ -273,6 +355,18 @@ const SunburstView = (() => {
     return `rotate(${x - 90}) translate(${y},0) rotate(${x < 180 ? 0 : 180})`;
   }
 
+  /**
+   * Whether an arc (in current or target coordinates) lies inside the visible rings
+   */
+  function arcVisible(d) {
+    const ringHeight = radius / (root.height + 1);
+    return d.y1 <= radius + 0.5 && d.y0 >= ringHeight - 0.5 && d.x1 > d.x0;
+  }
+
+  function labelVisible(d) {
+    return arcVisible(d) && (d.x1 - d.x0) > 0.04;
+  }
+
   function truncateLabel(text, angle) {
     if (!text) return '';
     const maxLen = Math.floor(angle * 15);
@@ -283,17 +377,19 @@ const SunburstView = (() => {
     const tooltip = document.getElementById('sunburst-tooltip');
     const course = d.data.course;
     
-    let content = `<strong>${d.data.name}</strong>`;
+    let content = `<strong>${Utils.escapeHtml(d.data.name)}</strong>`;
     
     if (course) {
+      const progress = ProgressStore.STATUS_META[ProgressStore.getStatus(course.id)];
       content += `
-        <br><span class="tooltip-meta">${course.difficulty || 'N/A'} · ${course.duration_hours || 0}h</span>
+        <br><span class="tooltip-meta">${course.difficulty || 'N/A'} · ${course.duration_hours || 0}h · ${progress.icon} ${progress.label}</span>
         <br><span class="tooltip-desc">${course.description || ''}</span>
       `;
     } else if (d.depth === 1) {
       content += `<br><span class="tooltip-meta">${d.children?.length || 0} stages</span>`;
     } else if (d.depth === 2) {
-      content += `<br><span class="tooltip-meta">${d.children?.length || 0} courses</span>`;
+      const courseIds = (d.children || []).filter(c => c.data.course).map(c => c.data.course.id);
+      content += `<br><span class="tooltip-meta">${d.children?.length || 0} courses · ${ProgressStore.summarize(courseIds).completed} completed</span>`;
     }
     
     tooltip.innerHTML = content;
@@ -316,17 +412,123 @@ const SunburstView = (() => {
   }
 
   function handleClick(event, d) {
-    if (d.data.course && d.data.course.url) {
-      window.open(d.data.course.url, '_blank');
+    if (d.data.course && event.shiftKey) {
+      ProgressStore.toggleComplete(d.data.course.id);
+    } else if (d.data.course) {
+      if (d.data.course.url) window.open(d.data.course.url, '_blank');
+    } else if (d.children) {
+      zoomTo(d);
     }
   }
 
-  function zoomTo(d) {
-    // Future enhancement: implement zoom animation
-    console.log('Zoom to:', d.data.name);
+  /**
+   * Zoom so that the given node fills the chart (its children become the first ring)
+   */
+  function zoomTo(p) {
+    if (!svg || !root || !p) return;
+    focusedNode = p;
+
+    root.each(d => {
+      d.target = {
+        x0: Math.max(0, Math.min(1, (d.x0 - p.x0) / (p.x1 - p.x0))) * 2 * Math.PI,
+        x1: Math.max(0, Math.min(1, (d.x1 - p.x0) / (p.x1 - p.x0))) * 2 * Math.PI,
+        y0: Math.max(0, d.y0 - p.y0),
+        y1: Math.max(0, d.y1 - p.y0)
+      };
+    });
+
+    const t = svg.transition().duration(750);
+
+    arcPaths
+      .filter(d => arcVisible(d.current) || arcVisible(d.target))
+      .style('display', null)
+      .transition(t)
+      .tween('data', d => {
+        const interpolate = d3.interpolate(d.current, d.target);
+        return time => { d.current = interpolate(time); };
+      })
+      .attrTween('d', d => () => arc(d.current))
+      .on('end', function(d) {
+        if (!arcVisible(d.target)) this.style.display = 'none';
+      });
+
+    arcLabels
+      .filter(d => labelVisible(d.current) || labelVisible(d.target))
+      .transition(t)
+      .attr('fill-opacity', d => +labelVisible(d.target))
+      .attrTween('transform', d => () => labelTransform(d.current))
+      .on('end', function(d) {
+        d3.select(this).text(truncateLabel(d.data.name, d.target.x1 - d.target.x0));
+      });
+
+    updateBreadcrumb(p);
+    TabNavigation.setState({ focus: nodeKey(p) }, { push: true, viewId: 'sunburst' });
+  }
+
+  /**
+   * Stable key for a node used in the URL: pathId[/stageIndex[/courseIndex]]
+   */
+  function nodeKey(d) {
+    return d.ancestors().reverse().slice(1)
+      .map(n => (n.depth === 1 ? n.data.pathId : n.parent.children.indexOf(n)))
+      .join('/');
+  }
+
+  function findNodeByKey(key) {
+    let node = root;
+    for (const part of key.split('/')) {
+      const children = node.children || [];
+      node = node.depth === 0 ? children.find(n => n.data.pathId === part) : children[Number(part)];
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  /**
+   * Apply path filter and zoom from the URL state (#sunburst?path=&focus=)
+   */
+  function restoreState() {
+    const { path, focus } = TabNavigation.getState('sunburst');
+    if (path) {
+      document.getElementById('sunburst-path-filter').value = path;
+      filterByPath(path);
+    }
+    const node = focus && findNodeByKey(focus);
+    if (node) zoomTo(node);
+  }
+
+  /**
+   * Zoom to a career path
+   */
+  function focusPath(pathId) {
+    if (!root) {
+      focusOutline(`[data-path="${pathId}"]`);
+      return;
+    }
+    const node = (root.children || []).find(n => n.data.pathId === pathId);
+    if (node) zoomTo(node);
+  }
+
+  /**
+   * Zoom to the stage containing a course and highlight the course arc
+   */
+  function focusCourse(courseId) {
+    if (!root) {
+      focusOutline(`[data-course="${courseId}"]`);
+      return;
+    }
+    const node = root.descendants().find(n => n.data.course && n.data.course.id === courseId);
+    if (!node) return;
+
+    zoomTo(node.parent || root);
+    arcPaths
+      .filter(d => d === node)
+      .attr('fill-opacity', 1)
+      .classed('sunburst-focused', true);
   }
 
   function filterByPath(pathId) {
+    TabNavigation.setState({ path: pathId === 'all' ? '' : pathId }, { push: true, viewId: 'sunburst' });
     const arcs = document.querySelectorAll('path');
     const labels = document.querySelectorAll('text');
 
@@ -360,16 +562,8 @@ const SunburstView = (() => {
   }
 
   function resetZoom() {
-    // Reset to root level if zoomed in, or clear filter
-    if (svg) {
-      const root = d3.hierarchy(buildHierarchy())
-        .sum(d => d.value || 0)
-        .sort((a, b) => b.value - a.value);
-      
-      // Optionally re-render or just reset zoom
-      const transform = d3.zoomIdentity.translate(width / 2, height / 2);
-      svg.transition().duration(500).call(d3.zoom().transform, transform);
-    }
+    // Zoom back out to the full chart
+    if (root) zoomTo(root);
     
     // reset filter
     document.getElementById('sunburst-path-filter').value = 'all';
@@ -382,21 +576,24 @@ const SunburstView = (() => {
     
     breadcrumb.innerHTML = ancestors.map((node, i) => {
       const isLast = i === ancestors.length - 1;
-      return `<span class="crumb ${isLast ? 'active' : ''}">${node.data.name}</span>`;
+      return `<span class="crumb ${isLast ? 'active' : ''}">${Utils.escapeHtml(node.data.name)}</span>`;
     }).join('<span class="crumb-separator">›</span>');
+
+    // The hovered course stays in the breadcrumb, so its details are a click away
+    if (d.data.course) {
+      breadcrumb.insertAdjacentHTML('beforeend',
+        `<a href="${Utils.getCourseDetailUrl(d.data.course.id)}" class="course-detail-link" title="Course details">ℹ️ Details</a>`);
+    }
   }
 
   function renderLegend() {
     const legend = document.getElementById('sunburst-legend');
-    const pathIds = ['trunk', 'builder', 'researcher', 'enterprise'];
-    
-    legend.innerHTML = pathIds.map(pathId => {
-      const path = data.paths[pathId];
-      if (!path) return '';
+
+    legend.innerHTML = stagedPathIds().map(pathId => {
       return `
         <div class="legend-item">
-          <span class="legend-color" style="background: ${path.color || colors[pathId]}"></span>
-          <span class="legend-label">${path.icon || ''} ${path.name}</span>
+          <span class="legend-color" style="background: ${PathRegistry.color(pathId)}"></span>
+          <span class="legend-label">${PathRegistry.label(pathId)}</span>
         </div>
       `;
     }).join('');
@@ -409,10 +606,15 @@ const SunburstView = (() => {
 
   return {
     init,
+    mount,
     render,
     refresh,
     filterByPath,
-    resetZoom
+    resetZoom,
+    zoomTo,
+    focusPath,
+    focusCourse,
+    unmount
   };
 })();
 
@@ -0,0 +1,492 @@
+/**
+ * Team View Component
+ * Cohort dashboard built from teammates' exported progress files (UserState backups):
+ * a people × stages (or categories) heatmap drawn with HeatmapView.buildMatrix/renderMatrix,
+ * per-path progress per person, who is stuck at which stage, per-course completion
+ * counts and courses nobody has taken.
+ * Loaded files are kept in this browser for the active profile.
+ * Settings live in the URL: #team?path=builder&by=categories
+ */
+
+const TeamView = (() => {
+  let container = null;
+  let unsubscribeLoad = null;
+  let data = null;
+  let members = []; // [{ id, name, exportedAt, progress }]
+  let messages = [];
+
+  const STORAGE_KEY = 'roadmap-team';
+  const STALE_DAYS = 21; // no progress update for this long while a path is unfinished = stuck
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Initialize the view
+   */
+  async function init(containerElement) {
+    container = containerElement;
+    injectStyles();
+
+    // Each profile keeps its own team
+    unsubscribeLoad = UserState.on('load', () => { members = loadMembers(); });
+  }
+
+  /**
+   * Drop the profile listener; the next visit initializes the view again
+   */
+  function destroy() {
+    unsubscribeLoad();
+    unsubscribeLoad = null;
+    container = null;
+  }
+
+  /**
+   * Inject component-specific styles (the grid reuses the heatmap styles)
+   */
+  function injectStyles() {
+    [['heatmap-view-styles', 'ui-tabs/heatmap-view/styles.css'], ['team-view-styles', 'ui-tabs/team-view/styles.css']]
+      .forEach(([id, href]) => {
+        if (document.getElementById(id)) return;
+        const link = document.createElement('link');
+        link.id = id;
+        link.rel = 'stylesheet';
+        link.href = href;
+        document.head.appendChild(link);
+      });
+  }
+
+  function loadMembers() {
+    try {
+      return JSON.parse(localStorage.getItem(UserState.storageKey(STORAGE_KEY)) || '[]');
+    } catch (e) {
+      console.warn('Could not load team:', e);
+      return [];
+    }
+  }
+
+  function saveMembers() {
+    try {
+      localStorage.setItem(UserState.storageKey(STORAGE_KEY), JSON.stringify(members));
+    } catch (e) {
+      console.warn('Could not save team:', e);
+    }
+  }
+
+  /**
+   * Career paths with stages
+   */
+  function stagedPaths() {
+    return Object.entries(data.paths).filter(([, path]) => Array.isArray(path.stages) && path.stages.length);
+  }
+
+  /**
+   * Render the dashboard
+   */
+  async function render() {
+    if (!container) return;
+
+    container.innerHTML = Utils.createLoadingSpinner('Loading team dashboard...');
+
+    try {
+      data = await DataLoader.loadProcessedData();
+      members = loadMembers();
+      renderDashboard();
+    } catch (error) {
+      console.error('Error rendering team dashboard:', error);
+      container.innerHTML = Utils.createErrorMessage('Error', 'Failed to load the team dashboard.');
+    }
+  }
+
+  /**
+   * Current settings from the URL state, with defaults
+   */
+  function getSettings() {
+    const state = TabNavigation.getState('team');
+    const paths = stagedPaths().map(([id]) => id);
+    const fallback = UserState.getCareerPath();
+    return {
+      path: paths.includes(state.path) ? state.path : (paths.includes(fallback) ? fallback : paths[0]),
+      by: state.by === 'categories' ? 'categories' : 'stages'
+    };
+  }
+
+  function renderDashboard() {
+    const settings = getSettings();
+
+    container.innerHTML = `
+      <div class="team-container">
+        <div class="team-header">
+          <h2>👥 Team Dashboard</h2>
+          <p>Load your teammates' progress backups (💾 → Download backup) to see where the cohort stands.</p>
+        </div>
+
+        <div class="team-controls">
+          <label class="team-upload">
+            <input type="file" id="team-files" accept=".json,application/json" multiple>
+            <span>📂 Add progress files</span>
+          </label>
+          <button type="button" class="team-btn" data-action="add-self">➕ Add my progress</button>
+          <label>
+            <span>Path</span>
+            <select id="team-path" class="filter-select">
+              ${stagedPaths().map(([id]) => `
+                <option value="${id}" ${id === settings.path ? 'selected' : ''}>${PathRegistry.label(id)}</option>
+              `).join('')}
+            </select>
+          </label>
+          <label>
+            <span>Columns</span>
+            <select id="team-by" class="filter-select">
+              <option value="stages" ${settings.by === 'stages' ? 'selected' : ''}>Stages of the path</option>
+              <option value="categories" ${settings.by === 'categories' ? 'selected' : ''}>Categories</option>
+            </select>
+          </label>
+          ${members.length ? '<button type="button" class="team-btn" data-action="clear">🗑️ Clear team</button>' : ''}
+        </div>
+
+        ${messages.length ? `
+          <ul class="team-messages">${messages.map(m => `<li class="${m.type}">${Utils.escapeHtml(m.text)}</li>`).join('')}</ul>
+        ` : ''}
+
+        ${members.length ? renderMembers() + renderSections(settings) : `
+          <div class="team-empty">
+            <p>No teammates loaded yet. Each file becomes one row of the dashboard.</p>
+          </div>
+        `}
+      </div>
+    `;
+
+    attachEventListeners();
+  }
+
+  function renderMembers() {
+    return `
+      <div class="team-members">
+        ${members.map(member => `
+          <span class="team-chip" title="Exported ${member.exportedAt ? new Date(member.exportedAt).toLocaleDateString() : '—'}">
+            👤 ${Utils.escapeHtml(member.name)}
+            <button type="button" data-remove="${Utils.escapeHtml(member.id)}" aria-label="Remove ${Utils.escapeHtml(member.name)}">×</button>
+          </span>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  function renderSections(settings) {
+    const path = data.paths[settings.path];
+    const matrix = buildTeamMatrix(path, settings.by);
+
+    return `
+      <section class="team-section">
+        <h3>${settings.by === 'stages' ? `${PathRegistry.label(settings.path)} — completion by stage` : 'Completion by category'}</h3>
+        <div class="heatmap-grid team-grid" style="grid-template-columns: 180px repeat(${matrix.columns.length}, minmax(80px, 1fr))">
+          ${HeatmapView.renderMatrix(matrix, {
+            maxValue: 1,
+            rowLabel: memberId => ({ icon: '👤', name: Utils.escapeHtml(findMember(memberId).name) }),
+            columnLabel: column => Utils.escapeHtml(column),
+            describeCell: describeMemberCell
+          })}
+        </div>
+      </section>
+
+      <div class="team-columns">
+        <section class="team-section">
+          <h3>Progress per path</h3>
+          ${renderPathProgress()}
+        </section>
+        <section class="team-section">
+          <h3>Where everyone is on ${Utils.escapeHtml(path.name)}</h3>
+          ${renderStuck(path)}
+        </section>
+      </div>
+
+      <div class="team-columns">
+        <section class="team-section">
+          <h3>Completions per course</h3>
+          ${renderCourseCounts()}
+        </section>
+        <section class="team-section">
+          <h3>Nobody has taken yet</h3>
+          ${renderUntaken()}
+        </section>
+      </div>
+    `;
+  }
+
+  function findMember(memberId) {
+    return members.find(m => m.id === memberId);
+  }
+
+  function statusOf(member, courseId) {
+    const record = member.progress[courseId];
+    return record ? record.status : ProgressStore.STATUS.NOT_STARTED;
+  }
+
+  /**
+   * One item per member and course, placed in a stage or category column
+   */
+  function buildTeamMatrix(path, by) {
+    const items = [];
+    let columns;
+
+    if (by === 'stages') {
+      columns = path.stages.map((stage, index) => `${index + 1}. ${stage.name}`);
+      members.forEach(member => {
+        path.stages.forEach((stage, index) => {
+          (stage.courses || []).filter(Boolean).forEach(course => {
+            items.push({ member: member.id, column: columns[index], course, status: statusOf(member, course.id) });
+          });
+        });
+      });
+    } else {
+      columns = Object.values(data.categories).map(category => category.name);
+      const names = new Map(Object.entries(data.categories).map(([id, category]) => [id, category.name]));
+      members.forEach(member => {
+        data.courses.forEach(course => {
+          items.push({ member: member.id, column: names.get(course.category), course, status: statusOf(member, course.id) });
+        });
+      });
+    }
+
+    return HeatmapView.buildMatrix(items, {
+      rows: members.map(m => m.id),
+      columns,
+      rowOf: item => item.member,
+      columnOf: item => item.column
+    });
+  }
+
+  function describeMemberCell(items, memberId, column) {
+    const completed = items.filter(i => i.status === ProgressStore.STATUS.COMPLETED).length;
+    const inProgress = items.filter(i => i.status === ProgressStore.STATUS.IN_PROGRESS).length;
+    return {
+      value: items.length ? completed / items.length : 0,
+      label: items.length ? `${completed}/${items.length}` : '',
+      badge: inProgress ? `◐ ${inProgress}` : '',
+      title: items.length ? `${Utils.escapeHtml(findMember(memberId).name)} · ${Utils.escapeHtml(column)}: ${completed} of ${items.length} completed` : '',
+      items: items.map(i => `${ProgressStore.STATUS_META[i.status].icon} ${Utils.escapeHtml(i.course.title)}`)
+    };
+  }
+
+  function pathCourseIds(path) {
+    return [...new Set(path.stages.flatMap(stage => (stage.courses || []).filter(Boolean).map(c => c.id)))];
+  }
+
+  function renderPathProgress() {
+    const paths = stagedPaths();
+    return `
+      <table class="team-table">
+        <thead>
+          <tr>
+            <th>Person</th>
+            ${paths.map(([id, path]) => `<th title="${Utils.escapeHtml(path.name)}">${PathRegistry.icon(id)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${members.map(member => `
+            <tr>
+              <td>${Utils.escapeHtml(member.name)}</td>
+              ${paths.map(([id, path]) => {
+                const ids = pathCourseIds(path);
+                const done = ids.filter(courseId => statusOf(member, courseId) === ProgressStore.STATUS.COMPLETED).length;
+                const percent = ids.length ? Math.round((done / ids.length) * 100) : 0;
+                return `
+                  <td title="${Utils.escapeHtml(path.name)}: ${done} / ${ids.length}">
+                    <div class="team-bar"><span style="width: ${percent}%; background: ${PathRegistry.color(id)}"></span></div>
+                    <small>${percent}%</small>
+                  </td>
+                `;
+              }).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Current stage of each member on a path (first stage not fully completed)
+   * and whether they look stuck (no progress update for STALE_DAYS)
+   */
+  function renderStuck(path) {
+    const rows = members.map(member => {
+      const stageIndex = path.stages.findIndex(stage =>
+        (stage.courses || []).filter(Boolean).some(course => statusOf(member, course.id) !== ProgressStore.STATUS.COMPLETED)
+      );
+      const updates = Object.values(member.progress).map(r => r.updatedAt).filter(Boolean).sort();
+      const lastUpdate = updates.length ? updates[updates.length - 1] : null;
+      const idleDays = lastUpdate ? Math.floor((Date.now() - new Date(lastUpdate).getTime()) / DAY_MS) : null;
+      const finished = stageIndex === -1;
+      return { member, stageIndex, lastUpdate, idleDays, finished, stuck: !finished && (idleDays === null || idleDays >= STALE_DAYS) };
+    }).sort((a, b) => (a.finished - b.finished) || (a.stageIndex - b.stageIndex));
+
+    return `
+      <ul class="team-stages">
+        ${rows.map(row => {
+          const stage = path.stages[row.stageIndex];
+          const courses = stage ? (stage.courses || []).filter(Boolean) : [];
+          const done = courses.filter(c => statusOf(row.member, c.id) === ProgressStore.STATUS.COMPLETED).length;
+          return `
+            <li class="${row.stuck ? 'stuck' : ''}">
+              <strong>${Utils.escapeHtml(row.member.name)}</strong>
+              <span>${row.finished ? '🎓 Finished the path' : `Stage ${row.stageIndex + 1}: ${Utils.escapeHtml(stage.name)} (${done}/${courses.length})`}</span>
+              <small>
+                ${row.stuck ? '⚠️ Stuck · ' : ''}
+                ${row.lastUpdate ? `last update ${row.idleDays === 0 ? 'today' : `${row.idleDays} day${row.idleDays === 1 ? '' : 's'} ago`}` : 'no progress yet'}
+              </small>
+            </li>
+          `;
+        }).join('')}
+      </ul>
+    `;
+  }
+
+  function countStatuses(courseId) {
+    const counts = { completed: 0, in_progress: 0 };
+    members.forEach(member => {
+      const status = statusOf(member, courseId);
+      if (counts[status] !== undefined) counts[status]++;
+    });
+    return counts;
+  }
+
+  function renderCourseCounts() {
+    const rows = data.courses
+      .map(course => ({ course, ...countStatuses(course.id) }))
+      .filter(row => row.completed || row.in_progress)
+      .sort((a, b) => b.completed - a.completed || b.in_progress - a.in_progress || a.course.title.localeCompare(b.course.title));
+
+    if (rows.length === 0) return '<p class="team-empty-note">Nobody has started a course yet.</p>';
+
+    return `
+      <table class="team-table">
+        <thead><tr><th>Course</th><th title="Completed">✓</th><th title="In progress">◐</th></tr></thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr>
+              <td><a href="${Utils.getCourseDetailUrl(row.course.id)}">${Utils.escapeHtml(row.course.title)}</a></td>
+              <td>${row.completed}/${members.length}</td>
+              <td>${row.in_progress || ''}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  function renderUntaken() {
+    const untaken = data.courses.filter(course => {
+      const counts = countStatuses(course.id);
+      return counts.completed === 0 && counts.in_progress === 0;
+    });
+
+    if (untaken.length === 0) return '<p class="team-empty-note">Every course has been taken by someone. 🎉</p>';
+
+    return `
+      <p class="team-empty-note">${untaken.length} of ${data.courses.length} courses</p>
+      <ul class="team-untaken">
+        ${untaken.map(course => `
+          <li><a href="${Utils.getCourseDetailUrl(course.id)}">${Utils.escapeHtml(course.title)}</a></li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  function attachEventListeners() {
+    container.querySelector('#team-files').addEventListener('change', e => addFiles([...e.target.files]));
+    container.querySelector('#team-path').addEventListener('change', e => {
+      TabNavigation.setState({ path: e.target.value }, { push: true, viewId: 'team' });
+      renderDashboard();
+    });
+    container.querySelector('#team-by').addEventListener('change', e => {
+      TabNavigation.setState({ by: e.target.value === 'categories' ? 'categories' : '' }, { push: true, viewId: 'team' });
+      renderDashboard();
+    });
+
+    container.querySelector('.team-container').addEventListener('click', e => {
+      const remove = e.target.closest('[data-remove]');
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (remove) {
+        members = members.filter(m => m.id !== remove.dataset.remove);
+      } else if (action === 'add-self') {
+        const doc = UserState.exportState();
+        addMember(doc.profile.name, doc);
+      } else if (action === 'clear') {
+        if (!confirm('Remove every teammate from the dashboard?')) return;
+        members = [];
+      } else {
+        return;
+      }
+      messages = [];
+      saveMembers();
+      renderDashboard();
+    });
+  }
+
+  /**
+   * Add (or update, matched by name) a member from a validated document
+   */
+  function addMember(name, doc) {
+    const member = { id: encodeURIComponent(name.trim().toLowerCase()), name, exportedAt: doc.exportedAt || null, progress: doc.progress };
+    const index = members.findIndex(m => m.id === member.id);
+    if (index === -1) {
+      members.push(member);
+    } else {
+      members[index] = member;
+    }
+  }
+
+  /**
+   * Read progress files; each valid one becomes (or updates) a member
+   */
+  async function addFiles(files) {
+    messages = [];
+    const courseIds = new Set([
+      ...data.courses.map(c => c.id),
+      ...data.externalResources.flatMap(topic => topic.recommended_resources.map(r => r.id))
+    ]);
+
+    for (const file of files) {
+      let doc;
+      try {
+        doc = JSON.parse(await file.text());
+      } catch (error) {
+        messages.push({ type: 'error', text: `${file.name}: not valid JSON` });
+        continue;
+      }
+
+      const report = UserState.validate(doc, { courseIds });
+      if (!report.valid) {
+        messages.push({ type: 'error', text: `${file.name}: ${report.errors[0]}` });
+        continue;
+      }
+      // validate() guarantees a string name when there is one
+      const name = ((report.document.profile && report.document.profile.name) || '').trim() || file.name.replace(/\.json$/i, '');
+      addMember(name, report.document);
+      messages.push({ type: 'ok', text: `${file.name}: added ${name}` });
+    }
+
+    saveMembers();
+    renderDashboard();
+  }
+
+  async function refresh() {
+    DataLoader.clearCache();
+    await render();
+  }
+
+  // Public API
+  return {
+    init,
+    render,
+    refresh,
+    destroy
+  };
+})();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TeamView;
+}
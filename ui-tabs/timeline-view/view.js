@@ -6,10 +6,44 @@
 
 const TimelineView = (() => {
   let container = null;
+  let subscriptions = []; // store listeners, active while the view is shown
+  let unsubscribeLoad = null;
 
   async function init(containerElement) {
     container = containerElement;
     injectStyles();
+
+    // Another profile: fall back to its career path
+    unsubscribeLoad = UserState.on('load', () => TabNavigation.setState({ path: '' }, { viewId: 'timeline' }));
+  }
+
+  /**
+   * Follow progress changes while the view is shown
+   */
+  function mount() {
+    subscriptions = [
+      ProgressStore.on('change', markProgress),
+      ProgressStore.on('reset', markProgress)
+    ];
+  }
+
+  function unmount() {
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+  }
+
+  /**
+   * Drop the profile listener; the next visit initializes the view again
+   */
+  function destroy() {
+    unsubscribeLoad();
+    unsubscribeLoad = null;
+    container = null;
+  }
+
+  function markProgress() {
+    if (!container) return;
+    ProgressStore.markElements(container.querySelectorAll('.station'), station => station.dataset.id);
   }
 
   function injectStyles() {
@@ -30,6 +64,12 @@ const TimelineView = (() => {
       const careerPaths = await DataLoader.loadCareerPaths();
       const coursesData = await DataLoader.loadCourses();
       const courses = coursesData.courses || [];
+      const { externalResources } = await DataLoader.loadProcessedData();
+      const requested = TabNavigation.getState('timeline').path || UserState.getCareerPath();
+      const activePath = requested && careerPaths[requested] ? requested : 'trunk';
+      const tabs = Object.entries(careerPaths)
+        .filter(([, path]) => path.stages.length)
+        .map(([pathId]) => [pathId, PathRegistry.label(pathId)]);
 
       container.innerHTML = `
         <div class="timeline-wrapper">
@@ -37,21 +77,20 @@ const TimelineView = (() => {
             <h2>🚂 Learning Journey</h2>
             <p>Follow your path like a train journey. Each station is a milestone.</p>
             <div class="path-tabs">
-              <button class="path-tab active" data-path="trunk">🌳 Core</button>
-              <button class="path-tab" data-path="builder">🔧 Builder</button>
-              <button class="path-tab" data-path="researcher">🔬 Researcher</button>
-              <button class="path-tab" data-path="enterprise">🏢 Enterprise</button>
+              ${tabs.map(([pathId, label]) => `
+                <button class="path-tab ${pathId === activePath ? 'active' : ''}" data-path="${pathId}">${label}</button>
+              `).join('')}
             </div>
           </div>
           <div class="timeline-scroll">
             <div class="timeline-track" id="timeline-track">
-              ${renderPath('trunk', careerPaths.trunk, courses)}
+              ${renderPath(activePath, careerPaths[activePath], courses, externalResources)}
             </div>
           </div>
         </div>
       `;
 
-      attachEventListeners(careerPaths, courses);
+      attachEventListeners(careerPaths, courses, externalResources);
 
     } catch (error) {
       console.error('Error rendering timeline:', error);
@@ -59,46 +98,33 @@ const TimelineView = (() => {
     }
   }
 
-  function renderPath(pathId, pathData, courses) {
+  function renderPath(pathId, pathData, courses, externalResources) {
     if (!pathData) return '<p class="no-data">No data available.</p>';
 
-    const colors = {
-      trunk: '#4CAF50',
-      builder: '#2196F3',
-      researcher: '#9C27B0',
-      enterprise: '#FF9800'
-    };
-    const color = colors[pathId] || '#667eea';
-
-    let pathCourses = [];
-    let stages = [];
-
-    // Handle trunk with courses array (legacy format)
-    if (pathId === 'trunk' && pathData.courses && Array.isArray(pathData.courses)) {
-      pathCourses = pathData.courses.map(c => {
-        const courseId = typeof c === 'string' ? c : c.id;
-        const full = courses.find(fc => fc.id === courseId);
-        return full ? { ...c, ...full } : null;
-      }).filter(Boolean);
-    } else if (pathData.stages && Array.isArray(pathData.stages)) {
-      pathData.stages.forEach(stage => {
-        const stageCourses = (stage.courses || []).map(courseId => {
-          return courses.find(c => c.id === courseId);
-        }).filter(Boolean);
-        if (stageCourses.length > 0) {
-          stages.push({ name: stage.name, courses: stageCourses });
-        }
-      });
-    }
+    const color = PathRegistry.color(pathId);
+
+    const stages = [];
+    pathData.stages.forEach(stage => {
+      const stageCourses = (stage.courses || []).map(courseId => {
+        return courses.find(c => c.id === courseId);
+      }).filter(course => course && AppStore.matches(course));
+      if (stageCourses.length > 0) {
+        stages.push({ name: stage.name, courses: stageCourses });
+      }
+    });
 
     let html = `<div class="track-rail" style="--track-color: ${color}"></div>`;
 
-    if (pathCourses.length > 0) {
-      html += pathCourses.map((course, i) => renderStation(course, i + 1, color)).join('');
-    } else if (stages.length > 0) {
+    if (stages.length > 0) {
       let num = 1;
-      stages.forEach(stage => {
-        html += `<div class="stage-divider"><span style="background: ${color}">${stage.name}</span></div>`;
+      const resources = ExternalResources.byStage(externalResources, pathId, stages, course => course.category);
+      stages.forEach((stage, index) => {
+        html += `
+          <div class="stage-divider">
+            <span style="background: ${color}">${Utils.escapeHtml(stage.name)}</span>
+            ${ExternalResources.renderBadges(resources.get(index), pathId)}
+          </div>
+        `;
         stage.courses.forEach(course => {
           html += renderStation(course, num++, color);
         });
@@ -108,7 +134,7 @@ const TimelineView = (() => {
     html += `
       <div class="track-end" style="--track-color: ${color}">
         <span class="end-flag">🏁</span>
-        <span class="end-text">${pathData.name} Complete!</span>
+        <span class="end-text">${Utils.escapeHtml(pathData.name)} Complete!</span>
       </div>
     `;
 
@@ -133,7 +159,7 @@ const TimelineView = (() => {
     const difficulty = course.difficulty || 'Beginner';
     
     return `
-      <div class="station" data-id="${course.id}">
+      <div class="station" data-id="${course.id}" data-progress="${ProgressStore.getStatus(course.id)}">
         <div class="station-marker" style="--color: ${color}">
           <span class="marker-num">${num}</span>
         </div>
@@ -141,17 +167,18 @@ const TimelineView = (() => {
           <a href="${url}" class="station-title" target="_blank" rel="noopener">
             ${course.title}
           </a>
-          ${course.stage ? `<span class="station-stage">${course.stage}</span>` : ''}
+          <a href="${Utils.getCourseDetailUrl(course.id)}" class="course-detail-link" title="Course details">ℹ️</a>
           <div class="station-meta">
             <span>⏱ ${duration}h</span>
             <span class="difficulty ${difficulty.toLowerCase()}">${difficulty}</span>
+            ${ProgressStore.renderToggle(course.id)}
           </div>
         </div>
       </div>
     `;
   }
 
-  function attachEventListeners(careerPaths, courses) {
+  function attachEventListeners(careerPaths, courses, externalResources) {
     const tabs = document.querySelectorAll('.path-tab');
     const track = document.getElementById('timeline-track');
 
@@ -161,8 +188,11 @@ const TimelineView = (() => {
         tab.classList.add('active');
 
         const pathId = tab.dataset.path;
+        // Core is the default path; with synced filters it is a real choice for the other views
+        const statePath = pathId === 'trunk' && !AppStore.isSynced() ? '' : pathId;
+        TabNavigation.setState({ path: statePath }, { push: true, viewId: 'timeline' });
         if (track && careerPaths[pathId]) {
-          track.innerHTML = renderPath(pathId, careerPaths[pathId], courses);
+          track.innerHTML = renderPath(pathId, careerPaths[pathId], courses, externalResources);
         }
       });
     });
@@ -173,7 +203,7 @@ const TimelineView = (() => {
     await render();
   }
 
-  return { init, render, refresh };
+  return { init, mount, render, refresh, unmount, destroy };
 })();
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -5,6 +5,7 @@
  */
 const TreeView = (() => {
   let container = null;
+  let subscriptions = []; // store listeners, active while the view is shown
   let coursesMap = new Map();
   let careerPaths = null;
 
@@ -19,10 +20,6 @@ const TreeView = (() => {
     twigStrokeWidth: 8,
     nodeRadius: 8,
     colors: {
-      trunk: 'var(--trunk, #4CAF50)',
-      builder: 'var(--builder, #2196F3)',
-      researcher: 'var(--researcher, #9C27B0)',
-      enterprise: 'var(--enterprise, #FF9800)',
       branch: '#8d6e63' // A woody brown for the branches
     }
   };
@@ -32,6 +29,26 @@ const TreeView = (() => {
     injectStyles();
   }
 
+  /**
+   * Follow progress changes while the view is shown
+   */
+  function mount() {
+    subscriptions = [
+      ProgressStore.on('change', markProgress),
+      ProgressStore.on('reset', markProgress)
+    ];
+  }
+
+  function unmount() {
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions = [];
+  }
+
+  function markProgress() {
+    if (!container) return;
+    ProgressStore.markElements(container.querySelectorAll('.tree-node'), g => g.dataset.courseId);
+  }
+
   function injectStyles() {
     if (document.getElementById('tree-view-styles')) return;
     const link = document.createElement('link');
@@ -56,7 +73,7 @@ const TreeView = (() => {
         <div class="tree-wrapper-dark">
           <div class="tree-header-dark">
             <h2>🌳 AI Learning Roadmap</h2>
-            <p>An organic representation of the AI curriculum, from foundational trunk to specialized branches.</p>
+            <p>An organic representation of the AI curriculum, from foundational trunk to specialized branches. Click a node to open the course, ℹ️ for its details, Shift+click to mark it completed.</p>
           </div>
           <div class="tree-svg-container-dark">
             <svg id="tree-svg" viewbox="0 0 ${config.width} ${config.height}" preserveAspectRatio="xMidYMin meet"></svg>
@@ -80,31 +97,17 @@ const TreeView = (() => {
   function buildTreeLayout(paths, allCourses) {
     let nodes = [];
     let edges = [];
-    const mainBranches = Object.keys(paths).filter(k => k !== 'trunk' && k !== 'additional_paths');
+    const mainBranches = Object.keys(paths).filter(k => k !== 'trunk');
     const availableWidth = config.width - config.padding.left - config.padding.right;
     const branchSpacing = availableWidth / mainBranches.length;
 
-    // Level 0: Trunk - handle both formats:
-    // 1. stages: [{ courses: [...] }] (new format)
-    // 2. courses: [{ id: ... }] (legacy format with direct course objects)
-    let trunkCourses = [];
-    if (paths.trunk) {
-      if (Array.isArray(paths.trunk.stages)) {
-        // New format with stages
-        trunkCourses = paths.trunk.stages.flatMap(stage => stage.courses || []);
-        trunkCourses = trunkCourses
-          .map(id => allCourses.find(c => c.id === id))
-          .filter(Boolean);
-      } else if (Array.isArray(paths.trunk.courses)) {
-        // Legacy format - courses is array of objects with id property
-        trunkCourses = paths.trunk.courses
-          .map(c => {
-            const courseId = typeof c === 'string' ? c : c.id;
-            return allCourses.find(course => course.id === courseId);
-          })
-          .filter(Boolean);
-      }
-    }
+    // Level 0: Trunk (DataLoader gives every path stages of course ids)
+    const trunkCourses = paths.trunk
+      ? paths.trunk.stages
+        .flatMap(stage => stage.courses || [])
+        .map(id => allCourses.find(c => c.id === id))
+        .filter(Boolean)
+      : [];
 
     let lastTrunkNode = null;
     trunkCourses.forEach((courseTrunk, index) => {
@@ -141,7 +144,8 @@ const TreeView = (() => {
           if (!course) return;
 
           // Distribute courses horizontally within their branch's allocated space
-          const courseX = branchCenterX + (courseIndex - (stageCourses.length - 1) / 2) * 60;
+          const spacing = Math.min(60, branchSpacing / stageCourses.length);
+          const courseX = branchCenterX + (courseIndex - (stageCourses.length - 1) / 2) * spacing;
           const y = config.height - config.padding.bottom - (level * config.levelHeight);
           
           const node = { id: courseId, level, x: courseX, y, path: pathKey, order: courseIndex + 1 };
@@ -158,6 +162,13 @@ const TreeView = (() => {
     return { nodes, edges };
   }
   
+  /**
+   * Branch color of a path, from the path registry (woody brown for courses without a path)
+   */
+  function pathColor(pathKey) {
+    return pathKey ? PathRegistry.color(pathKey) : config.colors.branch;
+  }
+
   /**
    * Renders the tree data into the SVG element.
    */
@@ -186,6 +197,7 @@ const TreeView = (() => {
       g.classList.add('tree-node');
       g.setAttribute('transform', `translate(${node.x}, ${node.y})`);
       g.dataset.courseId = node.id;
+      g.dataset.progress = ProgressStore.getStatus(node.id);
 
       // Add a number label next to the node, like in the image
       const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
@@ -193,14 +205,26 @@ const TreeView = (() => {
       text.setAttribute('x', -15);
       text.setAttribute('y', 5);
       text.classList.add('tree-node-label');
-      text.style.fill = config.colors[node.path];
+      text.style.fill = pathColor(node.path);
       g.appendChild(text);
 
       const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
       circle.setAttribute('r', config.nodeRadius);
       circle.setAttribute('fill', config.colors.branch);
-      circle.setAttribute('stroke', config.colors[node.path]);
+      circle.setAttribute('stroke', pathColor(node.path));
       g.appendChild(circle);
+
+      const detail = document.createElementNS('http://www.w3.org/2000/svg', 'a');
+      detail.setAttribute('href', Utils.getCourseDetailUrl(node.id));
+      detail.classList.add('tree-node-detail');
+      const detailTitle = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+      detailTitle.textContent = 'Course details';
+      const detailIcon = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      detailIcon.textContent = 'ℹ️';
+      detailIcon.setAttribute('x', config.nodeRadius + 4);
+      detailIcon.setAttribute('y', 4);
+      detail.append(detailTitle, detailIcon);
+      g.appendChild(detail);
       
       svg.appendChild(g);
     });
@@ -218,8 +242,9 @@ const TreeView = (() => {
       nodeEl.addEventListener('mouseenter', (e) => {
         if (!course) return;
         nodeEl.classList.add('active');
-        tooltip.innerHTML = `<strong>${course.title}</strong><span>${course.difficulty} | ${course.duration_hours}h</span>`;
-        tooltip.style.borderColor = config.colors[course.career_paths[0]] || config.colors.branch;
+        const progress = ProgressStore.STATUS_META[ProgressStore.getStatus(courseId)];
+        tooltip.innerHTML = `<strong>${course.title}</strong><span>${course.difficulty} | ${course.duration_hours}h | ${progress.icon} ${progress.label}</span>`;
+        tooltip.style.borderColor = pathColor(course.career_paths[0]);
         tooltip.classList.add('visible');
         
         const rect = svgContainer.getBoundingClientRect();
@@ -232,8 +257,14 @@ const TreeView = (() => {
         tooltip.classList.remove('visible');
       });
 
-      nodeEl.addEventListener('click', () => {
-        if (course && course.url) window.open(course.url, '_blank');
+      nodeEl.addEventListener('click', (e) => {
+        // The ℹ️ link navigates to the course detail view by itself
+        if (!course || e.target.closest('.tree-node-detail')) return;
+        if (e.shiftKey) {
+          ProgressStore.toggleComplete(course.id);
+          return;
+        }
+        if (course.url) window.open(course.url, '_blank');
       });
     });
   }
@@ -244,5 +275,5 @@ const TreeView = (() => {
     await render();
   }
 
-  return { init, render, refresh };
+  return { init, mount, render, refresh, unmount };
 })();
\ No newline at end of file